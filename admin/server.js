@@ -4,10 +4,16 @@ const express = require('express')
 const crypto = require('crypto')
 const fs = require('fs')
 const path = require('path')
+const net = require('net')
 const { takeScreenshot } = require('../lib/screenshot')
 const { createAuthenticatedAgent } = require('../lib/bluesky-client')
-const bluesky = require('../lib/bluesky-platform')
-const mastodon = require('../lib/mastodon-platform')
+const { configuredPlatforms } = require('../lib/platforms')
+const ledger = require('../lib/post-ledger')
+const history = require('../lib/history')
+const feed = require('../lib/feed')
+const webhooks = require('../lib/outbound-webhooks')
+const { getWikiName } = require('../lib/mediawiki')
+const { getCountryCode } = require('../lib/geolocation')
 
 const app = express()
 const PORT = process.env.PORT || 3000
@@ -231,14 +237,40 @@ app.post('/api/drafts/:id/post', requireAuth, async (req, res) => {
     const account = config.accounts[0]
 
     const results = []
+    const posts = {}
     const postedTo = draft.posted_to || []
 
+    // The edit as the post ledger knows it, shared with the bot
+    const edit = {
+      url: draft.diff_url,
+      page: draft.article,
+      user: draft.editor,
+      wikipedia: getWikiName(new URL(draft.diff_url).host),
+      // Drafts saved before edited_at was recorded don't know when the edit was made
+      timestamp: draft.edited_at || null
+    }
+
+    const platforms = configuredPlatforms(account)
+
+    // Never publish an edit twice on a platform, even if the bot posted it meanwhile
+    for (const platform of platforms) {
+      if (!postedTo.includes(platform.name) && ledger.findPost(account, edit, platform.name)) {
+        console.log(`Already posted ${draft.article} to ${platform.name} - skipping`)
+        postedTo.push(platform.name)
+      }
+    }
+
+    const pending = platforms.filter(platform => !postedTo.includes(platform.name))
+    const country = net.isIP(draft.editor || '') ? await getCountryCode(draft.editor) : null
+
     // Wait for Wikipedia diff table to fully render (same delay as bot)
-    await new Promise(r => setTimeout(r, 2000))
+    if (pending.length) {
+      await new Promise(r => setTimeout(r, 2000))
+    }
 
     // Take screenshot for posting (admin console doesn't save it in draft)
-    const screenshot = await takeScreenshot(draft.diff_url)
-    if (!screenshot) {
+    const screenshot = pending.length ? await takeScreenshot(draft.diff_url) : null
+    if (pending.length && !screenshot) {
       throw new Error('Failed to capture screenshot')
     }
 
@@ -248,49 +280,50 @@ app.post('/api/drafts/:id/post', requireAuth, async (req, res) => {
         page: draft.article,
         name: draft.status_data.name,
         pageUrl: draft.status_data.pageUrl,
-        userUrl: draft.status_data.userUrl
+        userUrl: draft.status_data.userUrl,
+        country
       }
 
-      // Post to Bluesky if configured and not already posted
-      if (account.bluesky && !postedTo.includes('bluesky')) {
+      // Post to each configured platform not already posted to
+      for (const platform of platforms) {
+        if (postedTo.includes(platform.name)) {
+          results.push({ platform: platform.name, success: true, skipped: true })
+          continue
+        }
+
         try {
-          await bluesky.post({
-            account: account.bluesky,
+          const result = await platform.post({
+            account: account[platform.name],
             text: draft.text,
             screenshot,
             metadata
           })
+          const ids = platform.toLedger(result)
+          ledger.recordPost(account, edit, platform.name, ids)
+          posts[platform.name] = ids
 
-          console.log(`✓ Posted to Bluesky`)
-          postedTo.push('bluesky')
-          results.push({ platform: 'bluesky', success: true })
+          console.log(`✓ Posted to ${platform.label}`)
+          postedTo.push(platform.name)
+          results.push({ platform: platform.name, success: true })
         } catch (error) {
-          console.error(`✗ Bluesky failed:`, error.message)
-          results.push({ platform: 'bluesky', success: false, error: error.message })
+          console.error(`✗ ${platform.label} failed:`, error.message)
+          results.push({ platform: platform.name, success: false, error: error.message })
         }
-      } else if (postedTo.includes('bluesky')) {
-        results.push({ platform: 'bluesky', success: true, skipped: true })
       }
 
-      // Post to Mastodon if configured and not already posted
-      if (account.mastodon && !postedTo.includes('mastodon')) {
+      // Public feeds list the edit once it's out; copy the screenshot before cleanup
+      if (Object.keys(posts).length) {
         try {
-          await mastodon.post({
-            account: account.mastodon,
+          feed.record({
+            account: ledger.accountLabel(account),
+            edit,
+            statusData: draft.status_data,
             text: draft.text,
-            screenshot,
-            metadata
+            screenshot
           })
-
-          console.log(`✓ Posted to Mastodon`)
-          postedTo.push('mastodon')
-          results.push({ platform: 'mastodon', success: true })
         } catch (error) {
-          console.error(`✗ Mastodon failed:`, error.message)
-          results.push({ platform: 'mastodon', success: false, error: error.message })
+          console.error('Failed to record feed item:', error.message)
         }
-      } else if (postedTo.includes('mastodon')) {
-        results.push({ platform: 'mastodon', success: true, skipped: true })
       }
     } finally {
       // Always clean up screenshot, even if posting fails
@@ -305,8 +338,40 @@ app.post('/api/drafts/:id/post', requireAuth, async (req, res) => {
     fs.writeFileSync(draftPath, JSON.stringify(draft, null, 2))
 
     // Only delete draft if ALL configured platforms succeeded
-    const allPosted = (!account.bluesky || postedTo.includes('bluesky')) &&
-                      (!account.mastodon || postedTo.includes('mastodon'))
+    const allPosted = platforms.every(platform => postedTo.includes(platform.name))
+
+    // Kept in the edit history next to the bot's own records
+    if (pending.length) {
+      const failures = results.filter(r => !r.success)
+      history.record({
+        account: ledger.accountLabel(account),
+        source: 'admin',
+        outcome: allPosted ? 'posted' : (Object.keys(posts).length ? 'partial' : 'failed'),
+        article: draft.article,
+        editor: draft.editor,
+        anonymous: net.isIP(draft.editor || '') !== 0,
+        wiki: edit.wikipedia,
+        diff_url: draft.diff_url,
+        reason: draft.reason,
+        pii: draft.pii_detected && draft.pii_detected.length ? 'flagged' : null,
+        pii_types: draft.pii_detected || [],
+        gemini: null,
+        geolocation: country,
+        errors: failures.map(f => `${f.platform}: ${f.error}`),
+        posts,
+        timings: { edited_at: edit.timestamp, posted_at: new Date().toISOString() }
+      })
+    }
+
+    // Sent for each approval that got the edit out somewhere new
+    if (Object.keys(posts).length) {
+      webhooks.emit(account, 'draft.approved', {
+        ...webhooks.editData(edit, { ...draft.status_data, text: draft.text }),
+        draft_id: draft.id,
+        posts,
+        all_posted: allPosted
+      })
+    }
 
     if (allPosted) {
       deleteDraft(draft.id)
@@ -411,6 +476,28 @@ app.get('/api/gemini-log', requireAuth, (req, res) => {
   }
 })
 
+/**
+ * GET /api/history
+ * Search the edit history, newest first
+ * Query: article, editor, from, to (ISO dates), outcome (comma-separated), limit
+ */
+app.get('/api/history', requireAuth, (req, res) => {
+  let query
+  try {
+    query = history.parseQuery(req.query)
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  try {
+    const records = history.find(query)
+    res.json({ records, count: records.length })
+  } catch (error) {
+    console.error('Error reading history:', error)
+    res.status(500).json({ error: 'Failed to read history' })
+  }
+})
+
 /**
  * GET /screenshots/:filename
  * Serve screenshots (requires auth)
@@ -424,6 +511,60 @@ app.get('/screenshots/:filename', requireAuth, (req, res) => {
   }
 })
 
+/**
+ * Feed settings from the first account's `feed` config, or null without a `base_url`.
+ * Links are never built from the request's Host header, which any client can set.
+ */
+function feedOptions() {
+  let settings = {}
+  try {
+    settings = loadConfig().accounts[0].feed || {}
+  } catch {
+    // No config, so no feeds
+  }
+  if (!settings.base_url) return null
+  return {
+    baseUrl: settings.base_url.replace(/\/$/, ''),
+    title: settings.title
+  }
+}
+
+/**
+ * GET /feed.atom
+ * Recently posted edits as an Atom feed (public)
+ */
+app.get('/feed.atom', (req, res) => {
+  const options = feedOptions()
+  if (!options) {
+    return res.status(404).json({ error: 'Feed not configured' })
+  }
+  res.type('application/atom+xml').send(feed.buildAtom(feed.recent(), options))
+})
+
+/**
+ * GET /feed.json
+ * Recently posted edits as a JSON Feed (public)
+ */
+app.get('/feed.json', (req, res) => {
+  const options = feedOptions()
+  if (!options) {
+    return res.status(404).json({ error: 'Feed not configured' })
+  }
+  res.type('application/feed+json').send(JSON.stringify(feed.buildJsonFeed(feed.recent(), options)))
+})
+
+/**
+ * GET /feed/screenshots/:filename
+ * Serve screenshots of posted edits (public)
+ */
+app.get('/feed/screenshots/:filename', (req, res) => {
+  const screenshotPath = feed.screenshotPath(req.params.filename)
+  if (screenshotPath && fs.existsSync(screenshotPath)) {
+    res.sendFile(screenshotPath)
+  } else {
+    res.status(404).json({ error: 'Screenshot not found' })
+  }
+})
 
 // Start server only if run directly (not when imported by tests)
 if (require.main === module) {
@@ -0,0 +1,295 @@
+/**
+ * Catch-up Backfill
+ *
+ * Finds edits to watched pages that were made while the bot wasn't running. The time of
+ * the last edit seen on a live feed is saved to data/last-processed; on startup the
+ * revisions API is queried for every explicitly watched page for anything newer, so an
+ * outage like the one in docs/postmortem-2026-02-bot-outage.md doesn't silently drop a
+ * month of edits.
+ *
+ * Missed edits are returned in the wikichanges edit shape so they can go through the
+ * normal posting pipeline, with the size change and bot flag filled in like live edits.
+ *
+ * Sources that resume by themselves (EventStreams with a saved event ID) replay the
+ * missed window already, so the bot only backfills behind the IRC feed.
+ *
+ * @see https://www.mediawiki.org/wiki/API:Revisions
+ */
+
+const fs = require('fs')
+const net = require('net')
+const { getWikiHost, getNamespace, apiRequest } = require('./mediawiki')
+const { isPattern } = require('./title-patterns')
+const { dataPath, writeFile } = require('./data-files')
+
+const LAST_PROCESSED_FILE = dataPath('last-processed')
+const DEFAULT_MAX_EDITS = 20
+
+// Save the last processed time at most this often; every edit on every wiki moves it
+const SAVE_INTERVAL = 30 * 1000
+
+// Revisions fetched per API request (and the most kept for a single page)
+const PAGE_LIMIT = 50
+
+/**
+ * Reads the time of the last edit processed before shutdown
+ *
+ * @param {string} [file] - Timestamp file (epoch milliseconds, like heartbeats)
+ * @returns {Date|null} Last processed time, or null on first run
+ */
+function readLastProcessed(file = LAST_PROCESSED_FILE) {
+  try {
+    const time = parseInt(fs.readFileSync(file, 'utf8'), 10)
+    return isNaN(time) ? null : new Date(time)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Saves the time of the most recently processed edit
+ *
+ * @param {number} [time=Date.now()] - Epoch milliseconds
+ * @param {string} [file] - Timestamp file
+ */
+function writeLastProcessed(time = Date.now(), file = LAST_PROCESSED_FILE) {
+  writeFile(file, String(time))
+}
+
+/**
+ * Tracks the time of the newest processed edit, saving it at most every `interval`
+ *
+ * Edits with a `timestamp` (EventStreams, replays) are timed by when they were made;
+ * IRC edits have none and are timed by when they arrived.
+ *
+ * @param {Object} [options] - Tracker options
+ * @param {string} [options.file] - Timestamp file
+ * @param {number} [options.interval=30000] - Milliseconds between saves
+ * @returns {{ update: Function, flush: Function }} `update(edit)` after each edit,
+ *   `flush()` to save the latest time now
+ */
+function createLastProcessedTracker({ file = LAST_PROCESSED_FILE, interval = SAVE_INTERVAL } = {}) {
+  let latest = 0
+  let saved = 0
+  let savedAt = 0
+
+  function flush() {
+    if (latest > saved) {
+      writeLastProcessed(latest, file)
+      saved = latest
+    }
+    savedAt = Date.now()
+  }
+
+  return {
+    update(edit) {
+      const time = edit.timestamp ? new Date(edit.timestamp).getTime() : Date.now()
+      if (!isNaN(time) && time > latest) latest = time
+      if (Date.now() - savedAt >= interval) flush()
+    },
+    flush
+  }
+}
+
+/**
+ * Converts a revision from the revisions API to the wikichanges edit shape
+ * `parentSize` gives the size change (null if unknown); `robot` is the bot flag
+ */
+function revisionToEdit(host, wikipedia, title, revision, { parentSize, robot = false } = {}) {
+  const wikiUrl = `https://${host}`
+  const isNew = !revision.parentid
+  const url = isNew
+    ? `${wikiUrl}/w/index.php?oldid=${revision.revid}`
+    : `${wikiUrl}/w/index.php?diff=${revision.revid}&oldid=${revision.parentid}`
+
+  return {
+    flag: (isNew ? 'N' : '') + (revision.minor ? 'M' : ''),
+    page: title,
+    pageUrl: `${wikiUrl}/wiki/${title.replace(/ /g, '_')}`,
+    url,
+    delta: typeof parentSize === 'number' && typeof revision.size === 'number' ? revision.size - parentSize : null,
+    comment: revision.comment,
+    wikipedia,
+    wikipediaUrl: wikiUrl,
+    wikipediaShort: host.split('.')[0],
+    wikipediaLong: wikipedia,
+    user: revision.user,
+    userUrl: `${wikiUrl}/wiki/User:${revision.user}`,
+    newPage: isNew,
+    robot,
+    minor: Boolean(revision.minor),
+    anonymous: Boolean(revision.anon) || net.isIP(revision.user || '') !== 0,
+    namespace: getNamespace(host, title),
+    timestamp: revision.timestamp,
+    backfill: true
+  }
+}
+
+/**
+ * Lists a page's revisions made in a time range (newest first)
+ */
+async function fetchPageRevisions(host, title, since, until) {
+  const revisions = []
+  let rvcontinue
+
+  do {
+    const data = await apiRequest(host, {
+      action: 'query',
+      prop: 'revisions',
+      titles: title,
+      rvprop: ['ids', 'timestamp', 'user', 'comment', 'flags', 'size'],
+      rvstart: until.toISOString(),
+      rvend: since.toISOString(),
+      rvlimit: PAGE_LIMIT,
+      rvcontinue
+    })
+
+    const page = data.query && data.query.pages && data.query.pages[0]
+    if (!page || page.missing) break
+
+    revisions.push(...(page.revisions || []))
+    rvcontinue = data.continue && data.continue.rvcontinue
+  } while (rvcontinue && revisions.length < PAGE_LIMIT)
+
+  return revisions
+}
+
+/**
+ * Looks up the sizes of revisions (for the parents of the oldest missed revisions)
+ */
+async function fetchRevisionSizes(host, revids) {
+  const sizes = new Map()
+  for (let i = 0; i < revids.length; i += PAGE_LIMIT) {
+    const data = await apiRequest(host, {
+      action: 'query',
+      prop: 'revisions',
+      revids: revids.slice(i, i + PAGE_LIMIT),
+      rvprop: ['ids', 'size']
+    })
+    for (const page of (data.query && data.query.pages) || []) {
+      for (const revision of page.revisions || []) {
+        sizes.set(revision.revid, revision.size)
+      }
+    }
+  }
+  return sizes
+}
+
+/**
+ * Finds which of a wiki's users are in the bot group
+ * The live feeds' bot flag isn't kept on revisions, so this stands in for it
+ */
+async function fetchBots(host, users) {
+  const bots = new Set()
+  const names = users.filter(user => user && net.isIP(user) === 0)
+  for (let i = 0; i < names.length; i += PAGE_LIMIT) {
+    const data = await apiRequest(host, {
+      action: 'query',
+      list: 'users',
+      ususers: names.slice(i, i + PAGE_LIMIT),
+      usprop: ['groups']
+    })
+    for (const user of (data.query && data.query.users) || []) {
+      if ((user.groups || []).includes('bot')) bots.add(user.name)
+    }
+  }
+  return bots
+}
+
+/**
+ * Fills in a wiki's missed revisions' size changes and bot flags, as live edits have
+ * Lookup failures are logged and leave the edits as they are (delta null, not a bot)
+ */
+async function describeRevisions(host, wikipedia, pages) {
+  // A revision's parent is usually the next one in the page's list; only the oldest
+  // missed revision of each page needs its parent looked up
+  const sizes = new Map()
+  for (const { revisions } of pages) {
+    for (const revision of revisions) sizes.set(revision.revid, revision.size)
+  }
+  const unknown = pages.flatMap(({ revisions }) => revisions)
+    .map(revision => revision.parentid)
+    .filter(parentid => parentid && !sizes.has(parentid))
+
+  try {
+    for (const [revid, size] of await fetchRevisionSizes(host, [...new Set(unknown)])) {
+      sizes.set(revid, size)
+    }
+  } catch (error) {
+    console.error(`Backfill: failed to fetch revision sizes on ${host}:`, error.message)
+  }
+
+  let bots = new Set()
+  try {
+    const users = pages.flatMap(({ revisions }) => revisions.map(revision => revision.user))
+    bots = await fetchBots(host, [...new Set(users)])
+  } catch (error) {
+    console.error(`Backfill: failed to look up bots on ${host}:`, error.message)
+  }
+
+  return pages.flatMap(({ title, revisions }) => revisions.map(revision => {
+    // New pages grow from nothing
+    const parentSize = revision.parentid ? sizes.get(revision.parentid) : 0
+    return revisionToEdit(host, wikipedia, title, revision, { parentSize, robot: bots.has(revision.user) })
+  }))
+}
+
+/**
+ * Finds edits to watched pages made between `since` and `until`
+ *
+ * Only explicitly listed watchlist pages are checked (not pattern rules or watched
+ * categories). Failures for one page are logged and skipped so a single bad title
+ * doesn't abort the backfill.
+ *
+ * @param {Object} watchlist - Account watchlist ({ [wiki name]: { [title]: true } })
+ * @param {Date} since - Time of the last processed edit
+ * @param {Object} [options] - Backfill options
+ * @param {Date} [options.until=new Date()] - End of the missed window
+ * @param {number} [options.limit=20] - Maximum edits to return (most recent are kept)
+ * @returns {Promise<Array<Object>>} Missed edits, oldest first
+ */
+async function findMissedEdits(watchlist, since, { until = new Date(), limit = DEFAULT_MAX_EDITS } = {}) {
+  let edits = []
+
+  for (const wikipedia of Object.keys(watchlist || {})) {
+    const host = getWikiHost(wikipedia)
+    if (!host) {
+      console.error(`Backfill: unknown wiki "${wikipedia}" - skipping`)
+      continue
+    }
+
+    const pages = []
+    for (const title of Object.keys(watchlist[wikipedia])) {
+      if (!watchlist[wikipedia][title] || isPattern(title)) continue
+
+      try {
+        const revisions = await fetchPageRevisions(host, title, since, until)
+        if (revisions.length) pages.push({ title, revisions })
+      } catch (error) {
+        console.error(`Backfill: failed to fetch revisions for ${title}:`, error.message)
+      }
+    }
+
+    if (pages.length) {
+      edits.push(...await describeRevisions(host, wikipedia, pages))
+    }
+  }
+
+  edits.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  if (edits.length > limit) {
+    console.log(`Backfill: found ${edits.length} missed edits, keeping the most recent ${limit}`)
+    edits = edits.slice(-limit)
+  }
+
+  return edits
+}
+
+module.exports = {
+  findMissedEdits,
+  readLastProcessed,
+  writeLastProcessed,
+  createLastProcessedTracker,
+  DEFAULT_MAX_EDITS,
+  LAST_PROCESSED_FILE
+}
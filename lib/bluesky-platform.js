@@ -12,6 +12,25 @@ const fs = require('fs')
 const { createAuthenticatedAgent } = require('./bluesky-client')
 const { buildFacets } = require('./bluesky-utils')
 
+// Chat API is served by api.bsky.chat, not routed through the account's PDS
+const CHAT_SERVICE = 'https://api.bsky.chat/xrpc'
+
+// Bluesky counts graphemes; links don't shorten
+const MAX_LENGTH = 300
+
+/**
+ * Formats post text for Bluesky
+ *
+ * Bluesky posts keep the text as-is: links are attached as rich text facets rather than
+ * written into the text.
+ *
+ * @param {string} text - Post text
+ * @returns {string} Text to post
+ */
+function formatText(text) {
+  return text
+}
+
 /**
  * Posts to Bluesky with screenshot and rich text facets
  *
@@ -30,6 +49,7 @@ const { buildFacets } = require('./bluesky-utils')
  * @param {string} options.metadata.name - Username/IP
  * @param {string} options.metadata.pageUrl - Wikipedia article URL
  * @param {string} options.metadata.userUrl - User contributions URL
+ * @param {Object} [options.replyTo] - Post to reply to, as for postText()
  * @returns {Promise<Object>} Bluesky post response with URI and CID
  * @throws {Error} If authentication, upload, or posting fails
  *
@@ -46,7 +66,7 @@ const { buildFacets } = require('./bluesky-utils')
  *   }
  * })
  */
-async function post({ account, text, screenshot, metadata }) {
+async function post({ account, text, screenshot, metadata, replyTo }) {
   // Authenticate
   const agent = await createAuthenticatedAgent(account)
 
@@ -66,8 +86,8 @@ async function post({ account, text, screenshot, metadata }) {
   )
 
   // Create post with embedded image
-  return await agent.post({
-    text: text,
+  const record = {
+    text: formatText(text),
     facets: facets,
     embed: {
       $type: 'app.bsky.embed.images',
@@ -77,7 +97,153 @@ async function post({ account, text, screenshot, metadata }) {
       }]
     },
     createdAt: new Date().toISOString()
+  }
+  if (replyTo) {
+    record.reply = replyTo
+  }
+
+  return await agent.post(record)
+}
+
+/**
+ * Posts text to Bluesky without media, optionally as a reply
+ *
+ * Used for follow-ups such as revert notices, which are threaded under the original
+ * post rather than carrying their own screenshot.
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Bluesky account config (identifier, password, service)
+ * @param {string} options.text - Post text
+ * @param {Object} [options.metadata] - Post metadata for links (as for post())
+ * @param {Object} [options.replyTo] - Post to reply to
+ * @param {Object} options.replyTo.root - { uri, cid } of the thread's first post
+ * @param {Object} options.replyTo.parent - { uri, cid } of the post being replied to
+ * @returns {Promise<Object>} Bluesky post response with URI and CID
+ * @throws {Error} If authentication or posting fails
+ *
+ * @example
+ * await postText({
+ *   account: { identifier: 'bot.bsky.social', password: 'app-pass' },
+ *   text: 'Reverted by ClueBot NG after 12 minutes',
+ *   replyTo: { root: original, parent: original }
+ * })
+ */
+async function postText({ account, text, metadata = {}, replyTo }) {
+  const agent = await createAuthenticatedAgent(account)
+
+  const facets = buildFacets(
+    text,
+    metadata.page,
+    metadata.name,
+    metadata.pageUrl,
+    metadata.userUrl
+  )
+
+  const record = {
+    text: formatText(text),
+    facets: facets,
+    createdAt: new Date().toISOString()
+  }
+  if (replyTo) {
+    record.reply = replyTo
+  }
+
+  return await agent.post(record)
+}
+
+/**
+ * Sends a direct message to the operator
+ *
+ * The recipient must already have a conversation with the bot account: Bluesky doesn't
+ * let accounts start chats with people who haven't messaged them.
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.account - Bluesky account config (identifier, password, service)
+ * @param {string} options.recipient - Handle to message, e.g. 'operator.bsky.social'
+ * @param {string} options.text - Message text
+ * @param {Object} [options.metadata] - Post metadata for clickable links (as for post())
+ * @returns {Promise<void>}
+ * @throws {Error} If authentication fails or there is no conversation with the recipient
+ */
+async function sendAlert({ account, recipient, text, metadata }) {
+  const agent = await createAuthenticatedAgent(account)
+  const accessJwt = agent.session.accessJwt
+
+  // Build facets for clickable links (same as regular post)
+  const facets = metadata
+    ? buildFacets(text, metadata.page, metadata.name, metadata.pageUrl, metadata.userUrl)
+    : []
+
+  const convoResponse = await fetch(`${CHAT_SERVICE}/chat.bsky.convo.listConvos?limit=100`, {
+    headers: {
+      'Authorization': `Bearer ${accessJwt}`
+    }
+  })
+
+  const convosData = await convoResponse.json()
+
+  if (convosData.error) {
+    throw new Error(`Failed to list conversations: ${convosData.error}`)
+  }
+
+  const convo = convosData.convos.find(c =>
+    c.members.some(m => m.handle === recipient)
+  )
+
+  if (!convo) {
+    throw new Error(`No existing conversation with ${recipient}`)
+  }
+
+  await fetch(`${CHAT_SERVICE}/chat.bsky.convo.sendMessage`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessJwt}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      convoId: convo.id,
+      message: {
+        text: text,
+        facets: facets
+      }
+    })
   })
 }
 
-module.exports = { post }
+/**
+ * Picks the identifiers of a new post to keep in the post ledger
+ *
+ * @param {Object} result - Response from post() or postText()
+ * @param {Object} [replyTo] - The replyTo the post was made with
+ * @returns {Object} `{ uri, cid }`, plus the thread's `root` for replies
+ */
+function toLedger(result, replyTo) {
+  const ids = { uri: result.uri, cid: result.cid }
+  if (replyTo) {
+    ids.root = replyTo.root
+  }
+  return ids
+}
+
+/**
+ * Builds the replyTo for answering a post recorded in the ledger
+ *
+ * @param {Object} entry - Ledger entry of the post to reply to
+ * @returns {Object} `{ root, parent }` for post() and postText()
+ */
+function replyTarget(entry) {
+  const parent = { uri: entry.uri, cid: entry.cid }
+  return { root: entry.root || parent, parent }
+}
+
+module.exports = {
+  name: 'bluesky',
+  label: 'Bluesky',
+  MAX_LENGTH,
+  formatText,
+  post,
+  postText,
+  sendAlert,
+  toLedger,
+  replyTarget
+}
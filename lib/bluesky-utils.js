@@ -8,7 +8,7 @@
  */
 
 /**
- * Creates Bluesky facets for article name, username, and URLs in post text
+ * Creates Bluesky facets for article name, username, URLs and hashtags in post text
  *
  * Bluesky uses "facets" to mark up ranges of text as links. Each facet
  * specifies a byte range (not character range) and a link URI. This function
@@ -89,6 +89,21 @@ function buildFacets(text, page, name, pageUrl, userUrl) {
     })
   }
 
+  // Hashtag facets (e.g. "#Breaking" from keyword alerts), so tags are clickable
+  const tagPattern = /(^|\s)#([^\s#]+)/g
+  while ((match = tagPattern.exec(text)) !== null) {
+    const start = match.index + match[1].length
+    const byteStart = Buffer.byteLength(text.substring(0, start), 'utf8')
+    const byteEnd = byteStart + Buffer.byteLength(`#${match[2]}`, 'utf8')
+    facets.push({
+      index: { byteStart, byteEnd },
+      features: [{
+        $type: 'app.bsky.richtext.facet#tag',
+        tag: match[2]
+      }]
+    })
+  }
+
   return facets
 }
 
@@ -0,0 +1,210 @@
+/**
+ * Category Watchlists
+ *
+ * Expands watched Wikipedia categories (e.g. "Members of the San Francisco Board of
+ * Supervisors") into the set of articles they contain, so new members are watched
+ * without hand-editing config.json. This is the runtime version of
+ * scripts/find-articles-in-categories.js.
+ *
+ * Configured per account:
+ *
+ *   "watch_categories": {
+ *     "English Wikipedia": ["Members of the San Francisco Board of Supervisors"]
+ *   },
+ *   "category_depth": 1,          // levels of subcategories to follow (default 0)
+ *   "category_refresh_hours": 24  // how often to re-expand (default 24)
+ *
+ * Expansions are cached in data/category-watchlist.json so a restart doesn't re-query
+ * every category, and a failed refresh falls back to the last good member list. The
+ * cache is keyed by wiki, category and depth ("Category name|1"), so accounts following
+ * the same category to different depths keep their own member lists.
+ *
+ * @see https://www.mediawiki.org/wiki/API:Categorymembers
+ */
+
+const fs = require('fs')
+const { getWikiHost, apiRequest } = require('./mediawiki')
+const { dataPath, writeFile } = require('./data-files')
+
+const CACHE_FILE = dataPath('category-watchlist.json')
+const DEFAULT_REFRESH_HOURS = 24
+
+const NS_ARTICLE = 0
+const NS_CATEGORY = 14
+
+// Expanded page sets per account: account -> Map(wiki name -> Set(title))
+const accountPages = new WeakMap()
+
+function categoryTitle(category) {
+  return category.startsWith('Category:') ? category : `Category:${category}`
+}
+
+/**
+ * Lists the articles in a category, following subcategories up to `depth` levels
+ *
+ * @param {string} host - Wiki hostname
+ * @param {string} category - Category name (with or without the "Category:" prefix)
+ * @param {number} [depth=0] - Levels of subcategories to follow
+ * @returns {Promise<Array<string>>} Article titles, sorted
+ */
+async function expandCategory(host, category, depth = 0) {
+  const pages = new Set()
+  const visited = new Set()
+  let level = [categoryTitle(category)]
+
+  for (let d = 0; d <= depth && level.length > 0; d++) {
+    const next = []
+
+    for (const title of level) {
+      if (visited.has(title)) continue
+      visited.add(title)
+
+      let cmcontinue
+      do {
+        const data = await apiRequest(host, {
+          action: 'query',
+          list: 'categorymembers',
+          cmtitle: title,
+          cmnamespace: [NS_ARTICLE, NS_CATEGORY],
+          cmlimit: 500,
+          cmcontinue
+        })
+
+        for (const member of data.query.categorymembers) {
+          if (member.ns === NS_ARTICLE) pages.add(member.title)
+          else if (member.ns === NS_CATEGORY) next.push(member.title)
+        }
+        cmcontinue = data.continue && data.continue.cmcontinue
+      } while (cmcontinue)
+    }
+
+    level = next
+  }
+
+  return Array.from(pages).sort()
+}
+
+function readCache(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+// Titles can't contain "|", so it can't clash with a category name
+function cacheKey(category, depth) {
+  return `${category}|${depth}`
+}
+
+function writeCache(file, cache) {
+  writeFile(file, JSON.stringify(cache, null, 2))
+}
+
+/**
+ * Re-expands an account's watched categories
+ *
+ * Cached expansions at the same depth younger than `category_refresh_hours` are
+ * reused. If a category can't be fetched, its last cached member list at that depth is
+ * kept.
+ *
+ * @param {Object} account - Account config
+ * @param {Object} [options] - Refresh options
+ * @param {string} [options.cacheFile] - Cache location (defaults to data/category-watchlist.json)
+ * @param {boolean} [options.force=false] - Ignore cache age and re-query every category
+ * @returns {Promise<number>} Number of distinct pages now watched via categories
+ */
+async function refreshCategories(account, { cacheFile = CACHE_FILE, force = false } = {}) {
+  const categories = account.watch_categories || {}
+  const depth = account.category_depth || 0
+  const maxAge = (account.category_refresh_hours || DEFAULT_REFRESH_HOURS) * 60 * 60 * 1000
+  const cache = readCache(cacheFile)
+  const pagesByWiki = new Map()
+  let total = 0
+
+  for (const wikipedia of Object.keys(categories)) {
+    const host = getWikiHost(wikipedia)
+    if (!host) {
+      console.error(`Category watchlist: unknown wiki "${wikipedia}" - skipping`)
+      continue
+    }
+
+    const pages = new Set()
+    cache[wikipedia] = cache[wikipedia] || {}
+
+    for (const category of [].concat(categories[wikipedia])) {
+      const key = cacheKey(category, depth)
+      const cached = cache[wikipedia][key]
+      const fresh = cached && Date.now() - new Date(cached.fetched_at).getTime() < maxAge
+
+      let members = cached ? cached.pages : []
+      if (force || !fresh) {
+        try {
+          members = await expandCategory(host, category, depth)
+          cache[wikipedia][key] = { depth, fetched_at: new Date().toISOString(), pages: members }
+        } catch (error) {
+          console.error(`Category watchlist: failed to expand ${category}:`, error.message)
+        }
+      }
+
+      members.forEach(page => pages.add(page))
+    }
+
+    pagesByWiki.set(wikipedia, pages)
+    total += pages.size
+  }
+
+  writeCache(cacheFile, cache)
+  accountPages.set(account, pagesByWiki)
+  return total
+}
+
+/**
+ * Checks whether a page belongs to one of an account's watched categories
+ * (as of the last refresh)
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name (e.g. 'English Wikipedia')
+ * @param {string} page - Page title
+ * @returns {boolean} True if the page is a category member
+ */
+function isCategoryMember(account, wikipedia, page) {
+  const pagesByWiki = accountPages.get(account)
+  const pages = pagesByWiki && pagesByWiki.get(wikipedia)
+  return Boolean(pages && pages.has(page))
+}
+
+/**
+ * Expands watched categories for every account now and on each account's schedule
+ *
+ * @param {Array<Object>} accounts - Account configs
+ * @param {Object} [options] - Passed to refreshCategories
+ * @returns {Promise<void>} Resolves once the initial expansion is done
+ */
+async function startCategoryRefresh(accounts, options = {}) {
+  for (const account of accounts) {
+    if (!account.watch_categories) continue
+
+    const refresh = async (force) => {
+      try {
+        const count = await refreshCategories(account, { ...options, force })
+        console.log(`Category watchlist: watching ${count} pages from categories`)
+      } catch (error) {
+        console.error('Category watchlist refresh failed:', error.message)
+      }
+    }
+
+    // Reuse a fresh cache at startup; scheduled refreshes always re-query
+    await refresh(false)
+    const hours = account.category_refresh_hours || DEFAULT_REFRESH_HOURS
+    setInterval(() => refresh(true), hours * 60 * 60 * 1000).unref()
+  }
+}
+
+module.exports = {
+  expandCategory,
+  refreshCategories,
+  isCategoryMember,
+  startCategoryRefresh,
+  CACHE_FILE
+}
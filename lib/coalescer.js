@@ -0,0 +1,142 @@
+/**
+ * Edit Coalescing
+ *
+ * Editors often save several edits to one article within a few minutes. Rather than
+ * post (and screenshot) each one, the first matching edit is held for a window and
+ * follow-ups by the same editor to the same page are absorbed into it. When the window
+ * closes a single combined edit is posted, with a diff URL spanning the whole burst.
+ *
+ * Only consecutive edits are combined: an edit to the page by anyone else posts the
+ * burst so far, since a diff spanning it would credit their changes to the editor.
+ *
+ * Enabled per account with `coalesce_minutes`.
+ */
+
+/**
+ * Builds the diff URL covering a run of consecutive edits
+ *
+ * Goes from the revision before the first edit to the last edit's revision. If the first
+ * edit created the page there is no earlier revision, so the last revision is linked.
+ *
+ * @param {string} firstUrl - Diff URL of the first edit
+ * @param {string} lastUrl - Diff URL of the last edit
+ * @returns {string} Combined diff URL
+ *
+ * @example
+ * combinedDiffUrl(
+ *   'https://en.wikipedia.org/w/index.php?diff=101&oldid=100',
+ *   'https://en.wikipedia.org/w/index.php?diff=105&oldid=104'
+ * ) // 'https://en.wikipedia.org/w/index.php?diff=105&oldid=100'
+ */
+function combinedDiffUrl(firstUrl, lastUrl) {
+  const first = new URL(firstUrl)
+  const last = new URL(lastUrl)
+  const lastRevision = last.searchParams.get('diff') || last.searchParams.get('oldid')
+  const firstParent = first.searchParams.get('diff') ? first.searchParams.get('oldid') : null
+
+  const url = new URL(last.origin + last.pathname)
+  if (firstParent) {
+    url.searchParams.set('diff', lastRevision)
+    url.searchParams.set('oldid', firstParent)
+  } else {
+    url.searchParams.set('oldid', lastRevision)
+  }
+  return url.toString()
+}
+
+/**
+ * Merges consecutive edits by one editor to one page into a single edit
+ *
+ * @param {Array<Object>} edits - Edits in the order they were made
+ * @returns {Object} Last edit with a combined url, summed delta and an `edits` count
+ */
+function combineEdits(edits) {
+  const first = edits[0]
+  const last = edits[edits.length - 1]
+  if (edits.length === 1) return Object.assign({}, first, { edits: 1 })
+
+  const deltas = edits.map(edit => edit.delta)
+
+  return Object.assign({}, last, {
+    url: combinedDiffUrl(first.url, last.url),
+    delta: deltas.every(delta => typeof delta === 'number') ? deltas.reduce((a, b) => a + b, 0) : null,
+    newPage: Boolean(first.newPage),
+    edits: edits.length
+  })
+}
+
+/**
+ * Creates a coalescer that groups items by key for a fixed window
+ *
+ * Each group belongs to a run (e.g. the editor): an item or interruption from another
+ * run closes the group early.
+ *
+ * @param {Object} options - Coalescer options
+ * @param {number} options.windowMs - How long to hold the first item of a group
+ * @param {Function} options.onFlush - Called with (items) when a group's window closes;
+ *   may return a Promise
+ * @returns {{ add: Function, interrupt: Function, flushAll: Function, size: Function }} Coalescer
+ */
+function createCoalescer({ windowMs, onFlush }) {
+  const pending = new Map()
+
+  async function flush(key) {
+    const group = pending.get(key)
+    if (!group) return
+
+    clearTimeout(group.timer)
+    pending.delete(key)
+    try {
+      await onFlush(group.items)
+    } catch (error) {
+      console.error('Coalesced post failed:', error.message)
+    }
+  }
+
+  return {
+    /**
+     * Holds an item, starting a window if it's the first of its group
+     * An open group from another run is flushed first
+     * @returns {boolean} True if the item started a new group
+     */
+    add(key, item, run) {
+      const group = pending.get(key)
+      if (group && group.run === run) {
+        group.items.push(item)
+        return false
+      }
+      if (group) flush(key)
+
+      pending.set(key, {
+        run,
+        items: [item],
+        timer: setTimeout(() => flush(key), windowMs)
+      })
+      return true
+    },
+
+    /**
+     * Flushes the open group for a key if it belongs to another run
+     * @returns {Promise} Settles once the group, if any, has been flushed
+     */
+    interrupt(key, run) {
+      const group = pending.get(key)
+      return group && group.run !== run ? flush(key) : Promise.resolve()
+    },
+
+    /** Posts every held group now (e.g. when a replay ends) */
+    flushAll() {
+      return Promise.all(Array.from(pending.keys()).map(flush))
+    },
+
+    size() {
+      return pending.size
+    }
+  }
+}
+
+module.exports = {
+  combinedDiffUrl,
+  combineEdits,
+  createCoalescer
+}
@@ -0,0 +1,66 @@
+/**
+ * Data Files
+ *
+ * Where the bot keeps its state (post ledger, queue, history, caches) and how it writes
+ * there. In production data/ is a mounted volume. Set SFEDITS_DATA_DIR to keep the
+ * state somewhere else, e.g. a temporary directory for tests.
+ *
+ * Writes create missing directories. A write that still fails (full disk, permissions)
+ * is logged and reported to the caller instead of thrown, so one bad write doesn't
+ * stop the bot, but it never goes unnoticed either.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DATA_DIR = process.env.SFEDITS_DATA_DIR || path.join(__dirname, '..', 'data')
+
+/**
+ * Resolves a path inside the data directory
+ *
+ * @param {...string} parts - Path segments, e.g. 'queue', 'dead'
+ * @returns {string} Absolute path
+ */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts)
+}
+
+function write(method, file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs[method](file, data)
+    return true
+  } catch (error) {
+    console.error(`Failed to write ${file}:`, error.message)
+    return false
+  }
+}
+
+/**
+ * Replaces a file's contents
+ *
+ * @param {string} file - File path
+ * @param {string|Buffer} data - New contents
+ * @returns {boolean} True if written; failures are logged
+ */
+function writeFile(file, data) {
+  return write('writeFileSync', file, data)
+}
+
+/**
+ * Appends to a file
+ *
+ * @param {string} file - File path
+ * @param {string|Buffer} data - Data to append
+ * @returns {boolean} True if written; failures are logged
+ */
+function appendFile(file, data) {
+  return write('appendFileSync', file, data)
+}
+
+module.exports = {
+  dataPath,
+  writeFile,
+  appendFile,
+  DATA_DIR
+}
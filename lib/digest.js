@@ -0,0 +1,309 @@
+/**
+ * Digests
+ *
+ * Daily and weekly roundups of activity on watched articles, built from the edit history
+ * (see lib/history) and posted as a short thread on every platform the account uses:
+ *
+ *   Daily digest for Sunday, October 18: 34 edits to 12 watched articles by 20 editors,
+ *   counting the 9 we didn't post.
+ *   └ 14 edits (41%) were anonymous, 20 by registered editors. 5 of the 12 anonymous
+ *     edits we could locate (42%) came from outside the US.
+ *     └ Most edited:
+ *       1. London Breed (8)
+ *       2. ...
+ *
+ * A daily digest covers the previous calendar day and a weekly digest the seven days
+ * before `weekday`, both in the server's time zone. Each is posted once `hour` has
+ * passed; a bot that was down at that time posts it when it comes back. Published
+ * digests are recorded in the post ledger, so a restart never posts one twice, and so is
+ * each post of a thread, so a thread that failed partway is finished rather than reposted.
+ *
+ * The numbers cover every edit to the watched articles, including ones the bot didn't
+ * post (filtered, blocked by screening, dropped after post_delay); the first post says
+ * how many of those there were.
+ *
+ * Configured per account:
+ *
+ *   "digest": { "daily": true, "weekly": true, "hour": 9, "weekday": 1, "top": 5 }
+ */
+
+const history = require('./history')
+const ledger = require('./post-ledger')
+const { PLATFORMS, configuredPlatforms } = require('./platforms')
+
+const PERIODS = ['daily', 'weekly']
+const DEFAULT_HOUR = 9
+const DEFAULT_WEEKDAY = 1 // Monday
+const DEFAULT_TOP = 5
+const CHECK_MINUTES = 10
+
+// Digests are the same on every platform, so they fit the strictest one
+const MAX_POST_LENGTH = Math.min(...PLATFORMS.map(platform => platform.MAX_LENGTH))
+
+// Outcomes that aren't a separate edit: the same edit seen twice. Drafts posted from
+// the admin console (`source: 'admin'`) were already counted when the bot saved them
+const NOT_COUNTED = ['duplicate']
+
+// Outcomes of edits the bot posted
+const POSTED = ['posted', 'partial']
+
+/**
+ * Works out the span of the latest digest for a period and when to post it
+ *
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Object} [options] - Account's digest config (`hour`, `weekday`)
+ * @param {Date} [now] - Current time
+ * @returns {{ period: string, from: Date, to: Date, publishAt: Date }} Span covered
+ *   (`to` exclusive) and the earliest time to post it
+ */
+function periodRange(period, options = {}, now = new Date()) {
+  const to = new Date(now)
+  to.setHours(0, 0, 0, 0)
+
+  if (period === 'weekly') {
+    const weekday = options.weekday ?? DEFAULT_WEEKDAY
+    to.setDate(to.getDate() - ((to.getDay() - weekday + 7) % 7))
+  }
+
+  const from = new Date(to)
+  from.setDate(from.getDate() - (period === 'weekly' ? 7 : 1))
+
+  const publishAt = new Date(to)
+  publishAt.setHours(options.hour ?? DEFAULT_HOUR)
+
+  return { period, from, to, publishAt }
+}
+
+/**
+ * Adds up edit history records
+ *
+ * @param {Array<Object>} records - History records (see lib/history)
+ * @returns {Object} { edits, posted, pages: [{ article, edits }] most edited first,
+ *   editors, anonymous, registered, located, outsideUs }
+ */
+function summarize(records) {
+  const pages = new Map()
+  const editors = new Set()
+  const summary = { edits: 0, posted: 0, anonymous: 0, located: 0, outsideUs: 0 }
+
+  for (const record of records) {
+    if (NOT_COUNTED.includes(record.outcome) || record.source === 'admin') continue
+
+    // Coalesced bursts count every edit in them
+    const count = record.edits || 1
+    summary.edits += count
+    if (POSTED.includes(record.outcome)) summary.posted += count
+    pages.set(record.article, (pages.get(record.article) || 0) + count)
+    editors.add(record.editor)
+
+    if (record.anonymous) {
+      summary.anonymous += count
+      if (record.geolocation) {
+        summary.located += count
+        if (record.geolocation !== 'US') summary.outsideUs += count
+      }
+    }
+  }
+
+  return {
+    ...summary,
+    registered: summary.edits - summary.anonymous,
+    editors: editors.size,
+    pages: Array.from(pages, ([article, edits]) => ({ article, edits }))
+      .sort((a, b) => b.edits - a.edits || a.article.localeCompare(b.article))
+  }
+}
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word}s`}`
+}
+
+function percent(part, whole) {
+  return `${Math.round((part / whole) * 100)}%`
+}
+
+function describePeriod(range) {
+  const day = { month: 'long', day: 'numeric' }
+  if (range.period === 'weekly') {
+    const last = new Date(range.to)
+    last.setDate(last.getDate() - 1)
+    return `the week of ${range.from.toLocaleDateString('en-US', day)} to ${last.toLocaleDateString('en-US', day)}`
+  }
+  return range.from.toLocaleDateString('en-US', { weekday: 'long', ...day })
+}
+
+/**
+ * Words a digest as a thread of posts, each short enough for every platform
+ *
+ * @param {Object} summary - From summarize()
+ * @param {Object} range - From periodRange()
+ * @param {Object} [options] - Account's digest config (`top`: pages to list)
+ * @returns {Array<string>} Posts, in thread order
+ */
+function formatDigest(summary, range, options = {}) {
+  const title = range.period === 'weekly' ? 'Weekly' : 'Daily'
+  const unposted = summary.edits - summary.posted
+  const posts = [
+    `${title} digest for ${describePeriod(range)}: ${plural(summary.edits, 'edit')} to ` +
+    `${plural(summary.pages.length, 'watched article')} by ${plural(summary.editors, 'editor')}` +
+    (unposted ? `, counting the ${unposted} we didn't post.` : '.')
+  ]
+
+  let breakdown = `${plural(summary.anonymous, 'edit')} (${percent(summary.anonymous, summary.edits)}) ` +
+    `${summary.anonymous === 1 ? 'was' : 'were'} anonymous, ` +
+    `${summary.registered} by ${summary.registered === 1 ? 'a registered editor' : 'registered editors'}.`
+  if (summary.located) {
+    breakdown += ` ${summary.outsideUs} of the ${plural(summary.located, 'anonymous edit')} we could locate ` +
+      `(${percent(summary.outsideUs, summary.located)}) came from outside the US.`
+  }
+  posts.push(breakdown)
+
+  // Most edited pages, split over as many posts as it takes
+  const lines = summary.pages
+    .slice(0, options.top || DEFAULT_TOP)
+    .map((page, i) => `${i + 1}. ${page.article} (${page.edits})`.slice(0, MAX_POST_LENGTH))
+  let current = 'Most edited:'
+  for (const line of lines) {
+    if (current.length + 1 + line.length > MAX_POST_LENGTH) {
+      posts.push(current)
+      current = line
+    } else {
+      current += `\n${line}`
+    }
+  }
+  posts.push(current)
+
+  return posts
+}
+
+/**
+ * Builds an account's digest for a period from the edit history
+ *
+ * @param {Object} account - Account config
+ * @param {Object} range - From periodRange()
+ * @param {Object} [historyFiles] - Passed to history.find()
+ * @returns {{ range: Object, summary: Object, posts: Array<string> }} The digest
+ */
+function buildDigest(account, range, historyFiles) {
+  const label = ledger.accountLabel(account)
+  const records = history.find({
+    from: range.from.toISOString(),
+    to: new Date(range.to.getTime() - 1).toISOString(),
+    limit: Infinity
+  }, historyFiles).filter(record => record.account === label)
+
+  const summary = summarize(records)
+  return { range, summary, posts: formatDigest(summary, range, account.digest) }
+}
+
+// A thread post's identifiers, without the digest fields it was recorded under
+function partIds(entry) {
+  const { period, from, part, ...ids } = ledger.postIds(entry)
+  return ids
+}
+
+/**
+ * Posts a thread: each post replies to the one before it
+ *
+ * Each post is recorded in the ledger as a `digest-part` as soon as it's up, so a thread
+ * that fails partway carries on under its last post next time instead of starting over.
+ *
+ * @param {Object} platform - Platform module (see lib/platforms)
+ * @param {Object} account - Account config
+ * @param {Array<string>} posts - Post texts
+ * @param {Object} key - Ledger fields identifying the digest (`type`, `account`,
+ *   `period`, `from`)
+ * @returns {Promise<Object>} Ledger identifiers of the thread's first post
+ */
+async function postThread(platform, account, posts, key) {
+  const partKey = { ...key, type: 'digest-part', platform: platform.name }
+  const posted = ledger.find(partKey)
+  let first = posted.length ? partIds(posted[0]) : null
+  let previous = posted.length ? partIds(posted[posted.length - 1]) : null
+
+  for (let part = posted.length; part < posts.length; part++) {
+    const replyTo = previous ? platform.replyTarget(previous) : undefined
+    const result = await platform.postText({ account: account[platform.name], text: posts[part], replyTo })
+    previous = platform.toLedger(result, replyTo)
+    ledger.record({ ...partKey, part, ...previous })
+    first = first || previous
+  }
+  return first
+}
+
+/**
+ * Posts a digest on every platform it hasn't been posted on yet
+ *
+ * @param {Object} account - Account config
+ * @param {Object} digest - From buildDigest()
+ * @returns {Promise<boolean>} True once nothing is left to post
+ */
+async function publishDigest(account, digest) {
+  const label = ledger.accountLabel(account)
+  const key = { type: 'digest', account: label, period: digest.range.period, from: digest.range.from.toISOString() }
+
+  let complete = true
+  for (const platform of configuredPlatforms(account)) {
+    if (ledger.find({ ...key, platform: platform.name }).length) continue
+
+    try {
+      const ids = await postThread(platform, account, digest.posts, key)
+      ledger.record({ ...key, platform: platform.name, to: digest.range.to.toISOString(), ...ids })
+      console.log(`✓ Posted ${digest.range.period} digest to ${platform.label}`)
+    } catch (error) {
+      console.error(`${digest.range.period} digest failed on ${platform.label}:`, error.message)
+      complete = false
+    }
+  }
+  return complete
+}
+
+/**
+ * Posts each account's digests when they are due, checking every few minutes
+ *
+ * @param {Array<Object>} accounts - Account configs
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.noop] - Log digests instead of posting them
+ * @param {number} [options.checkMinutes=10] - How often to check
+ */
+function startDigests(accounts, { noop = false, checkMinutes = CHECK_MINUTES } = {}) {
+  const done = new Set()
+
+  const check = async account => {
+    for (const period of PERIODS.filter(period => account.digest[period])) {
+      const range = periodRange(period, account.digest)
+      const key = `${ledger.accountLabel(account)}|${period}|${range.from.toISOString()}`
+      if (done.has(key) || Date.now() < range.publishAt.getTime()) continue
+
+      const digest = buildDigest(account, range)
+      if (!digest.summary.edits) {
+        console.log(`No edits for the ${period} digest - skipping`)
+        done.add(key)
+        continue
+      }
+
+      console.log(digest.posts.join('\n\n'))
+      if (noop || await publishDigest(account, digest)) {
+        done.add(key)
+      }
+    }
+  }
+
+  for (const account of accounts) {
+    if (!account.digest) continue
+
+    const run = () => check(account).catch(error => console.error('Digest failed:', error.message))
+    run()
+    setInterval(run, checkMinutes * 60 * 1000).unref()
+  }
+}
+
+module.exports = {
+  periodRange,
+  summarize,
+  formatDigest,
+  buildDigest,
+  publishDigest,
+  startDigests,
+  MAX_POST_LENGTH
+}
@@ -0,0 +1,202 @@
+/**
+ * Discord Platform Posting
+ *
+ * Posts to a Discord channel through an incoming webhook. Edits become a rich embed
+ * linking the article and the editor, with the editor's country for anonymous edits
+ * and the diff screenshot attached.
+ *
+ * Webhooks can only post to their own channel: they can't reply to a message or DM
+ * anyone. Operator alerts go to a second webhook, for a private channel, given as
+ * `pii_alerts.discord_recipient`.
+ *
+ * @see https://discord.com/developers/docs/resources/webhook#execute-webhook
+ */
+
+const fs = require('fs')
+const { countryToFlag } = require('./geolocation')
+
+// Limit on message content; an embed description may be longer (4096)
+const MAX_LENGTH = 2000
+
+// Wikipedia's link blue
+const EMBED_COLOR = 0x3366cc
+
+const SCREENSHOT_NAME = 'screenshot.png'
+
+/**
+ * Formats post text for Discord
+ *
+ * Discord posts keep the text as-is: the embed links the article and editor.
+ *
+ * @param {string} text - Post text
+ * @returns {string} Text to post
+ */
+function formatText(text) {
+  return text
+}
+
+/**
+ * Executes a webhook, with the screenshot as an attachment if given
+ * Waits for the message so its ID can be kept in the ledger
+ */
+async function execute(webhookUrl, payload, screenshot) {
+  if (!webhookUrl) {
+    throw new Error('Discord webhook_url is not configured')
+  }
+
+  const url = new URL(webhookUrl)
+  url.searchParams.set('wait', 'true')
+
+  // Never ping anyone because of what an article or editor name says
+  const message = { ...payload, allowed_mentions: { parse: [] } }
+
+  let request
+  if (screenshot) {
+    const form = new FormData()
+    form.append('payload_json', JSON.stringify({
+      ...message,
+      attachments: [{ id: 0, filename: SCREENSHOT_NAME }]
+    }))
+    form.append('files[0]', new Blob([fs.readFileSync(screenshot)], { type: 'image/png' }), SCREENSHOT_NAME)
+    request = { method: 'POST', body: form }
+  } else {
+    request = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    }
+  }
+
+  const response = await fetch(url, request)
+  if (!response.ok) {
+    throw new Error(`Discord webhook returned ${response.status}: ${await response.text()}`)
+  }
+  return await response.json()
+}
+
+/**
+ * Builds the embed for an edit
+ */
+function buildEmbed(text, metadata) {
+  const embed = {
+    title: metadata.page,
+    url: metadata.pageUrl,
+    description: formatText(text),
+    color: EMBED_COLOR,
+    timestamp: new Date().toISOString()
+  }
+  if (metadata.name) {
+    embed.author = { name: metadata.name, url: metadata.userUrl }
+  }
+  if (metadata.country) {
+    embed.fields = [{ name: 'Location', value: `${countryToFlag(metadata.country)} ${metadata.country}`, inline: true }]
+  }
+  return embed
+}
+
+/**
+ * Posts an edit to Discord as an embed with the screenshot attached
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Discord config (webhook_url, optional username and avatar_url)
+ * @param {string} options.text - Post text (should be enriched with IP flags)
+ * @param {string} options.screenshot - Path to screenshot PNG file
+ * @param {Object} options.metadata - Post metadata for the embed
+ * @param {string} options.metadata.page - Article name (embed title)
+ * @param {string} options.metadata.name - Username/IP (embed author)
+ * @param {string} options.metadata.pageUrl - Wikipedia article URL
+ * @param {string} options.metadata.userUrl - User contributions URL
+ * @param {string} [options.metadata.country] - Anonymous editor's country code, e.g. 'US'
+ * @returns {Promise<Object>} Discord message with ID
+ * @throws {Error} If the webhook isn't configured or Discord rejects the message
+ *
+ * @example
+ * await post({
+ *   account: { webhook_url: 'https://discord.com/api/webhooks/123/abc' },
+ *   text: 'Cat edited by 192.0.2.1 [🇺🇸] https://...',
+ *   screenshot: '/tmp/screenshot-123.png',
+ *   metadata: {
+ *     page: 'Cat',
+ *     name: '192.0.2.1',
+ *     pageUrl: 'https://en.wikipedia.org/wiki/Cat',
+ *     userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1',
+ *     country: 'US'
+ *   }
+ * })
+ */
+async function post({ account, text, screenshot, metadata }) {
+  const embed = buildEmbed(text, metadata)
+  embed.image = { url: `attachment://${SCREENSHOT_NAME}` }
+
+  return await execute(account.webhook_url, {
+    username: account.username,
+    avatar_url: account.avatar_url,
+    embeds: [embed]
+  }, screenshot)
+}
+
+/**
+ * Posts a text-only message to Discord
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Discord config (webhook_url)
+ * @param {string} options.text - Message text
+ * @returns {Promise<Object>} Discord message with ID
+ * @throws {Error} If the webhook isn't configured or Discord rejects the message
+ */
+async function postText({ account, text }) {
+  return await execute(account.webhook_url, {
+    username: account.username,
+    avatar_url: account.avatar_url,
+    content: formatText(text)
+  })
+}
+
+/**
+ * Sends an operator alert to a private channel
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.account - Discord config (username and avatar_url are reused)
+ * @param {string} options.recipient - Webhook URL of the operators' channel
+ * @param {string} options.text - Message text
+ * @returns {Promise<void>}
+ * @throws {Error} If Discord rejects the message
+ */
+async function sendAlert({ account, recipient, text }) {
+  await execute(recipient, {
+    username: account.username,
+    avatar_url: account.avatar_url,
+    content: text
+  })
+}
+
+/**
+ * Picks the identifiers of a new message to keep in the post ledger
+ *
+ * @param {Object} result - Response from post() or postText()
+ * @returns {Object} `{ id, channel_id }`
+ */
+function toLedger(result) {
+  return { id: result.id, channel_id: result.channel_id }
+}
+
+/**
+ * Webhook messages can't be replies
+ *
+ * @returns {null}
+ */
+function replyTarget() {
+  return null
+}
+
+module.exports = {
+  name: 'discord',
+  label: 'Discord',
+  MAX_LENGTH,
+  formatText,
+  post,
+  postText,
+  sendAlert,
+  toLedger,
+  replyTarget
+}
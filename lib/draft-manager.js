@@ -17,22 +17,28 @@ function initDraftsDir() {
 }
 
 /**
- * Save a draft when PII is detected
+ * Save a draft when PII is detected (or an edit is otherwise held for review)
  * @param {Object} options - Draft options
  * @param {string} options.text - Post text
  * @param {string} options.screenshot - Path to screenshot file
  * @param {string} options.diffUrl - Wikipedia diff URL
+ * @param {string} [options.editedAt] - When the edit was made (ISO 8601)
  * @param {string} options.article - Article name
  * @param {string} options.editor - Editor username/IP
  * @param {Array} options.piiDetected - Array of detected PII types
  * @param {number} options.piiConfidence - Highest confidence score
  * @param {Object} options.statusData - Full status data (pageUrl, userUrl, etc.)
+ * @param {string} [options.reason] - Why the edit was held, when it wasn't PII
  * @returns {string} - Draft ID (timestamp)
  */
 function saveDraft(options) {
   initDraftsDir()
 
-  const timestamp = Date.now()
+  // Bump the ID if several drafts are saved in the same millisecond (e.g. during backfill)
+  let timestamp = Date.now()
+  while (fs.existsSync(path.join(DRAFTS_DIR, `${timestamp}.json`))) {
+    timestamp++
+  }
   const draftId = `${timestamp}`
 
   // Copy screenshot to drafts directory if provided
@@ -50,10 +56,12 @@ function saveDraft(options) {
     text: options.text,
     screenshot: screenshotPath,
     diff_url: options.diffUrl,
+    edited_at: options.editedAt || null,
     article: options.article,
     editor: options.editor,
-    pii_detected: options.piiDetected,
+    pii_detected: options.piiDetected || [],
     pii_confidence: options.piiConfidence,
+    reason: options.reason || null,
     status_data: options.statusData,
     posted_to: [] // Track which platforms have successfully posted
   }
@@ -0,0 +1,83 @@
+/**
+ * Edit Filters
+ *
+ * Skips matched edits that aren't worth posting: bot edits, minor edits, small typo
+ * fixes, edits outside the article namespace, or edits by particular editors. Filters
+ * are set per account and can be overridden per watchlist entry:
+ *
+ *   "filters": {
+ *     "namespaces": ["article"],
+ *     "exclude_bots": true,
+ *     "exclude_minor": true,
+ *     "min_delta": 10,
+ *     "exclude_editors": ["ClueBot NG"]
+ *   },
+ *   "watchlist": {
+ *     "English Wikipedia": {
+ *       "London Breed": { "filters": { "min_delta": 0 } }
+ *     }
+ *   }
+ *
+ * Namespaces use the names wikichanges gives them ('article', 'talk', 'user', ...).
+ * Page filters are merged over the account's, key by key.
+ */
+
+const { getWatchRule, normalizeEditor } = require('./watchlist')
+
+/**
+ * Combines an account's filters with those of the watchlist entry matching a page
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name
+ * @param {string} page - Page title
+ * @returns {Object} Filters that apply to edits of the page
+ */
+function resolveFilters(account, wikipedia, page) {
+  const rule = getWatchRule(account, wikipedia, page)
+  const pageFilters = rule && typeof rule === 'object' ? rule.filters : null
+  return Object.assign({}, account.filters, pageFilters)
+}
+
+/**
+ * Checks an edit against a set of filters
+ *
+ * @param {Object} edit - Edit in the wikichanges shape
+ * @param {Object} filters - Filters (see above)
+ * @returns {string|null} Why the edit should be skipped, or null to post it
+ *
+ * @example
+ * filterEdit({ robot: true }, { exclude_bots: true }) // 'bot edit'
+ */
+function filterEdit(edit, filters = {}) {
+  if (filters.namespaces && !filters.namespaces.includes(edit.namespace)) {
+    return `namespace ${edit.namespace} not in ${filters.namespaces.join(', ')}`
+  }
+
+  if (filters.exclude_bots && edit.robot) {
+    return 'bot edit'
+  }
+
+  // IRC edits only carry the minor flag in `flag`
+  if (filters.exclude_minor && (edit.minor || /M/.test(edit.flag || ''))) {
+    return 'minor edit'
+  }
+
+  // Backfilled edits have no delta; let them through rather than guess
+  if (filters.min_delta && typeof edit.delta === 'number' && Math.abs(edit.delta) < filters.min_delta) {
+    return `size change ${edit.delta} below ${filters.min_delta} bytes`
+  }
+
+  if (filters.exclude_editors && edit.user) {
+    const user = normalizeEditor(edit.user)
+    if (filters.exclude_editors.some(editor => normalizeEditor(editor) === user)) {
+      return `excluded editor ${edit.user}`
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  resolveFilters,
+  filterEdit
+}
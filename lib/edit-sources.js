@@ -0,0 +1,209 @@
+/**
+ * Edit Sources
+ *
+ * Common interface over the feeds the bot can read Wikipedia edits from, so main() can
+ * run the same inspect() pipeline regardless of where edits come from.
+ *
+ * Every source is an object with:
+ * - name: short identifier ('irc', 'eventstreams', 'replay'), also used for heartbeats
+ * - live: true for real-time feeds; replays don't update heartbeats or backfill state
+ * - resumes: true if the feed replays what was missed since the last run by itself, so
+ *   there's nothing to backfill (see ./backfill)
+ * - listen(onEdit): starts delivering edits (wikichanges shape) to onEdit. Returns a
+ *   Promise that resolves when a finite source is exhausted; live feeds never resolve.
+ *   If onEdit returns a Promise, finite sources wait for it before the next edit.
+ * - close(): stops delivering edits
+ *
+ * Sources:
+ * - irc: Wikimedia IRC feed via wikichanges (default)
+ * - eventstreams: Wikimedia EventStreams with resume (see ./eventstreams)
+ * - replay: edits recorded one JSON object per line, optionally at original speed
+ */
+
+const fs = require('fs')
+const readline = require('readline')
+const { WikiChanges } = require('wikichanges')
+const eventstreams = require('./eventstreams')
+
+/**
+ * Creates an IRC edit source
+ *
+ * @param {Object} options - Source options
+ * @param {string} [options.nick] - IRC nickname
+ * @returns {Object} Edit source
+ */
+function createIrcSource({ nick } = {}) {
+  let wikipedia = null
+
+  return {
+    name: 'irc',
+    live: true,
+    resumes: false,
+    listen(onEdit) {
+      wikipedia = new WikiChanges({ ircNickname: nick })
+      wikipedia.listen(onEdit)
+      return new Promise(() => {})
+    },
+    close() {
+      if (wikipedia && wikipedia.client) {
+        wikipedia.client.disconnect()
+      }
+    }
+  }
+}
+
+/**
+ * Creates an EventStreams edit source
+ *
+ * @param {Object} options - Source options
+ * @param {string} [options.url] - Stream URL override
+ * @param {string} [options.lastEventIdFile] - Where the last event ID is persisted
+ * @returns {Object} Edit source
+ */
+function createEventStreamsSource({ url, lastEventIdFile } = {}) {
+  let stream = null
+
+  return {
+    name: 'eventstreams',
+    live: true,
+    // Picks up from the saved Last-Event-ID, if there is one
+    resumes: Boolean(eventstreams.readLastEventId(lastEventIdFile)),
+    listen(onEdit) {
+      stream = eventstreams.listen({ url, lastEventIdFile, onEdit })
+      return new Promise(() => {})
+    },
+    close() {
+      if (stream) stream.close()
+    }
+  }
+}
+
+/**
+ * Creates a source that replays recorded edits from a JSONL file
+ *
+ * Each line is one edit object. With `realtime`, the gap between consecutive edits'
+ * `timestamp` fields (ISO string or epoch milliseconds) is reproduced, divided by
+ * `speed`; otherwise edits are delivered as fast as onEdit handles them.
+ *
+ * @param {Object} options - Source options
+ * @param {string} options.file - Path to the JSONL file
+ * @param {boolean} [options.realtime=false] - Replay at original speed
+ * @param {number} [options.speed=1] - Speed multiplier when replaying in realtime
+ * @returns {Object} Edit source
+ *
+ * @example
+ * const source = createReplaySource({ file: 'edits-2026-03-01.jsonl', realtime: true, speed: 10 })
+ * await source.listen(edit => inspect(account, edit))
+ */
+function createReplaySource({ file, realtime = false, speed = 1 }) {
+  let closed = false
+  let timer = null
+  let wake = null
+
+  function sleep(ms) {
+    return new Promise(resolve => {
+      wake = resolve
+      timer = setTimeout(resolve, ms)
+    })
+  }
+
+  return {
+    name: 'replay',
+    live: false,
+    resumes: false,
+    async listen(onEdit) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+      })
+
+      let previousTime = null
+      let lineNumber = 0
+
+      for await (const line of lines) {
+        lineNumber++
+        if (closed) break
+        if (!line.trim()) continue
+
+        let edit
+        try {
+          edit = JSON.parse(line)
+        } catch {
+          console.error(`Replay: skipping unparseable line ${lineNumber} of ${file}`)
+          continue
+        }
+
+        const time = edit.timestamp ? new Date(edit.timestamp).getTime() : NaN
+        if (realtime && previousTime !== null && !isNaN(time) && time > previousTime) {
+          await sleep((time - previousTime) / speed)
+          if (closed) break
+        }
+        if (!isNaN(time)) {
+          previousTime = time
+        }
+
+        await onEdit(edit)
+      }
+
+      lines.close()
+    },
+    close() {
+      closed = true
+      clearTimeout(timer)
+      if (wake) wake()
+    }
+  }
+}
+
+/**
+ * Creates the edit source selected by config/command line
+ *
+ * @param {Object} config - Bot config (uses `source`, `nick` and `eventstreams`)
+ * @param {Object} [options] - Command line overrides
+ * @param {string} [options.replay] - JSONL file to replay instead of a live feed
+ * @param {boolean} [options.realtime] - Replay at original speed
+ * @param {number} [options.speed] - Speed multiplier when replaying in realtime
+ * @returns {Object} Edit source
+ * @throws {Error} If config names an unknown source
+ */
+function createEditSource(config, options = {}) {
+  if (options.replay) {
+    return createReplaySource({
+      file: options.replay,
+      realtime: Boolean(options.realtime),
+      speed: Number(options.speed) || 1
+    })
+  }
+
+  const source = config.source || 'irc'
+  switch (source) {
+    case 'irc':
+      return createIrcSource({ nick: config.nick })
+    case 'eventstreams':
+      return createEventStreamsSource({ url: config.eventstreams?.url })
+    default:
+      throw new Error(`Unknown edit source "${source}" (expected "irc" or "eventstreams")`)
+  }
+}
+
+/**
+ * Appends an edit to a JSONL recording for later replay
+ *
+ * Edits without a `timestamp` (IRC edits) are stamped with the time they were received
+ * so the recording can be replayed at original speed.
+ *
+ * @param {string} file - Path to the JSONL file
+ * @param {Object} edit - Edit to record
+ */
+function recordEdit(file, edit) {
+  const record = edit.timestamp ? edit : { ...edit, timestamp: new Date().toISOString() }
+  fs.appendFileSync(file, JSON.stringify(record) + '\n')
+}
+
+module.exports = {
+  createEditSource,
+  createIrcSource,
+  createEventStreamsSource,
+  createReplaySource,
+  recordEdit
+}
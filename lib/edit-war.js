@@ -0,0 +1,171 @@
+/**
+ * Edit War Detection
+ *
+ * Follows the edits to each watched page and flags an edit war when, within a rolling
+ * window, a page sees `reverts` reverts or `editors` distinct editors:
+ *
+ *   "edit_war": { "reverts": 3, "editors": 5, "window_minutes": 60, "post": false }
+ *
+ * Reverts are recognized the way revert follow-ups are (see lib/reverts): from
+ * MediaWiki's rollback, undo and manual revert tags, or from an edit restoring the
+ * page's content (SHA1) to what it was before an earlier edit in the window.
+ *
+ * The recent edits per page and whether a war is in progress are kept in
+ * data/edit-wars.json, so a restart in the middle of a war neither forgets the edits
+ * so far nor reports the war again. Pages drop out once their last edit leaves the
+ * window. The file is rewritten at most every SAVE_DELAY, and right away when a war
+ * starts or ends. A `--noop` run leaves it untouched.
+ */
+
+const fs = require('fs')
+const { accountLabel } = require('./post-ledger')
+const { revertSignals } = require('./reverts')
+const { dataPath, writeFile } = require('./data-files')
+
+const STATE_FILE = dataPath('edit-wars.json')
+
+const DEFAULTS = {
+  reverts: 3,
+  editors: 5,
+  window_minutes: 60
+}
+
+const SAVE_DELAY = 30 * 1000
+
+// Pages' recent edits per state file
+const states = new Map()
+
+// Pending saves per state file
+const saveTimers = new Map()
+
+function load(file) {
+  if (!states.has(file)) {
+    let state = {}
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch {
+      // Nothing tracked yet
+    }
+    states.set(file, state)
+  }
+  return states.get(file)
+}
+
+function save(file) {
+  clearTimeout(saveTimers.get(file))
+  saveTimers.delete(file)
+  writeFile(file, JSON.stringify(states.get(file), null, 2))
+}
+
+function scheduleSave(file) {
+  if (saveTimers.has(file)) return
+  // Don't hold the process open just to save
+  saveTimers.set(file, setTimeout(() => save(file), SAVE_DELAY).unref())
+}
+
+/**
+ * Drops pages whose last edit has left their window
+ */
+function prune(state, now) {
+  for (const [key, page] of Object.entries(state)) {
+    if (page.expires <= now) delete state[key]
+  }
+}
+
+/**
+ * Looks up an edit's revert tags and SHA1s
+ * A failed lookup is logged and counts the edit as an ordinary one
+ */
+async function lookupEdit(edit) {
+  try {
+    return await revertSignals(edit)
+  } catch (error) {
+    console.error(`Edit war: revert lookup failed for ${edit.page}:`, error.message)
+    return { tagged: false, sha1: null, parentSha1: null }
+  }
+}
+
+/**
+ * Resolves an account's edit war settings
+ *
+ * @param {Object} account - Account config
+ * @returns {Object|null} `edit_war` with defaults filled in, or null if it's off
+ */
+function getSettings(account) {
+  if (!account.edit_war) return null
+  return { ...DEFAULTS, ...(account.edit_war === true ? {} : account.edit_war) }
+}
+
+/**
+ * Adds an edit to its page's recent history and checks for an edit war
+ *
+ * @param {Object} account - Account config
+ * @param {Object} edit - Edit to a watched page
+ * @param {Object} [options] - Tracking options
+ * @param {string} [options.file] - State file
+ * @param {boolean} [options.noop] - Track in memory only, leaving the state file alone
+ * @returns {Promise<Object|null>} null if edit wars aren't tracked for the account, else
+ *   `{ status, edits, reverts, editors, minutes, since }` where status is 'started'
+ *   (this edit tipped the page into a war), 'ongoing', 'ended' (the page has calmed
+ *   down since the war) or null
+ */
+async function trackEdit(account, edit, { file = STATE_FILE, noop = false } = {}) {
+  const settings = getSettings(account)
+  if (!settings) return null
+
+  // Look up first, so the page's state is read and updated in one go
+  const signals = await lookupEdit(edit)
+
+  // Edit times rather than the clock, so replays are judged the same way
+  const at = edit.timestamp ? new Date(edit.timestamp).getTime() : Date.now()
+  const windowMs = settings.window_minutes * 60 * 1000
+
+  const state = load(file)
+  const key = `${accountLabel(account)}|${edit.wikipedia}|${edit.page}`
+  const page = state[key] || { events: [], since: null }
+  page.events = page.events.filter(event => event.at > at - windowMs)
+
+  // Tagged, or the content is back to what it was before one of the recent edits
+  const restored = Boolean(signals.sha1) && page.events.some(event => event.parentSha1 === signals.sha1)
+  page.events.push({ at, user: edit.user, revert: signals.tagged || restored, parentSha1: signals.parentSha1 })
+  page.expires = at + windowMs
+
+  const reverts = page.events.filter(event => event.revert).length
+  const editors = new Set(page.events.map(event => event.user)).size
+  const heated = reverts >= settings.reverts || editors >= settings.editors
+
+  let status = null
+  if (heated) {
+    status = page.since ? 'ongoing' : 'started'
+    page.since = page.since || new Date(at).toISOString()
+  } else if (page.since) {
+    status = 'ended'
+    page.since = null
+  }
+
+  const result = {
+    status,
+    edits: page.events.length,
+    reverts,
+    editors,
+    minutes: settings.window_minutes,
+    since: page.since
+  }
+
+  prune(state, at)
+  state[key] = page
+  // A dry run (--noop, usually with --replay) reads the bot's state but mustn't change it
+  if (noop) return result
+  if (status === 'started' || status === 'ended') {
+    save(file)
+  } else {
+    scheduleSave(file)
+  }
+  return result
+}
+
+module.exports = {
+  getSettings,
+  trackEdit,
+  STATE_FILE
+}
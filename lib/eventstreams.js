@@ -0,0 +1,295 @@
+/**
+ * Wikimedia EventStreams Edit Source
+ *
+ * Listens to the `recentchange` server-sent events stream as an alternative to the
+ * IRC feed. Unlike IRC, EventStreams supports resuming: the ID of the last event seen
+ * is saved to data/ and sent back as `Last-Event-ID` on reconnect, so edits made while
+ * the bot was disconnected or restarting are replayed instead of lost.
+ *
+ * Events are converted to the same shape wikichanges produces for IRC edits so they can
+ * be passed straight to inspect().
+ *
+ * @see https://wikitech.wikimedia.org/wiki/Event_Platform/EventStreams_HTTP_Service
+ */
+
+const fs = require('fs')
+const net = require('net')
+const { USER_AGENT, getWikiName, getNamespace } = require('./mediawiki')
+const { dataPath, writeFile } = require('./data-files')
+
+const DEFAULT_URL = 'https://stream.wikimedia.org/v2/stream/recentchange'
+const LAST_EVENT_ID_FILE = dataPath('eventstreams-last-event-id')
+const RECONNECT_DELAY = 5000
+const SAVE_INTERVAL = 30 * 1000
+
+/**
+ * Converts a recentchange event to the wikichanges edit shape
+ *
+ * Page moves are passed through too (as `{ logType: 'move', page, target }`, with no
+ * diff url) so watched pages can be followed to their new title (see ./page-tracker).
+ *
+ * @param {Object} change - Parsed recentchange event
+ * @returns {Object|null} Edit object, or null for events that aren't page edits or moves
+ */
+function toEdit(change) {
+  if (change && change.type === 'log' && change.log_type === 'move') {
+    return toMove(change)
+  }
+
+  if (!change || (change.type !== 'edit' && change.type !== 'new')) {
+    return null
+  }
+
+  const host = change.server_name
+  const wikipedia = getWikiName(host) || host
+  const revision = change.revision || {}
+  const length = change.length || {}
+  const indexUrl = `${change.server_url}${change.server_script_path}/index.php`
+  const url = change.type === 'new'
+    ? `${indexUrl}?oldid=${revision.new}`
+    : `${indexUrl}?diff=${revision.new}&oldid=${revision.old}`
+
+  let flag = ''
+  if (change.type === 'new') flag += 'N'
+  if (change.minor) flag += 'M'
+  if (change.bot) flag += 'B'
+  if (change.patrolled === false) flag += '!'
+
+  return {
+    channel: `#${host.replace(/\.org$/, '')}`,
+    flag,
+    page: change.title,
+    pageUrl: `${change.server_url}/wiki/${change.title.replace(/ /g, '_')}`,
+    url,
+    delta: typeof length.new === 'number' ? length.new - (length.old || 0) : null,
+    comment: change.comment,
+    wikipedia,
+    wikipediaUrl: change.server_url,
+    wikipediaShort: host.split('.')[0],
+    wikipediaLong: wikipedia,
+    user: change.user,
+    userUrl: `${change.server_url}/wiki/User:${change.user}`,
+    unpatrolled: change.patrolled === false,
+    newPage: change.type === 'new',
+    robot: Boolean(change.bot),
+    minor: Boolean(change.minor),
+    anonymous: net.isIP(change.user) !== 0,
+    namespace: getNamespace(host, change.title),
+    timestamp: change.meta && change.meta.dt
+  }
+}
+
+/**
+ * Converts a move log event; `title` is the old title and `log_params.target` the new one
+ */
+function toMove(change) {
+  const target = change.log_params && change.log_params.target
+  if (!target) return null
+
+  const host = change.server_name
+  const wikipedia = getWikiName(host) || host
+
+  return {
+    channel: `#${host.replace(/\.org$/, '')}`,
+    logType: 'move',
+    page: change.title,
+    target,
+    comment: change.comment,
+    wikipedia,
+    wikipediaUrl: change.server_url,
+    wikipediaShort: host.split('.')[0],
+    wikipediaLong: wikipedia,
+    user: change.user,
+    namespace: getNamespace(host, change.title),
+    timestamp: change.meta && change.meta.dt
+  }
+}
+
+/**
+ * Creates an incremental parser for a text/event-stream body
+ *
+ * Chunks can split lines (and events) anywhere, so partial input is buffered until
+ * the blank line that terminates an event arrives.
+ *
+ * @param {Function} onEvent - Called with { id, event, data } for each complete event
+ * @returns {Function} Feed function taking the next decoded chunk of the stream
+ */
+function createParser(onEvent) {
+  let buffer = ''
+  let event = { id: null, event: 'message', data: [] }
+
+  return function feed(chunk) {
+    buffer += chunk
+    const lines = buffer.split(/\r\n|\r|\n/)
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      if (line === '') {
+        if (event.data.length > 0) {
+          onEvent({ id: event.id, event: event.event, data: event.data.join('\n') })
+        }
+        event = { id: event.id, event: 'message', data: [] }
+        continue
+      }
+      if (line.startsWith(':')) continue
+
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+
+      if (field === 'data') event.data.push(value)
+      else if (field === 'id') event.id = value
+      else if (field === 'event') event.event = value
+    }
+  }
+}
+
+/**
+ * Reads the ID of the last event seen before shutdown
+ *
+ * @param {string} [file] - Where the last event ID is persisted
+ * @returns {string|null} Event ID, or null if the stream has never been read
+ */
+function readLastEventId(file = LAST_EVENT_ID_FILE) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim() || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Keeps the ID of the newest event, saving it at most every `interval`
+ *
+ * The firehose delivers many events a second; writing each ID out would cost a sync
+ * write per event. Losing the last few seconds on a crash only replays events the post
+ * ledger already knows about.
+ *
+ * @param {string} file - Where the last event ID is persisted
+ * @param {number} interval - Milliseconds between saves
+ * @returns {{ current: Function, update: Function, flush: Function }}
+ */
+function createLastEventIdTracker(file, interval) {
+  let latest = null
+  let saved = null
+  let savedAt = 0
+
+  function flush() {
+    if (latest !== saved) {
+      writeFile(file, latest)
+      saved = latest
+    }
+    savedAt = Date.now()
+  }
+
+  return {
+    // The newest ID seen, else the one the last run saved
+    current: () => latest || readLastEventId(file),
+    update(id) {
+      latest = id
+      if (Date.now() - savedAt >= interval) flush()
+    },
+    flush
+  }
+}
+
+/**
+ * Connects to EventStreams and calls onEdit for every page edit
+ *
+ * Reconnects automatically when the connection drops, resuming from the last event ID
+ * seen. The ID is saved every `saveInterval` and once more on close().
+ *
+ * @param {Object} options - Listener options
+ * @param {Function} options.onEdit - Called with each edit (wikichanges shape)
+ * @param {string} [options.url] - Stream URL (defaults to Wikimedia's recentchange stream)
+ * @param {string} [options.lastEventIdFile] - Where the last event ID is persisted
+ * @param {number} [options.reconnectDelay=5000] - Milliseconds to wait before reconnecting
+ * @param {number} [options.saveInterval=30000] - Milliseconds between saves of the last event ID
+ * @returns {{ close: Function }} Handle to stop listening
+ *
+ * @example
+ * const stream = listen({ onEdit: edit => console.log(edit.page) })
+ * // later
+ * stream.close()
+ */
+function listen({ onEdit, url = DEFAULT_URL, lastEventIdFile = LAST_EVENT_ID_FILE, reconnectDelay = RECONNECT_DELAY, saveInterval = SAVE_INTERVAL }) {
+  let closed = false
+  let controller = null
+  let reconnectTimer = null
+  const lastEventId = createLastEventIdTracker(lastEventIdFile, saveInterval)
+
+  const feed = createParser(({ id, data }) => {
+    let change
+    try {
+      change = JSON.parse(data)
+    } catch {
+      console.error('EventStreams: skipping unparseable event')
+      return
+    }
+
+    // Wikimedia injects canary events to monitor the stream; they aren't real edits
+    const edit = change.meta && change.meta.domain === 'canary' ? null : toEdit(change)
+    if (edit) {
+      onEdit(edit)
+    }
+    if (id) {
+      lastEventId.update(id)
+    }
+  })
+
+  async function connect() {
+    while (!closed) {
+      controller = new AbortController()
+      try {
+        const headers = {
+          'Accept': 'text/event-stream',
+          'User-Agent': USER_AGENT
+        }
+        const resumeFrom = lastEventId.current()
+        if (resumeFrom) {
+          headers['Last-Event-ID'] = resumeFrom
+        }
+
+        const response = await fetch(url, { headers, signal: controller.signal })
+        if (!response.ok) {
+          throw new Error(`EventStreams returned ${response.status}`)
+        }
+
+        const decoder = new TextDecoder()
+        for await (const chunk of response.body) {
+          feed(decoder.decode(chunk, { stream: true }))
+        }
+        if (!closed) {
+          console.error('EventStreams connection closed - reconnecting')
+        }
+      } catch (error) {
+        if (closed) break
+        console.error('EventStreams error - reconnecting:', error.message)
+      }
+
+      if (!closed) {
+        await new Promise(resolve => { reconnectTimer = setTimeout(resolve, reconnectDelay) })
+      }
+    }
+  }
+
+  connect()
+
+  return {
+    close() {
+      closed = true
+      clearTimeout(reconnectTimer)
+      if (controller) controller.abort()
+      lastEventId.flush()
+    }
+  }
+}
+
+module.exports = {
+  listen,
+  toEdit,
+  createParser,
+  readLastEventId,
+  DEFAULT_URL,
+  LAST_EVENT_ID_FILE
+}
@@ -0,0 +1,255 @@
+/**
+ * Public Feeds
+ *
+ * Record of edits the bot has posted, for people who follow it without a social
+ * account. The admin console serves it as Atom (/feed.atom) and JSON Feed (/feed.json).
+ * One JSON object per line in data/feed.jsonl:
+ *
+ *   {"posted_at":"2026-03-02T18:04:11.120Z","article":"London Breed",
+ *    "article_url":"https://en.wikipedia.org/wiki/London_Breed","editor":"192.0.2.1",
+ *    "editor_url":"https://...","diff_url":"https://...","text":"London Breed ...",
+ *    "screenshot":"en.wikipedia.org-1234.png", ...}
+ *
+ * Posts are recorded once at least one platform accepted them. Screenshots are copied to
+ * data/feed-screenshots/ before the bot deletes its own copy. Like the screenshots, only
+ * the most recent KEEP_ITEMS records are kept, so serving the feed never reads a file
+ * that grows forever.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc4287
+ * @see https://www.jsonfeed.org/version/1.1/
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { revisionKey } = require('./post-ledger')
+const { buildHtml, escapeHtml } = require('./html-utils')
+const { dataPath, writeFile, appendFile } = require('./data-files')
+
+const FEED_FILE = dataPath('feed.jsonl')
+const SCREENSHOTS_DIR = dataPath('feed-screenshots')
+
+const KEEP_SCREENSHOTS = 200
+const KEEP_ITEMS = 200
+const DEFAULT_LIMIT = 50
+const DEFAULT_TITLE = 'SF Edits'
+
+/**
+ * Keeps the newest screenshots, deleting the rest
+ */
+function pruneScreenshots(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.png'))
+    .map(name => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+
+  for (const { name } of files.slice(KEEP_SCREENSHOTS)) {
+    fs.unlinkSync(path.join(dir, name))
+  }
+}
+
+/**
+ * Keeps the newest records once the file holds twice as many as that, so it isn't
+ * rewritten on every post
+ */
+function pruneItems(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)
+  if (lines.length < KEEP_ITEMS * 2) return
+
+  // Swap the trimmed file in whole so a feed request never reads half of it
+  const trimmed = `${file}.tmp`
+  if (writeFile(trimmed, lines.slice(-KEEP_ITEMS).join('\n') + '\n')) {
+    fs.renameSync(trimmed, file)
+  }
+}
+
+/**
+ * Records a posted edit, keeping a copy of its screenshot
+ *
+ * @param {Object} item - Posted edit
+ * @param {Object} item.edit - Edit (wikichanges shape: url, page, user, wikipedia)
+ * @param {Object} item.statusData - From getStatus() (pageUrl, userUrl)
+ * @param {string} item.text - Text as posted (with IP flags)
+ * @param {string} [item.screenshot] - Path to the screenshot PNG, copied if it exists
+ * @param {string} [item.account] - Account label (see post-ledger accountLabel)
+ * @param {Object} [files] - { file, dir } to use instead of the data/ locations
+ * @returns {Object|null} The stored record, or null if it couldn't be written (logged)
+ * @throws {Error} If the feed can't be trimmed or the screenshot can't be copied
+ */
+function record({ edit, statusData, text, screenshot, account }, { file = FEED_FILE, dir = SCREENSHOTS_DIR } = {}) {
+  const hasScreenshot = Boolean(screenshot && fs.existsSync(screenshot))
+  const screenshotName = hasScreenshot
+    ? `${(revisionKey(edit.url) || `post-${Date.now()}`).replace(/[^\w.-]/g, '-')}.png`
+    : null
+
+  const stored = {
+    posted_at: new Date().toISOString(),
+    account,
+    wiki: edit.wikipedia,
+    article: edit.page,
+    article_url: statusData.pageUrl,
+    editor: edit.user,
+    editor_url: statusData.userUrl,
+    diff_url: edit.url,
+    edited_at: edit.timestamp || null,
+    text,
+    screenshot: screenshotName
+  }
+
+  if (!appendFile(file, JSON.stringify(stored) + '\n')) return null
+  pruneItems(file)
+
+  if (hasScreenshot) {
+    fs.mkdirSync(dir, { recursive: true })
+    fs.copyFileSync(screenshot, path.join(dir, screenshotName))
+    pruneScreenshots(dir)
+  }
+  return stored
+}
+
+/**
+ * Lists the most recently posted edits
+ *
+ * @param {number} [limit=50] - Most items to return
+ * @param {string} [file] - Feed file
+ * @returns {Array<Object>} Records, newest first
+ */
+function recent(limit = DEFAULT_LIMIT, file = FEED_FILE) {
+  let lines
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)
+  } catch {
+    return []
+  }
+
+  const items = []
+  for (let i = lines.length - 1; i >= 0 && items.length < limit; i--) {
+    try {
+      items.push(JSON.parse(lines[i]))
+    } catch {
+      // Skip a line cut short by a crash mid-write
+    }
+  }
+  return items
+}
+
+/**
+ * Resolves a screenshot name from the feed to its file
+ *
+ * @param {string} name - `screenshot` of a feed record
+ * @param {string} [dir] - Screenshots directory
+ * @returns {string|null} Path, or null if the name isn't a feed screenshot
+ */
+function screenshotPath(name, dir = SCREENSHOTS_DIR) {
+  if (!/^[\w.-]+\.png$/.test(name)) return null
+  return path.join(dir, name)
+}
+
+/**
+ * HTML body of a feed item: the post text with links, then the screenshot
+ */
+function itemHtml(item, screenshotUrl) {
+  let html = `<p>${buildHtml(item.text, item.article, item.editor, item.article_url, item.editor_url)}</p>`
+  if (screenshotUrl) {
+    html += `<p><img src="${escapeHtml(screenshotUrl)}" alt="${escapeHtml(`Screenshot of edit to ${item.article}`)}"></p>`
+  }
+  return html
+}
+
+function screenshotUrl(item, baseUrl) {
+  return item.screenshot ? `${baseUrl}/feed/screenshots/${item.screenshot}` : null
+}
+
+function itemTitle(item) {
+  return `${item.article} edited by ${item.editor}`
+}
+
+/**
+ * Renders posted edits as an Atom feed
+ *
+ * @param {Array<Object>} items - From recent()
+ * @param {Object} options - Feed options
+ * @param {string} options.baseUrl - Public URL of the admin console, without trailing slash
+ * @param {string} [options.title='SF Edits'] - Feed title
+ * @returns {string} Atom XML
+ */
+function buildAtom(items, { baseUrl, title = DEFAULT_TITLE }) {
+  const updated = items.length ? items[0].posted_at : new Date().toISOString()
+
+  const entries = items.map(item => {
+    const image = screenshotUrl(item, baseUrl)
+    return [
+      '  <entry>',
+      `    <title>${escapeHtml(itemTitle(item))}</title>`,
+      `    <id>${escapeHtml(item.diff_url)}</id>`,
+      `    <link rel="alternate" href="${escapeHtml(item.diff_url)}"/>`,
+      `    <link rel="related" href="${escapeHtml(item.article_url)}" title="${escapeHtml(item.article)}"/>`,
+      image ? `    <link rel="enclosure" type="image/png" href="${escapeHtml(image)}"/>` : null,
+      `    <published>${item.posted_at}</published>`,
+      `    <updated>${item.posted_at}</updated>`,
+      `    <author><name>${escapeHtml(item.editor)}</name><uri>${escapeHtml(item.editor_url)}</uri></author>`,
+      `    <content type="html">${escapeHtml(itemHtml(item, image))}</content>`,
+      '  </entry>'
+    ].filter(Boolean).join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <id>${escapeHtml(baseUrl)}/feed.atom</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeHtml(baseUrl)}/feed.atom"/>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Renders posted edits as a JSON Feed
+ *
+ * @param {Array<Object>} items - From recent()
+ * @param {Object} options - As for buildAtom()
+ * @returns {Object} JSON Feed 1.1 document
+ */
+function buildJsonFeed(items, { baseUrl, title = DEFAULT_TITLE }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: baseUrl,
+    feed_url: `${baseUrl}/feed.json`,
+    items: items.map(item => {
+      const image = screenshotUrl(item, baseUrl)
+      return {
+        id: item.diff_url,
+        url: item.diff_url,
+        external_url: item.article_url,
+        title: itemTitle(item),
+        content_text: item.text,
+        content_html: itemHtml(item, image),
+        image: image || undefined,
+        date_published: item.posted_at,
+        authors: [{ name: item.editor, url: item.editor_url }],
+        _sfedits: {
+          wiki: item.wiki,
+          article: item.article,
+          article_url: item.article_url,
+          editor: item.editor,
+          editor_url: item.editor_url,
+          edited_at: item.edited_at
+        }
+      }
+    })
+  }
+}
+
+module.exports = {
+  record,
+  recent,
+  screenshotPath,
+  buildAtom,
+  buildJsonFeed,
+  FEED_FILE,
+  SCREENSHOTS_DIR,
+  KEEP_ITEMS
+}
@@ -0,0 +1,88 @@
+/**
+ * Held Edits
+ *
+ * Edits waiting out an account's `post_delay` are saved under data/held/, one JSON file
+ * per edit, until they are posted or dropped:
+ *
+ *   { "id": "...", "account": "sfedits.bsky.social", "edit": {...}, "statusData": {...},
+ *     "release_at": "2026-10-19T18:10:00.000Z" }
+ *
+ * On startup the bot holds every saved edit again for whatever is left of its delay, so
+ * a restart during the delay neither loses the edit nor posts it early.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { dataPath, writeFile } = require('./data-files')
+
+const HELD_DIR = dataPath('held')
+
+/**
+ * Saves an edit being held
+ *
+ * @param {Object} held - Held edit
+ * @param {string} held.account - Account label (see post-ledger accountLabel)
+ * @param {Object} held.edit - Edit (wikichanges shape)
+ * @param {Object} held.statusData - From getStatus()
+ * @param {Date} held.releaseAt - When the delay is up
+ * @param {string} [dir] - Held edits directory
+ * @returns {Object} The stored record
+ */
+function save({ account, edit, statusData, releaseAt }, dir = HELD_DIR) {
+  const stored = {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    account,
+    edit,
+    statusData,
+    release_at: releaseAt.toISOString()
+  }
+  writeFile(path.join(dir, `${stored.id}.json`), JSON.stringify(stored, null, 2))
+  return stored
+}
+
+/**
+ * Forgets a held edit once it has been posted or dropped
+ *
+ * @param {Object} held - Record from save() or list()
+ * @param {string} [dir] - Held edits directory
+ */
+function release(held, dir = HELD_DIR) {
+  try {
+    fs.unlinkSync(path.join(dir, `${held.id}.json`))
+  } catch (e) {
+    // Already gone, or never written
+  }
+}
+
+/**
+ * Lists the edits left held by the last run, oldest first
+ *
+ * @param {string} [dir] - Held edits directory
+ * @returns {Array<Object>} Held edit records
+ */
+function list(dir = HELD_DIR) {
+  let files = []
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort()
+  } catch (e) {
+    return []
+  }
+
+  const records = []
+  for (const file of files) {
+    try {
+      records.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    } catch (error) {
+      console.error(`Held edits: skipping unreadable ${file}:`, error.message)
+    }
+  }
+  return records
+}
+
+module.exports = {
+  save,
+  release,
+  list,
+  HELD_DIR
+}
@@ -0,0 +1,205 @@
+/**
+ * Edit History
+ *
+ * Record of every edit the bot has processed, whatever became of it: posted, blocked by
+ * PII screening, filtered out, dropped after a quick revert, and so on. One JSON object
+ * per line in data/history.jsonl:
+ *
+ *   {"recorded_at":"2026-03-02T18:04:11.120Z","outcome":"posted","article":"London Breed",
+ *    "editor":"192.0.2.1","diff_url":"https://...","pii":"clean","gemini":null,
+ *    "geolocation":"US","posts":{"bluesky":{"uri":"at://...","cid":"bafy..."}},
+ *    "timings":{"edited_at":"...","queued_at":"...","steps":{"screen":812,...}}, ...}
+ *
+ * data/history-index.json maps each day to the byte offset of its first record, so a
+ * query for a date range only reads the records from that day on.
+ *
+ * The bot and the admin console both append to the history; the admin console serves
+ * it at GET /api/history.
+ */
+
+const fs = require('fs')
+const { dataPath, writeFile, appendFile } = require('./data-files')
+
+const HISTORY_FILE = dataPath('history.jsonl')
+const INDEX_FILE = dataPath('history-index.json')
+
+const OUTCOMES = [
+  'posted', // Posted to every configured platform
+  'partial', // Posted to some platforms, given up on others
+  'failed', // Given up on every platform
+  'blocked', // Stopped by PII screening
+  'duplicate', // Already posted, e.g. by the admin console
+  'no_platforms', // Matched, but the account has nowhere to post it
+  'filtered', // Matched, but skipped by the account's filters
+  'dropped', // Reverted during post_delay
+  'drafted' // Saved as a draft instead of posted
+]
+
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 1000
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/
+
+function readIndex(indexFile) {
+  try {
+    return JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Appends a record to the history, indexing the first record of each day
+ *
+ * @param {Object} entry - History record; `recorded_at` is added if missing
+ * @param {Object} [files] - { file, indexFile } to use instead of the data/ files
+ * @returns {Object} The stored record
+ */
+function record(entry, { file = HISTORY_FILE, indexFile = INDEX_FILE } = {}) {
+  const stored = Object.assign({ recorded_at: new Date().toISOString() }, entry)
+
+  let offset = 0
+  try {
+    offset = fs.statSync(file).size
+  } catch {
+    // First record
+  }
+
+  if (!appendFile(file, JSON.stringify(stored) + '\n')) return stored
+
+  const day = stored.recorded_at.slice(0, 10)
+  const index = readIndex(indexFile)
+  if (!(day in index)) {
+    index[day] = offset
+    writeFile(indexFile, JSON.stringify(index, null, 2))
+  }
+
+  return stored
+}
+
+/**
+ * Checks and normalizes history query parameters, e.g. from the admin API's query string
+ *
+ * @param {Object} params - { article, editor, from, to, outcome, limit }; `from` and `to`
+ *   are ISO timestamps or days (YYYY-MM-DD, `to` then includes the whole day), `outcome`
+ *   may list several outcomes separated by commas
+ * @returns {Object} Query for find()
+ * @throws {Error} On an unknown outcome, unreadable date or bad limit
+ */
+function parseQuery(params = {}) {
+  const query = {}
+
+  if (params.article) query.article = String(params.article)
+  if (params.editor) query.editor = String(params.editor)
+
+  for (const key of ['from', 'to']) {
+    if (!params[key]) continue
+    let value = String(params[key])
+    if (key === 'to' && DAY.test(value)) value += 'T23:59:59.999Z'
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${key} date: ${params[key]}`)
+    }
+    query[key] = date.toISOString()
+  }
+
+  if (params.outcome) {
+    query.outcome = String(params.outcome).split(',').map(outcome => outcome.trim())
+    const unknown = query.outcome.filter(outcome => !OUTCOMES.includes(outcome))
+    if (unknown.length) {
+      throw new Error(`Unknown outcome: ${unknown.join(', ')} (expected ${OUTCOMES.join(', ')})`)
+    }
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit)
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${params.limit}`)
+    }
+    query.limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  return query
+}
+
+/**
+ * Byte offset to start reading at for records on or after `from`
+ * Starts at the last indexed day up to and including `from`'s day, so a day missing
+ * from the index only means reading a little more
+ */
+function startOffset(from, indexFile) {
+  if (!from) return 0
+
+  const day = from.slice(0, 10)
+  const index = readIndex(indexFile)
+  const earlier = Object.keys(index).filter(indexed => indexed <= day).sort()
+  return earlier.length ? index[earlier[earlier.length - 1]] : 0
+}
+
+function readFrom(file, offset) {
+  let size = 0
+  try {
+    size = fs.statSync(file).size
+  } catch {
+    return ''
+  }
+  if (size <= offset) return ''
+
+  const buffer = Buffer.alloc(size - offset)
+  const fd = fs.openSync(file, 'r')
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, offset)
+  } finally {
+    fs.closeSync(fd)
+  }
+  // Leave out a line still being written
+  return buffer.subarray(0, buffer.lastIndexOf('\n') + 1).toString('utf8')
+}
+
+function sameName(a, b) {
+  return typeof a === 'string' && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * Finds history records, newest first
+ *
+ * @param {Object} [query] - From parseQuery(): article and editor (exact, ignoring case),
+ *   from/to (ISO timestamps, inclusive), outcome (array), limit (default 100)
+ * @param {Object} [files] - { file, indexFile } to use instead of the data/ files
+ * @returns {Array<Object>} Matching records
+ */
+function find(query = {}, { file = HISTORY_FILE, indexFile = INDEX_FILE } = {}) {
+  const limit = query.limit || DEFAULT_LIMIT
+  const matches = []
+
+  for (const line of readFrom(file, startOffset(query.from, indexFile)).split('\n')) {
+    if (!line.trim()) continue
+
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch {
+      console.error(`History: skipping unparseable line in ${file}`)
+      continue
+    }
+
+    if (query.article && !sameName(entry.article, query.article)) continue
+    if (query.editor && !sameName(entry.editor, query.editor)) continue
+    if (query.from && entry.recorded_at < query.from) continue
+    if (query.to && entry.recorded_at > query.to) continue
+    if (query.outcome && !query.outcome.includes(entry.outcome)) continue
+
+    matches.push(entry)
+  }
+
+  return matches.reverse().slice(0, limit)
+}
+
+module.exports = {
+  record,
+  parseQuery,
+  find,
+  OUTCOMES,
+  HISTORY_FILE,
+  INDEX_FILE
+}
@@ -1,9 +1,12 @@
 /**
- * Mastodon post formatting utilities
+ * Post formatting utilities
  * Mastodon's API does not support HTML - it only accepts plain text
- * and auto-detects URLs to make them clickable
+ * and auto-detects URLs to make them clickable. Matrix takes HTML alongside
+ * the plain text, built from the same links as Bluesky's facets
  */
 
+const { buildFacets } = require('./bluesky-utils')
+
 /**
  * Build plain-text Mastodon post with URLs for proper link detection
  * Mastodon automatically converts URLs to clickable links
@@ -38,6 +41,59 @@ function buildMastodonText(text, page, name, pageUrl, userUrl) {
   return result
 }
 
+/**
+ * Escape text for use in HTML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to put in HTML, including attribute values
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Build an HTML version of a post, linking the same ranges as Bluesky's facets
+ * (article name, username and raw URLs)
+ *
+ * @param {string} text - Plain text post (after all enrichment)
+ * @param {string} page - Wikipedia article name
+ * @param {string} name - Editor username
+ * @param {string} pageUrl - Wikipedia article URL
+ * @param {string} userUrl - Editor contributions URL
+ * @returns {string} HTML post
+ */
+function buildHtml(text, page, name, pageUrl, userUrl) {
+  if (!text || typeof text !== 'string') {
+    return ''
+  }
+
+  const links = buildFacets(text, page, name, pageUrl, userUrl)
+    .filter(facet => facet.features[0].$type === 'app.bsky.richtext.facet#link')
+    .sort((a, b) => a.index.byteStart - b.index.byteStart)
+
+  // Facets count UTF-8 bytes, so slice the bytes rather than the string
+  const bytes = Buffer.from(text, 'utf8')
+  let html = ''
+  let offset = 0
+  for (const { index, features } of links) {
+    if (index.byteStart < offset) continue // Overlaps a link already made
+
+    const linkText = bytes.subarray(index.byteStart, index.byteEnd).toString('utf8')
+    html += escapeHtml(bytes.subarray(offset, index.byteStart).toString('utf8'))
+    html += `<a href="${escapeHtml(features[0].uri)}">${escapeHtml(linkText)}</a>`
+    offset = index.byteEnd
+  }
+  html += escapeHtml(bytes.subarray(offset).toString('utf8'))
+
+  return html
+}
+
 module.exports = {
-  buildMastodonText
+  buildMastodonText,
+  buildHtml,
+  escapeHtml
 }
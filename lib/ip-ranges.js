@@ -0,0 +1,99 @@
+/**
+ * IP Range Matching
+ *
+ * Matches anonymous editors' IP addresses against named ranges (e.g. the address blocks
+ * used by SF City Hall or SFPD), the core feature sfedits inherits from anon. An edit
+ * from a listed range is posted no matter which article it touches.
+ *
+ * Ranges are configured per account, inline or in a separate JSON file referenced by
+ * path (resolved by getConfig()), keyed by organization name. Each entry is a CIDR block,
+ * a single address, or a [start, end] pair as used by anon's configs. IPv4 and IPv6 are
+ * both supported:
+ *
+ *   {
+ *     "SF City Hall": ["192.0.2.0/24", "2001:db8:5f::/48"],
+ *     "SFPD": [["198.51.100.10", "198.51.100.40"]]
+ *   }
+ */
+
+const net = require('net')
+
+// Compiled BlockLists per ranges object, so config is only parsed once
+const compiled = new WeakMap()
+
+function ipType(address) {
+  const version = net.isIP(address)
+  if (!version) return null
+  return version === 6 ? 'ipv6' : 'ipv4'
+}
+
+/**
+ * Compiles a ranges config into one BlockList per organization
+ *
+ * @param {Object} ranges - Ranges keyed by organization name
+ * @returns {Array<{ name: string, list: net.BlockList }>} Compiled ranges
+ * @throws {Error} If any range is malformed
+ */
+function compileRanges(ranges) {
+  if (compiled.has(ranges)) return compiled.get(ranges)
+
+  const result = Object.keys(ranges).map(name => {
+    const list = new net.BlockList()
+
+    for (const range of [].concat(ranges[name])) {
+      if (Array.isArray(range)) {
+        const [start, end] = range
+        const type = ipType(start)
+        if (!type || type !== ipType(end)) {
+          throw new Error(`Invalid IP range ${JSON.stringify(range)} for ${name}`)
+        }
+        list.addRange(start, end, type)
+        continue
+      }
+
+      const [address, prefix] = String(range).split('/')
+      const type = ipType(address)
+      const bits = Number(prefix)
+      const maxBits = type === 'ipv6' ? 128 : 32
+      if (!type || (prefix !== undefined && !(Number.isInteger(bits) && bits >= 0 && bits <= maxBits))) {
+        throw new Error(`Invalid IP range "${range}" for ${name}`)
+      }
+
+      if (prefix === undefined) {
+        list.addAddress(address, type)
+      } else {
+        list.addSubnet(address, bits, type)
+      }
+    }
+
+    return { name, list }
+  })
+
+  compiled.set(ranges, result)
+  return result
+}
+
+/**
+ * Finds the organization whose ranges contain an IP address
+ *
+ * @param {string} ip - Editor name from the edit (only IP addresses can match)
+ * @param {Object} [ranges] - Account ranges keyed by organization name
+ * @returns {string|null} Organization name, or null if the editor isn't in any range
+ *
+ * @example
+ * findRange('192.0.2.15', { 'SF City Hall': ['192.0.2.0/24'] }) // 'SF City Hall'
+ */
+function findRange(ip, ranges) {
+  if (!ranges || typeof ranges !== 'object') return null
+
+  const type = ipType(ip)
+  if (!type) return null
+
+  const match = compileRanges(ranges).find(({ list }) => list.check(ip, type))
+  return match ? match.name : null
+}
+
+module.exports = {
+  compileRanges,
+  findRange
+}
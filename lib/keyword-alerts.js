@@ -0,0 +1,93 @@
+/**
+ * Keyword Alerts
+ *
+ * Rules for phrases the operator wants to hear about privately when an edit adds them
+ * to a watched article, whether or not the edit is posted:
+ *
+ *   "keyword_alerts": [
+ *     "arrested",
+ *     { "match": "/\\bindict(ed|ment)\\b/i", "hashtag": "#Breaking" },
+ *     { "match": "died", "hashtag": "#Obituary" }
+ *   ]
+ *
+ * A plain phrase matches as whole words, ignoring case. "/regex/flags" is a regular
+ * expression, as in watchlists. Only text the edit inserted is searched (the changed
+ * words of a changed line, not the whole line), so a phrase that was already in the
+ * article doesn't alert again on every later edit. A rule's
+ * `hashtag` is added to the public post of an edit that matches it.
+ */
+
+const { parseRegex, escapeRegex } = require('./title-patterns')
+
+// Compiled rules per account
+const compiled = new WeakMap()
+
+function compileRule(rule) {
+  const config = typeof rule === 'string' ? { match: rule } : rule
+  if (!config || typeof config.match !== 'string' || !config.match) {
+    throw new Error(`Invalid keyword alert ${JSON.stringify(rule)}: "match" is required`)
+  }
+
+  let pattern
+  try {
+    pattern = parseRegex(config.match) ||
+      new RegExp(`(?<![\\w])${escapeRegex(config.match)}(?![\\w])`, 'i')
+  } catch (error) {
+    throw new Error(`Invalid keyword alert ${config.match}: ${error.message}`)
+  }
+
+  let hashtag = null
+  if (config.hashtag) {
+    hashtag = config.hashtag.startsWith('#') ? config.hashtag : `#${config.hashtag}`
+  }
+
+  return { rule: config.match, pattern, hashtag }
+}
+
+function getRules(account) {
+  if (!account.keyword_alerts) return []
+  if (!compiled.has(account)) {
+    compiled.set(account, account.keyword_alerts.map(compileRule))
+  }
+  return compiled.get(account)
+}
+
+/**
+ * Checks an account's keyword alert rules at startup
+ *
+ * @param {Object} account - Account config
+ * @throws {Error} If a rule has no `match` or an invalid regex
+ */
+function validateKeywordAlerts(account) {
+  if (account.keyword_alerts && !Array.isArray(account.keyword_alerts)) {
+    throw new Error('keyword_alerts must be a list of rules')
+  }
+  getRules(account)
+}
+
+/**
+ * Finds the keyword alert rules matched by an edit's added lines
+ *
+ * @param {Object} account - Account config
+ * @param {Array<string>} lines - Text of the lines the edit added
+ * @returns {Array<Object>} One `{ rule, match, line, hashtag }` per matching rule, where
+ *   `match` is the text that matched and `line` the added line it was found in
+ */
+function findKeywords(account, lines) {
+  const hits = []
+  for (const { rule, pattern, hashtag } of getRules(account)) {
+    for (const line of lines) {
+      const found = pattern.exec(line)
+      if (found) {
+        hits.push({ rule, match: found[0], line, hashtag })
+        break
+      }
+    }
+  }
+  return hits
+}
+
+module.exports = {
+  validateKeywordAlerts,
+  findKeywords
+}
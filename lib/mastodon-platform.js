@@ -14,6 +14,36 @@ const fs = require('fs')
 const Mastodon = require('mastodon')
 const { buildMastodonText } = require('./html-utils')
 
+// Default instance limit; Mastodon counts every link as 23 characters
+const MAX_LENGTH = 500
+
+/**
+ * Formats post text for Mastodon
+ *
+ * Adds the article and contributions URLs after the names they belong to, since
+ * Mastodon has no way to link text (Article (url) format).
+ *
+ * @param {string} text - Post text
+ * @param {Object} [metadata] - Post metadata (as for post())
+ * @returns {string} Text to post
+ */
+function formatText(text, metadata = {}) {
+  return buildMastodonText(
+    text,
+    metadata.page,
+    metadata.name,
+    metadata.pageUrl,
+    metadata.userUrl
+  )
+}
+
+function connect(account) {
+  return new Mastodon({
+    access_token: account.access_token,
+    api_url: account.instance + '/api/v1/'
+  })
+}
+
 /**
  * Posts to Mastodon with screenshot and plain text formatting
  *
@@ -32,6 +62,8 @@ const { buildMastodonText } = require('./html-utils')
  * @param {string} options.metadata.name - Username/IP (for text formatting)
  * @param {string} options.metadata.pageUrl - Wikipedia article URL (for text formatting)
  * @param {string} options.metadata.userUrl - User contributions URL (for text formatting)
+ * @param {string} [options.replyTo] - ID of the status to reply to, e.g. the first post
+ *   about the same article
  * @returns {Promise<Object>} Mastodon status response with ID and URL
  * @throws {Error} If media upload or posting fails
  *
@@ -48,12 +80,9 @@ const { buildMastodonText } = require('./html-utils')
  *   }
  * })
  */
-async function post({ account, text, screenshot, metadata }) {
+async function post({ account, text, screenshot, metadata, replyTo }) {
   // Connect to Mastodon instance
-  const M = new Mastodon({
-    access_token: account.access_token,
-    api_url: account.instance + '/api/v1/'
-  })
+  const M = connect(account)
 
   // Upload screenshot
   const imageData = fs.createReadStream(screenshot)
@@ -62,20 +91,97 @@ async function post({ account, text, screenshot, metadata }) {
     description: `Screenshot of edit to ${metadata.page}`
   })
 
-  // Format text with URLs in parentheses for Mastodon
-  const mastodonText = buildMastodonText(
-    text,
-    metadata.page,
-    metadata.name,
-    metadata.pageUrl,
-    metadata.userUrl
-  )
-
-  // Post status with media
-  return await M.post('statuses', {
-    status: mastodonText,
+  // Post status with media, URLs in parentheses
+  const params = {
+    status: formatText(text, metadata),
     media_ids: [mediaData.data.id]
+  }
+  if (replyTo) {
+    params.in_reply_to_id = replyTo
+  }
+
+  return await M.post('statuses', params)
+}
+
+/**
+ * Posts a text-only status to Mastodon, optionally as a reply
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Mastodon account config (access_token, instance)
+ * @param {string} options.text - Status text
+ * @param {Object} [options.metadata] - Post metadata for text formatting (as for post())
+ * @param {string} [options.replyTo] - ID of the status to reply to
+ * @returns {Promise<Object>} Mastodon status response with ID and URL
+ * @throws {Error} If posting fails
+ *
+ * @example
+ * await postText({
+ *   account: { access_token: 'token', instance: 'https://mastodon.social' },
+ *   text: 'Reverted by ClueBot NG after 12 minutes',
+ *   replyTo: '109876543210'
+ * })
+ */
+async function postText({ account, text, metadata = {}, replyTo }) {
+  const M = connect(account)
+
+  const params = {
+    status: formatText(text, metadata)
+  }
+  if (replyTo) {
+    params.in_reply_to_id = replyTo
+  }
+
+  return await M.post('statuses', params)
+}
+
+/**
+ * Sends a direct message to the operator
+ *
+ * A direct-visibility status mentioning the recipient. Alerts are sent as written, with
+ * no URLs added: any links they need are already in the text.
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.account - Mastodon account config (access_token, instance)
+ * @param {string} options.recipient - Account to message, e.g. 'operator@mastodon.social'
+ * @param {string} options.text - Message text
+ * @returns {Promise<void>}
+ * @throws {Error} If posting fails
+ */
+async function sendAlert({ account, recipient, text }) {
+  await connect(account).post('statuses', {
+    status: `@${recipient} ${text}`,
+    visibility: 'direct'
   })
 }
 
-module.exports = { post }
+/**
+ * Picks the identifiers of a new status to keep in the post ledger
+ *
+ * @param {Object} result - Response from post() or postText()
+ * @returns {Object} `{ id, status_url }`
+ */
+function toLedger(result) {
+  return { id: result.data.id, status_url: result.data.url }
+}
+
+/**
+ * Builds the replyTo for answering a status recorded in the ledger
+ *
+ * @param {Object} entry - Ledger entry of the status to reply to
+ * @returns {string} Status ID for post() and postText()
+ */
+function replyTarget(entry) {
+  return entry.id
+}
+
+module.exports = {
+  name: 'mastodon',
+  label: 'Mastodon',
+  MAX_LENGTH,
+  formatText,
+  post,
+  postText,
+  sendAlert,
+  toLedger,
+  replyTarget
+}
@@ -0,0 +1,202 @@
+/**
+ * Matrix Platform Posting
+ *
+ * Posts to a Matrix room through the client-server API. The screenshot is uploaded to
+ * the homeserver's media repository and sent as an `m.image` event whose caption links
+ * the article, editor and diff in HTML, with a plain-text fallback for clients that
+ * don't render HTML.
+ *
+ * Operator alerts are sent to `pii_alerts.matrix_recipient`, the ID of a private room
+ * (e.g. a DM with the bot user). Set `"post": false` to use Matrix only for alerts.
+ *
+ * @see https://spec.matrix.org/latest/client-server-api/
+ */
+
+const fs = require('fs')
+const crypto = require('crypto')
+const { buildMastodonText, buildHtml } = require('./html-utils')
+
+// Events are capped at 64 KiB; leave room for the HTML caption and the event envelope
+const MAX_LENGTH = 16000
+
+const SCREENSHOT_NAME = 'screenshot.png'
+
+/**
+ * Formats post text as the HTML body of a Matrix message
+ *
+ * Links the same ranges as Bluesky's facets: article name, username and URLs.
+ *
+ * @param {string} text - Post text
+ * @param {Object} [metadata] - Post metadata (as for post())
+ * @returns {string} HTML text
+ */
+function formatText(text, metadata = {}) {
+  return buildHtml(text, metadata.page, metadata.name, metadata.pageUrl, metadata.userUrl)
+}
+
+/**
+ * Builds message content with both the plain-text and HTML bodies
+ * The plain text spells out the links the way Mastodon posts do
+ */
+function buildContent(msgtype, text, metadata = {}, replyTo) {
+  const content = {
+    msgtype,
+    body: buildMastodonText(text, metadata.page, metadata.name, metadata.pageUrl, metadata.userUrl),
+    format: 'org.matrix.custom.html',
+    formatted_body: formatText(text, metadata)
+  }
+  if (replyTo) {
+    content['m.relates_to'] = { 'm.in_reply_to': { event_id: replyTo } }
+  }
+  return content
+}
+
+/**
+ * Calls the client-server API with the account's access token
+ */
+async function request(account, method, path, body, headers = { 'Content-Type': 'application/json' }) {
+  if (!account.homeserver || !account.access_token) {
+    throw new Error('Matrix homeserver and access_token are not configured')
+  }
+
+  const response = await fetch(`${account.homeserver.replace(/\/$/, '')}${path}`, {
+    method,
+    headers: { 'Authorization': `Bearer ${account.access_token}`, ...headers },
+    body: headers['Content-Type'] === 'application/json' ? JSON.stringify(body) : body
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(`Matrix ${path.split('?')[0]} returned ${response.status}: ${data.errcode || ''} ${data.error || ''}`.trim())
+  }
+  return data
+}
+
+/**
+ * Sends an m.room.message event to a room
+ */
+async function sendMessage(account, roomId, content) {
+  if (!roomId) {
+    throw new Error('Matrix room_id is not configured')
+  }
+
+  // Transaction IDs make retries of the same request idempotent on the homeserver
+  const txnId = `sfedits-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+  return await request(account, 'PUT',
+    `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+    content)
+}
+
+/**
+ * Posts an edit to a Matrix room as an image with an HTML caption
+ *
+ * Handles the complete Matrix posting flow:
+ * 1. Uploads screenshot to the media repository
+ * 2. Builds the caption in plain text and HTML
+ * 3. Sends an m.image event to the room
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Matrix config (homeserver, access_token, room_id)
+ * @param {string} options.text - Post text (should be enriched with IP flags)
+ * @param {string} options.screenshot - Path to screenshot PNG file
+ * @param {Object} options.metadata - Post metadata for links
+ * @param {string} options.metadata.page - Article name
+ * @param {string} options.metadata.name - Username/IP
+ * @param {string} options.metadata.pageUrl - Wikipedia article URL
+ * @param {string} options.metadata.userUrl - User contributions URL
+ * @param {string} [options.replyTo] - Event ID to reply to
+ * @returns {Promise<Object>} `{ event_id }` of the new event
+ * @throws {Error} If Matrix isn't configured, or the upload or send fails
+ *
+ * @example
+ * await post({
+ *   account: { homeserver: 'https://matrix.org', access_token: 'syt_...', room_id: '!abc:matrix.org' },
+ *   text: 'Cat edited by 192.0.2.1 [🇺🇸] https://...',
+ *   screenshot: '/tmp/screenshot-123.png',
+ *   metadata: {
+ *     page: 'Cat',
+ *     name: '192.0.2.1',
+ *     pageUrl: 'https://en.wikipedia.org/wiki/Cat',
+ *     userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1'
+ *   }
+ * })
+ */
+async function post({ account, text, screenshot, metadata, replyTo }) {
+  const imageData = fs.readFileSync(screenshot)
+  const upload = await request(account, 'POST',
+    `/_matrix/media/v3/upload?filename=${SCREENSHOT_NAME}`,
+    imageData,
+    { 'Content-Type': 'image/png' })
+
+  // With `filename` set, `body` is read as the image's caption
+  const content = {
+    ...buildContent('m.image', text, metadata, replyTo),
+    filename: SCREENSHOT_NAME,
+    url: upload.content_uri,
+    info: { mimetype: 'image/png', size: imageData.length }
+  }
+
+  return await sendMessage(account, account.room_id, content)
+}
+
+/**
+ * Posts a text message to a Matrix room, optionally as a reply
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Matrix config (homeserver, access_token, room_id)
+ * @param {string} options.text - Message text
+ * @param {Object} [options.metadata] - Post metadata for links (as for post())
+ * @param {string} [options.replyTo] - Event ID to reply to
+ * @returns {Promise<Object>} `{ event_id }` of the new event
+ * @throws {Error} If Matrix isn't configured or the send fails
+ */
+async function postText({ account, text, metadata, replyTo }) {
+  return await sendMessage(account, account.room_id, buildContent('m.text', text, metadata, replyTo))
+}
+
+/**
+ * Sends an operator alert to a private room
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.account - Matrix config (homeserver, access_token)
+ * @param {string} options.recipient - Room ID, e.g. '!ops:matrix.org'
+ * @param {string} options.text - Message text
+ * @param {Object} [options.metadata] - Post metadata for links (as for post())
+ * @returns {Promise<void>}
+ * @throws {Error} If the send fails
+ */
+async function sendAlert({ account, recipient, text, metadata }) {
+  await sendMessage(account, recipient, buildContent('m.text', text, metadata))
+}
+
+/**
+ * Picks the identifiers of a new event to keep in the post ledger
+ *
+ * @param {Object} result - Response from post() or postText()
+ * @returns {Object} `{ id }`, the event ID
+ */
+function toLedger(result) {
+  return { id: result.event_id }
+}
+
+/**
+ * Builds the replyTo for answering an event recorded in the ledger
+ *
+ * @param {Object} entry - Ledger entry of the event to reply to
+ * @returns {string} Event ID for post() and postText()
+ */
+function replyTarget(entry) {
+  return entry.id
+}
+
+module.exports = {
+  name: 'matrix',
+  label: 'Matrix',
+  MAX_LENGTH,
+  formatText,
+  post,
+  postText,
+  sendAlert,
+  toLedger,
+  replyTarget
+}
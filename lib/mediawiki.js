@@ -0,0 +1,113 @@
+/**
+ * MediaWiki Helpers
+ *
+ * Maps between the wiki names used in config.json watchlists (e.g. "English Wikipedia",
+ * the long names emitted by the wikichanges IRC client) and the hostnames used by
+ * Wikimedia's HTTP APIs and EventStreams (e.g. "en.wikipedia.org"), and wraps the
+ * MediaWiki Action API.
+ *
+ * @see https://www.mediawiki.org/wiki/API:Main_page
+ */
+
+const { wikipedias } = require('wikichanges')
+
+const USER_AGENT = 'sfedits-bot/1.0 (https://github.com/edsu/anon; Contact via GitHub issues)'
+
+/**
+ * Looks up the watchlist name for a wiki hostname
+ *
+ * @param {string} host - Wiki hostname (e.g. 'en.wikipedia.org')
+ * @returns {string|null} Long wiki name (e.g. 'English Wikipedia') or null if unknown
+ */
+function getWikiName(host) {
+  const channel = getChannel(host)
+  return channel ? wikipedias[channel].long : null
+}
+
+/**
+ * Looks up the hostname for a watchlist wiki name
+ *
+ * @param {string} name - Long wiki name (e.g. 'English Wikipedia')
+ * @returns {string|null} Wiki hostname (e.g. 'en.wikipedia.org') or null if unknown
+ */
+function getWikiHost(name) {
+  const channel = Object.keys(wikipedias).find(c => wikipedias[c].long === name)
+  if (!channel) return null
+  return channel === '#wikidata.wikipedia' ? 'www.wikidata.org' : `${channel.slice(1)}.org`
+}
+
+/**
+ * Normalizes a page title's namespace the same way wikichanges does for IRC edits
+ * ('article' for the main namespace, English namespace names where known)
+ *
+ * @param {string} host - Wiki hostname
+ * @param {string} page - Page title
+ * @returns {string} Namespace name
+ */
+function getNamespace(host, page) {
+  const parts = page.split(':')
+  if (parts.length > 1 && parts[1][0] !== ' ') {
+    const channel = getChannel(host)
+    const namespaces = channel ? wikipedias[channel].namespaces : {}
+    return namespaces[parts[0]] || parts[0]
+  }
+  return 'article'
+}
+
+/**
+ * Calls the MediaWiki Action API
+ *
+ * Requests JSON with formatversion=2 (plain arrays and booleans instead of the legacy
+ * keyed objects). Array parameter values are joined with '|'.
+ *
+ * @param {string} host - Wiki hostname (e.g. 'en.wikipedia.org')
+ * @param {Object} params - API parameters (action, prop, titles, ...)
+ * @returns {Promise<Object>} Parsed API response
+ * @throws {Error} On HTTP errors, timeouts and API error responses
+ *
+ * @example
+ * const data = await apiRequest('en.wikipedia.org', {
+ *   action: 'query',
+ *   prop: 'revisions',
+ *   titles: 'London Breed'
+ * })
+ */
+async function apiRequest(host, params) {
+  const query = new URLSearchParams({ format: 'json', formatversion: '2' })
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue
+    query.set(key, Array.isArray(value) ? value.join('|') : String(value))
+  }
+
+  const response = await fetch(`https://${host}/w/api.php?${query}`, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(15000)
+  })
+
+  if (!response.ok) {
+    throw new Error(`MediaWiki API returned ${response.status}`)
+  }
+
+  const data = await response.json()
+  if (data.error) {
+    throw new Error(`MediaWiki API error: ${data.error.info || data.error.code}`)
+  }
+
+  return data
+}
+
+function getChannel(host) {
+  if (!host) return null
+  const channel = host === 'www.wikidata.org'
+    ? '#wikidata.wikipedia'
+    : `#${host.replace(/\.org$/, '')}`
+  return wikipedias[channel] ? channel : null
+}
+
+module.exports = {
+  USER_AGENT,
+  getWikiName,
+  getWikiHost,
+  getNamespace,
+  apiRequest
+}
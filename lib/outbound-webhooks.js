@@ -0,0 +1,174 @@
+/**
+ * Outbound Webhooks
+ *
+ * Sends bot events to the operator's own systems. Configured per account:
+ *
+ *   "webhooks": [
+ *     { "url": "https://example.org/hooks/sfedits", "secret": "...", "events": ["edit.posted"] }
+ *   ]
+ *
+ * `events` is optional (default: all of EVENTS). Each delivery is a POST of a versioned
+ * JSON payload:
+ *
+ *   { "version": 1, "id": "<delivery id>", "event": "edit.posted",
+ *     "created_at": "2026-03-02T18:04:11.120Z", "account": "sfedits", "data": { ... } }
+ *
+ * signed with an HMAC-SHA256 of the raw body under the webhook's secret:
+ *
+ *   X-SFEdits-Signature: sha256=<hex digest>
+ *
+ * Network errors, timeouts, 429s and 5xx responses are retried with exponential backoff;
+ * other responses are final. Deliveries are held in memory only, so retries pending when
+ * the bot restarts are lost.
+ */
+
+const crypto = require('crypto')
+const { USER_AGENT } = require('./mediawiki')
+const { accountLabel } = require('./post-ledger')
+
+const PAYLOAD_VERSION = 1
+
+const EVENTS = ['edit.matched', 'edit.posted', 'edit.blocked', 'draft.approved']
+
+const DEFAULTS = {
+  attempts: 5,
+  retry_base_ms: 2000,
+  timeout_ms: 10000
+}
+
+/**
+ * Checks an account's webhooks at startup
+ *
+ * @param {Object} account - Account config
+ * @throws {Error} If a webhook has no URL or secret, or subscribes to an unknown event
+ */
+function validateWebhooks(account) {
+  if (!account.webhooks) return
+  if (!Array.isArray(account.webhooks)) {
+    throw new Error('webhooks must be a list of { url, secret }')
+  }
+
+  for (const hook of account.webhooks) {
+    if (!hook || !hook.url || !hook.secret) {
+      throw new Error('Every webhook needs a url and a secret')
+    }
+    const unknown = (hook.events || []).filter(event => !EVENTS.includes(event))
+    if (unknown.length) {
+      throw new Error(`Unknown webhook events for ${hook.url}: ${unknown.join(', ')}`)
+    }
+  }
+}
+
+/**
+ * Signs a payload body
+ *
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @returns {string} `sha256=<hex digest>`, the X-SFEdits-Signature header
+ */
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+/**
+ * Describes an edit the same way in every event
+ *
+ * @param {Object} edit - Edit (wikichanges shape: url, page, user, wikipedia)
+ * @param {Object} [statusData] - From getStatus() (text, pageUrl, userUrl)
+ * @returns {Object} Edit fields of an event's `data`
+ */
+function editData(edit, statusData = {}) {
+  return {
+    wiki: edit.wikipedia,
+    article: edit.page,
+    article_url: statusData.pageUrl,
+    editor: edit.user,
+    editor_url: statusData.userUrl,
+    diff_url: edit.url,
+    edited_at: edit.timestamp || null,
+    text: statusData.text
+  }
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500
+}
+
+/**
+ * POSTs one payload, retrying with backoff
+ * Resolves either way; failures are logged
+ */
+async function deliver(hook, event, body, deliveryId) {
+  const settings = { ...DEFAULTS, ...hook }
+
+  for (let attempt = 1; attempt <= settings.attempts; attempt++) {
+    let retryable = true
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-SFEdits-Event': event,
+          'X-SFEdits-Delivery': deliveryId,
+          'X-SFEdits-Signature': sign(body, hook.secret)
+        },
+        body,
+        signal: AbortSignal.timeout(settings.timeout_ms)
+      })
+      if (response.ok) return true
+
+      retryable = isRetryable(response.status)
+      throw new Error(`returned ${response.status}`)
+    } catch (error) {
+      if (!retryable || attempt === settings.attempts) {
+        console.error(`Webhook ${event} to ${hook.url} failed after ${attempt} attempt(s):`, error.message)
+        return false
+      }
+
+      const delay = settings.retry_base_ms * Math.pow(2, attempt - 1)
+      console.error(`Webhook ${event} to ${hook.url} failed (attempt ${attempt}), retrying in ${Math.round(delay / 1000)}s:`, error.message)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+/**
+ * Sends an event to every webhook of the account subscribed to it
+ *
+ * Callers needn't wait: the promise settles once every delivery has succeeded or given
+ * up, which with retries can take a while. It never rejects.
+ *
+ * @param {Object} account - Account config
+ * @param {string} event - One of EVENTS
+ * @param {Object} data - Event data, e.g. editData() plus event-specific fields
+ * @returns {Promise<Array<boolean>>} Whether each delivery succeeded
+ *
+ * @example
+ * emit(account, 'edit.blocked', { ...editData(edit, statusData), reason: 'PII detected' })
+ */
+async function emit(account, event, data) {
+  const hooks = (account.webhooks || []).filter(hook => !hook.events || hook.events.includes(event))
+  if (!hooks.length) return []
+
+  const deliveryId = crypto.randomUUID()
+  const body = JSON.stringify({
+    version: PAYLOAD_VERSION,
+    id: deliveryId,
+    event,
+    created_at: new Date().toISOString(),
+    account: accountLabel(account),
+    data
+  })
+
+  return await Promise.all(hooks.map(hook => deliver(hook, event, body, deliveryId)))
+}
+
+module.exports = {
+  validateWebhooks,
+  sign,
+  editData,
+  emit,
+  EVENTS,
+  PAYLOAD_VERSION
+}
@@ -0,0 +1,227 @@
+/**
+ * Page Tracker
+ *
+ * Follows explicitly watched pages by MediaWiki page ID so a rename doesn't silently
+ * stop matching. At startup every exact title in `account.watchlist` is resolved to its
+ * page ID; from then on:
+ *
+ * - move log events for a tracked page update its current title immediately
+ * - a periodic refresh looks up every tracked page ID and picks up moves the feed missed
+ *   (e.g. while the bot was down)
+ *
+ * Either way the caller's onMove callback is told the old and new titles, so the operator
+ * can update config.json.
+ *
+ * @see https://www.mediawiki.org/wiki/API:Info
+ */
+
+const { getWikiHost, apiRequest } = require('./mediawiki')
+const { isPattern } = require('./title-patterns')
+
+const DEFAULT_REFRESH_HOURS = 24
+
+// Titles per API request (the limit for normal API users)
+const BATCH_SIZE = 50
+
+// Tracked pages per account: account -> Map(wiki name -> { byId, byTitle })
+//   byId: Map(pageId -> { pageId, configTitle, title })
+//   byTitle: Map(current title -> pageId)
+const tracked = new WeakMap()
+
+function getWiki(account, wikipedia) {
+  if (!tracked.has(account)) tracked.set(account, new Map())
+  const wikis = tracked.get(account)
+  if (!wikis.has(wikipedia)) wikis.set(wikipedia, { byId: new Map(), byTitle: new Map() })
+  return wikis.get(wikipedia)
+}
+
+function setTitle(wiki, entry, title) {
+  wiki.byTitle.delete(entry.title)
+  entry.title = title
+  wiki.byTitle.set(title, entry.pageId)
+}
+
+function chunk(items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Extracts the old and new titles from a page move event
+ *
+ * Handles EventStreams move log events (converted by ./eventstreams) and IRC log lines,
+ * where wikichanges reports the page as "Special:Log/move" and the comment reads
+ * "moved [[Old]] to [[New]]".
+ *
+ * @param {Object} edit - Edit from any source
+ * @returns {{ from: string, to: string }|null} Move, or null if the edit isn't a move
+ */
+function parseMove(edit) {
+  if (edit.logType === 'move' && edit.page && edit.target) {
+    return { from: edit.page, to: edit.target }
+  }
+
+  if (edit.page && /:Log\/move$/.test(edit.page) && edit.comment) {
+    const match = /\[\[(.+?)\]\].*?\[\[(.+?)\]\]/.exec(edit.comment)
+    if (match) {
+      return { from: match[1], to: match[2] }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Resolves new watchlist titles to page IDs and re-checks the titles of tracked pages
+ *
+ * @param {Object} account - Account config
+ * @param {Object} [options] - Refresh options
+ * @param {Function} [options.onMove] - Called with { wikipedia, configTitle, from, to }
+ *   for each tracked page whose title changed
+ * @returns {Promise<number>} Number of pages tracked
+ */
+async function refreshPageIds(account, { onMove } = {}) {
+  let total = 0
+
+  for (const wikipedia of Object.keys(account.watchlist || {})) {
+    const host = getWikiHost(wikipedia)
+    if (!host) continue
+
+    const pages = account.watchlist[wikipedia]
+    const wiki = getWiki(account, wikipedia)
+    const configTitles = new Set(Array.from(wiki.byId.values()).map(entry => entry.configTitle))
+    const untracked = Object.keys(pages).filter(title => pages[title] && !isPattern(title) && !configTitles.has(title))
+
+    // Resolve titles added to config since the last refresh
+    for (const titles of chunk(untracked, BATCH_SIZE)) {
+      try {
+        const data = await apiRequest(host, { action: 'query', titles })
+        const normalized = new Map((data.query.normalized || []).map(n => [n.to, n.from]))
+
+        for (const page of data.query.pages || []) {
+          if (page.missing || page.invalid || !page.pageid) {
+            console.error(`Page tracker: watched page "${page.title}" does not exist on ${wikipedia}`)
+            continue
+          }
+          const entry = { pageId: page.pageid, configTitle: normalized.get(page.title) || page.title, title: null }
+          wiki.byId.set(page.pageid, entry)
+          setTitle(wiki, entry, page.title)
+        }
+      } catch (error) {
+        console.error(`Page tracker: failed to resolve page IDs on ${wikipedia}:`, error.message)
+      }
+    }
+
+    // Pick up moves of already-tracked pages that the edit feed didn't deliver
+    const knownIds = Array.from(wiki.byId.keys()).filter(id => !untracked.includes(wiki.byId.get(id).configTitle))
+    for (const pageids of chunk(knownIds, BATCH_SIZE)) {
+      try {
+        const data = await apiRequest(host, { action: 'query', pageids })
+
+        for (const page of data.query.pages || []) {
+          const entry = wiki.byId.get(page.pageid)
+          if (!entry || page.missing) continue
+          if (page.title !== entry.title) {
+            const from = entry.title
+            setTitle(wiki, entry, page.title)
+            if (onMove) onMove({ wikipedia, configTitle: entry.configTitle, from, to: page.title })
+          }
+        }
+      } catch (error) {
+        console.error(`Page tracker: failed to refresh titles on ${wikipedia}:`, error.message)
+      }
+    }
+
+    total += wiki.byId.size
+  }
+
+  return total
+}
+
+/**
+ * Applies a move event to the tracked pages
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name
+ * @param {string} from - Old title
+ * @param {string} to - New title
+ * @returns {Object|null} The moved page ({ pageId, configTitle, title }), or null if the
+ *   page isn't tracked
+ */
+function applyMove(account, wikipedia, from, to) {
+  const wikis = tracked.get(account)
+  const wiki = wikis && wikis.get(wikipedia)
+  if (!wiki || !wiki.byTitle.has(from)) return null
+
+  const entry = wiki.byId.get(wiki.byTitle.get(from))
+  setTitle(wiki, entry, to)
+  return entry
+}
+
+/**
+ * Looks up the watchlist title a tracked page was configured under
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name
+ * @param {string} page - Current page title
+ * @returns {string|null} Title as written in config.json, or null if not tracked
+ */
+function getConfigTitle(account, wikipedia, page) {
+  const wikis = tracked.get(account)
+  const wiki = wikis && wikis.get(wikipedia)
+  if (!wiki || !wiki.byTitle.has(page)) return null
+  return wiki.byId.get(wiki.byTitle.get(page)).configTitle
+}
+
+/**
+ * Checks whether a title is the current title of a tracked page
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name
+ * @param {string} page - Page title
+ * @returns {boolean} True if the page is tracked under this title
+ */
+function isTrackedTitle(account, wikipedia, page) {
+  return getConfigTitle(account, wikipedia, page) !== null
+}
+
+/**
+ * Resolves page IDs for every account now and refreshes them on each account's schedule
+ *
+ * @param {Array<Object>} accounts - Account configs
+ * @param {Object} [options] - Tracking options
+ * @param {Function} [options.onMove] - Called with (account, move) for moves found on refresh
+ * @returns {Promise<void>} Resolves once the initial lookup is done
+ */
+async function startPageTracking(accounts, { onMove } = {}) {
+  for (const account of accounts) {
+    if (!account.watchlist) continue
+
+    const refresh = async () => {
+      try {
+        const count = await refreshPageIds(account, {
+          onMove: move => onMove && onMove(account, move)
+        })
+        console.log(`Page tracker: tracking ${count} watched pages by page ID`)
+      } catch (error) {
+        console.error('Page tracker refresh failed:', error.message)
+      }
+    }
+
+    await refresh()
+    const hours = account.page_tracking_refresh_hours || DEFAULT_REFRESH_HOURS
+    setInterval(refresh, hours * 60 * 60 * 1000).unref()
+  }
+}
+
+module.exports = {
+  parseMove,
+  refreshPageIds,
+  applyMove,
+  getConfigTitle,
+  isTrackedTitle,
+  startPageTracking
+}
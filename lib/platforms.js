@@ -0,0 +1,71 @@
+/**
+ * Platform Registry
+ *
+ * The destinations the bot can post to. Each platform module exposes the same interface,
+ * so the bot, admin console and digests loop over whatever an account configures instead
+ * of naming platforms:
+ *
+ *   name          Config key on the account and platform name in the ledger, e.g. 'bluesky'
+ *   label         Display name for logs
+ *   MAX_LENGTH    Longest post the platform accepts, in characters
+ *   formatText    (text, metadata) -> text as the platform posts it
+ *   post          ({ account, text, screenshot, metadata, replyTo }) -> post with screenshot
+ *   postText      ({ account, text, metadata, replyTo }) -> text-only post
+ *   sendAlert     ({ account, recipient, text, metadata }) -> DM to the operator
+ *   toLedger      (result, replyTo) -> identifiers of a new post for the post ledger
+ *   replyTarget   (ledgerEntry) -> replyTo for answering a post in the ledger, or null
+ *                 if the platform can't reply (webhooks)
+ *
+ * A platform is configured when the account has a key of the same name, e.g.
+ * `"bluesky": { ... }`. Its operator alert recipient is `pii_alerts.<name>_recipient`.
+ * With `"post": false` in its config a platform only carries operator alerts.
+ */
+
+const PLATFORMS = [
+  require('./bluesky-platform'),
+  require('./mastodon-platform'),
+  require('./discord-platform'),
+  require('./slack-platform'),
+  require('./matrix-platform')
+]
+
+/**
+ * Finds a platform by name
+ *
+ * @param {string} name - Platform name, e.g. 'mastodon'
+ * @returns {Object|null} Platform module, or null if there is no such platform
+ */
+function getPlatform(name) {
+  return PLATFORMS.find(platform => platform.name === name) || null
+}
+
+/**
+ * Lists the platforms an account posts to, in registry order
+ *
+ * @param {Object} account - Account config
+ * @returns {Array<Object>} Platform modules
+ */
+function configuredPlatforms(account) {
+  return PLATFORMS.filter(platform => account[platform.name] && account[platform.name].post !== false)
+}
+
+/**
+ * Lists where an account's operator alerts go
+ *
+ * @param {Object} account - Account config
+ * @returns {Array<Object>} `{ platform, recipient }` for each configured platform with
+ *   a recipient in `pii_alerts`, whether or not it is posted to
+ */
+function alertPlatforms(account) {
+  return PLATFORMS
+    .filter(platform => account[platform.name])
+    .map(platform => ({ platform, recipient: account.pii_alerts?.[`${platform.name}_recipient`] }))
+    .filter(({ recipient }) => recipient)
+}
+
+module.exports = {
+  PLATFORMS,
+  getPlatform,
+  configuredPlatforms,
+  alertPlatforms
+}
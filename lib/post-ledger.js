@@ -0,0 +1,230 @@
+/**
+ * Post Ledger
+ *
+ * Append-only record of everything the bot has posted, one JSON object per line in
+ * data/post-ledger.jsonl. Each entry ties a Wikipedia revision to the post made about it
+ * on one platform (Bluesky URI and CID, or Mastodon status ID), so later events such as
+ * a revert can be threaded under the original post.
+ *
+ *   {"type":"post","revision":"en.wikipedia.org:1234","platform":"bluesky",
+ *    "account":"sfedits.bsky.social","uri":"at://...","cid":"bafy...", ...}
+ *
+ * Entries are never rewritten; state changes (e.g. "revert reply posted") are new
+ * entries that point back at the revision.
+ *
+ * The bot and the admin console both append to the ledger and check it before every
+ * post, so an edit is never published twice on the same platform. Each process re-reads
+ * whatever the other has appended since its last look.
+ *
+ * Entries are indexed by revision and posts by page, so lookups don't scan the whole
+ * ledger, and pagePosts() is cheap enough to call for every edit on the feed.
+ */
+
+const fs = require('fs')
+const { dataPath, appendFile } = require('./data-files')
+
+const LEDGER_FILE = dataPath('post-ledger.jsonl')
+
+// Entries per ledger file (with indexes) and how many bytes of it have been read
+const loaded = new Map()
+
+/**
+ * Builds the ledger key for the revision a diff URL points at
+ *
+ * @param {string} url - Diff URL (`?diff=new&oldid=old`, or `?oldid=rev` for new pages)
+ * @returns {string|null} `host:revid`, or null if the URL has no revision
+ *
+ * @example
+ * revisionKey('https://en.wikipedia.org/w/index.php?diff=789&oldid=456') // 'en.wikipedia.org:789'
+ */
+function revisionKey(url) {
+  try {
+    const parsed = new URL(url)
+    const revid = parsed.searchParams.get('diff') || parsed.searchParams.get('oldid')
+    return revid && /^\d+$/.test(revid) ? `${parsed.host}:${revid}` : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Names the account a post was made from, to tell accounts apart in the ledger
+ *
+ * @param {Object} account - Account config
+ * @returns {string} `account.name`, else the Bluesky identifier or Mastodon instance
+ */
+function accountLabel(account) {
+  return account.name ||
+    (account.bluesky && account.bluesky.identifier) ||
+    (account.mastodon && account.mastodon.instance) ||
+    'default'
+}
+
+function pageKey(account, wiki, page) {
+  return `${account}|${wiki}|${page}`
+}
+
+function addToIndex(index, key, entry) {
+  if (!index.has(key)) index.set(key, [])
+  index.get(key).push(entry)
+}
+
+function add(ledger, entry) {
+  ledger.entries.push(entry)
+  if (entry.revision) addToIndex(ledger.revisions, entry.revision, entry)
+  if (entry.type === 'post') addToIndex(ledger.pages, pageKey(entry.account, entry.wiki, entry.page), entry)
+}
+
+function load(file) {
+  if (!loaded.has(file)) loaded.set(file, { entries: [], offset: 0, revisions: new Map(), pages: new Map() })
+  const ledger = loaded.get(file)
+
+  let size = 0
+  try {
+    size = fs.statSync(file).size
+  } catch {
+    // No posts yet
+  }
+  if (size <= ledger.offset) return ledger
+
+  // Read only what was appended since last time, up to the last complete line
+  const buffer = Buffer.alloc(size - ledger.offset)
+  const fd = fs.openSync(file, 'r')
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, ledger.offset)
+  } finally {
+    fs.closeSync(fd)
+  }
+  const end = buffer.lastIndexOf('\n') + 1
+  ledger.offset += end
+
+  for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+    if (!line.trim()) continue
+    try {
+      add(ledger, JSON.parse(line))
+    } catch {
+      console.error(`Post ledger: skipping unparseable line in ${file}`)
+    }
+  }
+
+  return ledger
+}
+
+/**
+ * Appends an entry to the ledger
+ *
+ * @param {Object} entry - Ledger entry; `posted_at` is added if missing
+ * @param {string} [file] - Ledger file
+ * @returns {Object} The stored entry
+ */
+function record(entry, file = LEDGER_FILE) {
+  const stored = Object.assign({ posted_at: new Date().toISOString() }, entry)
+
+  if (!appendFile(file, JSON.stringify(stored) + '\n')) {
+    // Still never post it twice while this process runs
+    add(load(file), stored)
+    return stored
+  }
+
+  // Picks up our line along with anything another process appended first
+  load(file)
+  return stored
+}
+
+/**
+ * Finds ledger entries whose fields equal every field of a query
+ *
+ * @param {Object} query - Fields to match, e.g. { type: 'post', revision }
+ * @param {string} [file] - Ledger file
+ * @returns {Array<Object>} Matching entries, oldest first
+ */
+function find(query, file = LEDGER_FILE) {
+  const keys = Object.keys(query)
+  const ledger = load(file)
+  const entries = 'revision' in query ? ledger.revisions.get(query.revision) || [] : ledger.entries
+  return entries.filter(entry => keys.every(key => entry[key] === query[key]))
+}
+
+/**
+ * Lists an account's posts about a page
+ *
+ * Unlike find() this doesn't check the file for new entries: posts another process has
+ * appended since show up once anything else reads the ledger.
+ *
+ * @param {Object} account - Account config
+ * @param {string} wiki - Wiki name, e.g. 'English Wikipedia'
+ * @param {string} page - Page title
+ * @param {string} [file] - Ledger file
+ * @returns {Array<Object>} Post entries, oldest first
+ */
+function pagePosts(account, wiki, page, file = LEDGER_FILE) {
+  const ledger = loaded.get(file) || load(file)
+  return ledger.pages.get(pageKey(accountLabel(account), wiki, page)) || []
+}
+
+/**
+ * Records a post made about an edit
+ *
+ * @param {Object} account - Account config the post was made from
+ * @param {Object} edit - Edit (wikichanges shape: url, page, user, wikipedia, timestamp)
+ * @param {string} platform - 'bluesky' or 'mastodon'
+ * @param {Object} ids - Platform identifiers ({ uri, cid } or { id, status_url })
+ * @param {string} [file] - Ledger file
+ * @returns {Object} The stored entry
+ */
+function recordPost(account, edit, platform, ids, file = LEDGER_FILE) {
+  return record({
+    type: 'post',
+    revision: revisionKey(edit.url),
+    account: accountLabel(account),
+    platform,
+    ...ids,
+    wiki: edit.wikipedia,
+    page: edit.page,
+    user: edit.user,
+    url: edit.url,
+    edited_at: edit.timestamp || new Date().toISOString()
+  }, file)
+}
+
+/**
+ * Looks up an earlier post about the same revision on a platform
+ *
+ * @param {Object} account - Account config
+ * @param {Object} edit - Edit (only `url` is used)
+ * @param {string} platform - 'bluesky' or 'mastodon'
+ * @param {string} [file] - Ledger file
+ * @returns {Object|null} The earlier post's entry, or null if it hasn't been posted
+ */
+function findPost(account, edit, platform, file = LEDGER_FILE) {
+  const revision = revisionKey(edit.url)
+  if (!revision) return null
+
+  const posts = find({ type: 'post', revision, platform, account: accountLabel(account) }, file)
+  return posts[0] || null
+}
+
+// Fields recordPost() adds around a platform's identifiers
+const POST_FIELDS = ['type', 'revision', 'account', 'platform', 'reply_to', 'wiki', 'page', 'user', 'url', 'edited_at', 'posted_at']
+
+/**
+ * Picks a post entry's platform identifiers, e.g. `{ uri, cid }` or `{ id, status_url }`
+ *
+ * @param {Object} entry - Post entry from the ledger
+ * @returns {Object} The identifiers the platform's toLedger() returned
+ */
+function postIds(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([key]) => !POST_FIELDS.includes(key)))
+}
+
+module.exports = {
+  revisionKey,
+  accountLabel,
+  record,
+  find,
+  pagePosts,
+  recordPost,
+  findPost,
+  postIds,
+  LEDGER_FILE
+}
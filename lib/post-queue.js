@@ -0,0 +1,243 @@
+/**
+ * Durable Posting Queue
+ *
+ * Every post goes through a job saved under data/queue/ until it is finished, so a
+ * Bluesky outage, a Chromium crash or a restart doesn't lose the edit. A job runs a
+ * fixed list of steps in order (for the bot: screen, screenshot, then one per platform)
+ * and records each step's progress in its file:
+ *
+ *   { "id": "...", "account": "sfedits.bsky.social", "edit": {...}, "statusData": {...},
+ *     "steps": { "screen": { "status": "done", "duration_ms": 812 },
+ *     "bluesky": { "status": "retrying", "attempts": 2, "next_attempt_at": "...",
+ *     "error": "..." }, ... } }
+ *
+ * A failed step is retried with exponential backoff. Steps marked `independent` (the
+ * platforms) fail alone: the rest of the job carries on and only that step is retried.
+ * Any other failing step holds up the steps after it. After `maxAttempts` a step is
+ * given up on and a copy of the job is written to data/queue/dead/ for inspection.
+ *
+ * On startup resume() picks up every job file left behind and continues where it
+ * stopped.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { dataPath, writeFile } = require('./data-files')
+
+const QUEUE_DIR = dataPath('queue')
+const MAX_ATTEMPTS = 6
+const RETRY_BASE_MS = 60 * 1000
+
+// Returned by a step to end the job early (e.g. the post was blocked by PII screening)
+const STOP = Symbol('stop')
+
+const SETTLED = ['done', 'dead', 'skipped']
+
+/**
+ * Creates a posting queue
+ *
+ * @param {Object} options - Queue options
+ * @param {Object<string, Object>} options.steps - Step definitions by name, each
+ *   `{ run: async (job, context) => (STOP|undefined), independent?: boolean }`
+ * @param {Function} [options.onSettled] - Called with (job, context) once every step of
+ *   a job is done, dead or skipped
+ * @param {string} [options.dir] - Queue directory (dead letters go in `dead/` inside it)
+ * @param {number} [options.maxAttempts=6] - Attempts per step before dead-lettering
+ * @param {number} [options.retryBaseMs=60000] - Delay before the first retry; doubles
+ *   on each further attempt
+ * @returns {{ enqueue: Function, resume: Function, pending: Function }} Queue
+ */
+function createPostQueue({
+  steps,
+  onSettled,
+  dir = QUEUE_DIR,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS
+}) {
+  const deadDir = path.join(dir, 'dead')
+  const contexts = new Map()
+  const timers = new Map()
+
+  function jobFile(job) {
+    return path.join(dir, `${job.id}.json`)
+  }
+
+  // A job that can't be saved is still processed, just not resumed after a restart
+  function save(job) {
+    writeFile(jobFile(job), JSON.stringify(job, null, 2))
+  }
+
+  function deadLetter(job, name) {
+    console.error(`Queue: giving up on ${name} for ${job.edit.page} after ${job.steps[name].attempts} attempts`)
+    writeFile(path.join(deadDir, `${job.id}-${name}.json`), JSON.stringify(job, null, 2))
+  }
+
+  function settle(job) {
+    const context = contexts.get(job.id)
+    contexts.delete(job.id)
+    try {
+      fs.unlinkSync(jobFile(job))
+    } catch (e) {
+      // Already gone, or never written
+    }
+    if (onSettled) onSettled(job, context)
+  }
+
+  function scheduleRetry(job) {
+    const times = job.order
+      .map(name => job.steps[name])
+      .filter(step => step.status === 'retrying')
+      .map(step => new Date(step.next_attempt_at).getTime())
+    if (!times.length) return
+
+    const delay = Math.max(0, Math.min(...times) - Date.now())
+    timers.set(job.id, setTimeout(() => {
+      timers.delete(job.id)
+      runJob(job).catch(error => console.error('Queue: retry failed:', error.message))
+    }, delay).unref())
+  }
+
+  function skipRemaining(job, from) {
+    for (const name of job.order.slice(job.order.indexOf(from) + 1)) {
+      if (!SETTLED.includes(job.steps[name].status)) job.steps[name].status = 'skipped'
+    }
+  }
+
+  /**
+   * Runs every step of a job that is due; resolves when this pass is over
+   */
+  async function runJob(job) {
+    clearTimeout(timers.get(job.id))
+    timers.delete(job.id)
+    const context = contexts.get(job.id)
+
+    for (const name of job.order) {
+      const step = job.steps[name]
+      const definition = steps[name]
+      if (SETTLED.includes(step.status)) continue
+
+      if (step.status === 'retrying' && Date.now() < new Date(step.next_attempt_at).getTime()) {
+        if (definition.independent) continue
+        break
+      }
+
+      const started = Date.now()
+      try {
+        const result = await definition.run(job, context)
+        step.status = 'done'
+        step.duration_ms = Date.now() - started
+        delete step.error
+        delete step.next_attempt_at
+        if (result === STOP) {
+          skipRemaining(job, name)
+          save(job)
+          break
+        }
+      } catch (error) {
+        step.attempts = (step.attempts || 0) + 1
+        step.error = error.message
+
+        if (step.attempts >= maxAttempts) {
+          step.status = 'dead'
+          deadLetter(job, name)
+          if (!definition.independent) skipRemaining(job, name)
+        } else {
+          const delay = retryBaseMs * Math.pow(2, step.attempts - 1)
+          step.status = 'retrying'
+          step.next_attempt_at = new Date(Date.now() + delay).toISOString()
+          console.error(`Queue: ${name} failed for ${job.edit.page} (attempt ${step.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message)
+        }
+
+        save(job)
+        if (step.status === 'retrying' && !definition.independent) break
+        continue
+      }
+
+      save(job)
+    }
+
+    if (job.order.every(name => SETTLED.includes(job.steps[name].status))) {
+      settle(job)
+    } else {
+      scheduleRetry(job)
+    }
+  }
+
+  return {
+    /**
+     * Saves a new job and runs its first pass
+     *
+     * @param {Object} job - Job fields (`account`, `edit`, `statusData`, ...) and
+     *   `order`, the names of the steps to run
+     * @param {*} [context] - In-memory value passed to each step (e.g. account config)
+     * @returns {Promise<Object>} The job, after its first pass
+     */
+    async enqueue(job, context) {
+      const stored = Object.assign({
+        id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        created_at: new Date().toISOString()
+      }, job)
+      stored.steps = {}
+      for (const name of stored.order) {
+        stored.steps[name] = { status: 'pending', attempts: 0 }
+      }
+
+      contexts.set(stored.id, context)
+      save(stored)
+      await runJob(stored)
+      return stored
+    },
+
+    /**
+     * Continues every unfinished job left in the queue directory
+     *
+     * @param {Function} resolveContext - Called with each job; returns its context, or
+     *   null to leave the job where it is (e.g. its account is no longer configured)
+     * @returns {Promise<number>} Number of jobs resumed
+     */
+    async resume(resolveContext) {
+      let files = []
+      try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort()
+      } catch (e) {
+        return 0
+      }
+
+      let resumed = 0
+      for (const file of files) {
+        let job
+        try {
+          job = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+        } catch (error) {
+          console.error(`Queue: skipping unreadable job ${file}:`, error.message)
+          continue
+        }
+        if (contexts.has(job.id)) continue
+
+        const context = resolveContext(job)
+        if (context === null || context === undefined) {
+          console.error(`Queue: no account "${job.account}" for job ${job.id} - leaving it queued`)
+          continue
+        }
+
+        contexts.set(job.id, context)
+        resumed++
+        await runJob(job)
+      }
+      return resumed
+    },
+
+    /** Number of jobs in memory that haven't settled */
+    pending() {
+      return contexts.size
+    }
+  }
+}
+
+module.exports = {
+  createPostQueue,
+  STOP,
+  QUEUE_DIR,
+  MAX_ATTEMPTS
+}
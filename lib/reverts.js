@@ -0,0 +1,188 @@
+/**
+ * Revert Detection
+ *
+ * Decides whether a new edit to a page reverts revisions the bot has already posted
+ * about. Neither the IRC feed nor EventStreams carries change tags or content hashes, so
+ * the new revision and the posted ones are looked up in a single revisions API query.
+ * A posted revision counts as reverted when:
+ *
+ * - the new revision's SHA1 equals the SHA1 of the revision before the posted one (the
+ *   page content was restored to what it was before the edit), or
+ * - the new revision is tagged as a rollback, undo or manual revert and MediaWiki has
+ *   tagged the posted revision `mw-reverted`
+ *
+ * A revert by the editor who made the posted edit is reported as a self-revert.
+ *
+ * findRevert() answers the reverse question for a single edit that hasn't been posted
+ * yet: has anything since reverted it? It's used to sit out `post_delay`.
+ *
+ * revertSignals() gives the same evidence for any single edit, for callers that follow a
+ * page's edits themselves (edit war detection).
+ *
+ * @see https://www.mediawiki.org/wiki/Manual:Reverts
+ */
+
+const { apiRequest } = require('./mediawiki')
+
+const REVERT_TAGS = ['mw-rollback', 'mw-undo', 'mw-manual-revert']
+
+function hasRevertTag(revision) {
+  return Boolean(revision && (revision.tags || []).some(tag => REVERT_TAGS.includes(tag)))
+}
+
+function revisionIds(url) {
+  const params = new URL(url).searchParams
+  const diff = params.get('diff')
+  return diff
+    ? { revid: Number(diff), parentid: Number(params.get('oldid')) || null }
+    : { revid: Number(params.get('oldid')), parentid: null }
+}
+
+/**
+ * Fetches sha1, tags and user for a set of revisions
+ *
+ * @returns {Promise<Map<number, Object>>} Revisions by ID
+ */
+async function fetchRevisions(host, revids) {
+  const data = await apiRequest(host, {
+    action: 'query',
+    prop: 'revisions',
+    revids: Array.from(new Set(revids)),
+    rvprop: ['ids', 'sha1', 'tags', 'user', 'timestamp']
+  })
+
+  const revisions = new Map()
+  for (const page of (data.query && data.query.pages) || []) {
+    for (const revision of page.revisions || []) {
+      revisions.set(revision.revid, revision)
+    }
+  }
+  return revisions
+}
+
+/**
+ * Finds which posted revisions an edit reverts
+ *
+ * @param {Object} edit - New edit to the page (wikichanges shape, with a diff url)
+ * @param {Array<Object>} posts - Posted revisions of the page, each with `url` (the
+ *   posted diff URL) and `user`
+ * @returns {Promise<Array<{ post: Object, selfRevert: boolean }>>} Reverted posts
+ */
+async function detectReverts(edit, posts) {
+  const host = new URL(edit.url).host
+  const revert = revisionIds(edit.url)
+
+  const candidates = posts
+    .map(post => ({ post, ids: revisionIds(post.url) }))
+    .filter(candidate => candidate.ids.revid && candidate.ids.revid < revert.revid)
+  if (!revert.revid || !candidates.length) return []
+
+  const revids = [revert.revid]
+  for (const { ids } of candidates) {
+    revids.push(ids.revid)
+    if (ids.parentid) revids.push(ids.parentid)
+  }
+
+  const revisions = await fetchRevisions(host, revids)
+  const newRevision = revisions.get(revert.revid)
+  if (!newRevision) return []
+
+  const isRevertEdit = hasRevertTag(newRevision)
+
+  return candidates
+    .filter(({ ids }) => {
+      const posted = revisions.get(ids.revid)
+      const parent = ids.parentid && revisions.get(ids.parentid)
+      const restored = Boolean(parent && parent.sha1 && parent.sha1 === newRevision.sha1)
+      const tagged = isRevertEdit && Boolean(posted && (posted.tags || []).includes('mw-reverted'))
+      return restored || tagged
+    })
+    .map(({ post }) => ({ post, selfRevert: post.user === edit.user }))
+}
+
+/**
+ * Checks whether an edit has been reverted by any later revision of its page
+ *
+ * Looks at up to 50 revisions starting from the one before the edit.
+ *
+ * @param {Object} edit - Edit (wikichanges shape, with a diff url)
+ * @returns {Promise<Object|null>} The reverting revision ({ revid, user, timestamp }),
+ *   or null if the edit still stands
+ */
+async function findRevert(edit) {
+  const host = new URL(edit.url).host
+  const { revid, parentid } = revisionIds(edit.url)
+
+  const data = await apiRequest(host, {
+    action: 'query',
+    prop: 'revisions',
+    titles: edit.page,
+    rvstartid: parentid || revid,
+    rvdir: 'newer',
+    rvlimit: 50,
+    rvprop: ['ids', 'sha1', 'tags', 'user', 'timestamp']
+  })
+
+  const page = data.query && data.query.pages && data.query.pages[0]
+  const revisions = (page && page.revisions) || []
+  const parent = parentid && revisions.find(r => r.revid === parentid)
+  const posted = revisions.find(r => r.revid === revid)
+  const later = revisions.filter(r => r.revid > revid)
+
+  const restored = parent && later.find(r => r.sha1 === parent.sha1)
+  if (restored) return restored
+
+  if (posted && (posted.tags || []).includes('mw-reverted')) {
+    return later.find(hasRevertTag) || null
+  }
+
+  return null
+}
+
+/**
+ * Looks up the evidence for whether an edit is a revert
+ *
+ * `tagged` is true for rollbacks, undos and manual reverts (MediaWiki's own SHA1 match
+ * against the page's recent revisions). The SHA1s let a caller that has seen the page's
+ * earlier edits spot content restored to before one of them, as detectReverts() does.
+ *
+ * @param {Object} edit - Edit (wikichanges shape, with a diff url)
+ * @returns {Promise<{ tagged: boolean, sha1: string|null, parentSha1: string|null }>}
+ */
+async function revertSignals(edit) {
+  const { revid, parentid } = revisionIds(edit.url)
+  if (!revid) return { tagged: false, sha1: null, parentSha1: null }
+
+  const revisions = await fetchRevisions(new URL(edit.url).host, parentid ? [revid, parentid] : [revid])
+  const revision = revisions.get(revid)
+  const parent = parentid && revisions.get(parentid)
+  return {
+    tagged: hasRevertTag(revision),
+    sha1: (revision && revision.sha1) || null,
+    parentSha1: (parent && parent.sha1) || null
+  }
+}
+
+/**
+ * Describes the time between two timestamps for a post ("12 minutes", "3 hours")
+ *
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000))
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`
+
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`
+
+  return `${Math.round(hours / 24)} days`
+}
+
+module.exports = {
+  detectReverts,
+  findRevert,
+  revertSignals,
+  formatDuration,
+  REVERT_TAGS
+}
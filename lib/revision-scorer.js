@@ -0,0 +1,118 @@
+/**
+ * Revision Scoring
+ *
+ * Asks a revision-scoring service how likely an edit is to be vandalism before it is
+ * posted. The default is Wikimedia's LiftWing revert-risk model; any server that takes
+ * the same request and answers in the same shape (e.g. a local model server) works:
+ *
+ *   POST { "rev_id": 1234, "lang": "en" }
+ *   -> { "output": { "prediction": true, "probabilities": { "true": 0.91, "false": 0.09 } } }
+ *
+ * The probability decides what happens to the edit:
+ *
+ *   below label_threshold          post as usual
+ *   label_threshold and above      post with the "likely vandalism" label
+ *   draft_threshold and above      save as a draft instead of posting
+ *
+ * Configured per account:
+ *
+ *   "revision_scoring": { "endpoint": "...", "label_threshold": 0.7, "draft_threshold": 0.9 }
+ *
+ * @see https://wikitech.wikimedia.org/wiki/Machine_Learning/LiftWing
+ */
+
+const { USER_AGENT } = require('./mediawiki')
+
+const DEFAULTS = {
+  endpoint: 'https://api.wikimedia.org/service/lw/inference/v1/models/revertrisk-language-agnostic:predict',
+  label_threshold: 0.7,
+  draft_threshold: 0.9,
+  label: '⚠️ Likely vandalism:',
+  timeout_ms: 10000
+}
+
+/**
+ * Resolves an account's scoring settings
+ *
+ * @param {Object} account - Account config
+ * @returns {Object|null} `revision_scoring` with defaults filled in, or null if it's off
+ */
+function getSettings(account) {
+  const config = account.revision_scoring
+  if (!config || config.enabled === false) return null
+  return { ...DEFAULTS, ...(config === true ? {} : config) }
+}
+
+/**
+ * Reads the revision ID and wiki language from a diff URL
+ *
+ * @param {string} url - Diff URL (`?diff=new&oldid=old`, or `?oldid=rev` for new pages)
+ * @returns {{ revId: number, lang: string }|null} null if the URL has no revision
+ */
+function parseRevision(url) {
+  try {
+    const parsed = new URL(url)
+    const revid = parsed.searchParams.get('diff') || parsed.searchParams.get('oldid')
+    if (!revid || !/^\d+$/.test(revid)) return null
+    return { revId: Number(revid), lang: parsed.host.split('.')[0] }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Scores an edit
+ *
+ * @param {Object} edit - Edit (only `url` is used)
+ * @param {Object} settings - From getSettings()
+ * @returns {Promise<number>} Probability (0-1) that the edit is damaging
+ * @throws {Error} If the edit has no revision, or the service fails or answers oddly
+ */
+async function scoreRevision(edit, settings) {
+  const revision = parseRevision(edit.url)
+  if (!revision) {
+    throw new Error(`No revision ID in ${edit.url}`)
+  }
+
+  const response = await fetch(settings.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      ...settings.headers
+    },
+    body: JSON.stringify({ rev_id: revision.revId, lang: revision.lang }),
+    signal: AbortSignal.timeout(settings.timeout_ms)
+  })
+
+  if (!response.ok) {
+    throw new Error(`Revision scorer returned ${response.status}`)
+  }
+
+  const data = await response.json()
+  const probability = data.output && data.output.probabilities && data.output.probabilities.true
+  if (typeof probability !== 'number') {
+    throw new Error('Revision scorer response has no output.probabilities.true')
+  }
+  return probability
+}
+
+/**
+ * Decides what to do with an edit given its score
+ *
+ * @param {number} probability - From scoreRevision()
+ * @param {Object} settings - From getSettings()
+ * @returns {string} 'post', 'label' or 'draft'
+ */
+function decide(probability, settings) {
+  if (typeof settings.draft_threshold === 'number' && probability >= settings.draft_threshold) return 'draft'
+  if (typeof settings.label_threshold === 'number' && probability >= settings.label_threshold) return 'label'
+  return 'post'
+}
+
+module.exports = {
+  getSettings,
+  parseRevision,
+  scoreRevision,
+  decide
+}
@@ -0,0 +1,248 @@
+/**
+ * Slack Platform Posting
+ *
+ * Posts to a Slack channel as Block Kit messages linking the article and the editor,
+ * with the editor's country for anonymous edits.
+ *
+ * An incoming webhook (`webhook_url`) is enough for text, but webhooks can't carry
+ * files. To attach the diff screenshot, give a bot token with `files:write` and
+ * `chat:write` and the channel ID; edits are then uploaded through the Web API with the
+ * message as the file's comment:
+ *
+ *   "slack": { "webhook_url": "https://hooks.slack.com/services/..." }
+ *   "slack": { "bot_token": "xoxb-...", "channel": "C0123456789" }
+ *
+ * Operator alerts need the bot token: `pii_alerts.slack_recipient` is a member ID, and
+ * the alert arrives as a DM from the app.
+ *
+ * @see https://api.slack.com/messaging/webhooks
+ * @see https://api.slack.com/messaging/files#upload
+ */
+
+const fs = require('fs')
+const { countryToFlag } = require('./geolocation')
+const { escapeRegex } = require('./title-patterns')
+
+const API_URL = 'https://slack.com/api'
+
+// Limit on a section block's text
+const MAX_LENGTH = 3000
+
+const SCREENSHOT_NAME = 'screenshot.png'
+
+// mrkdwn treats these as control characters
+function escape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Formats post text as Slack mrkdwn
+ *
+ * Escapes the text and links the article and editor names, which Slack can do inline
+ * (<url|name>).
+ *
+ * @param {string} text - Post text
+ * @param {Object} [metadata] - Post metadata (as for post())
+ * @returns {string} mrkdwn text
+ */
+function formatText(text, metadata = {}) {
+  let result = escape(text || '')
+
+  for (const [name, url] of [[metadata.page, metadata.pageUrl], [metadata.name, metadata.userUrl]]) {
+    if (name && url) {
+      const regex = new RegExp(`(^|[^\\w|])${escapeRegex(escape(name))}(?![\\w>])`)
+      result = result.replace(regex, (match, before) => `${before}<${url}|${escape(name)}>`)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Builds the message blocks for an edit
+ */
+function buildBlocks(text, metadata) {
+  const context = [`<${metadata.pageUrl}|${escape(metadata.page)}>`]
+  if (metadata.name) {
+    context.push(`edited by <${metadata.userUrl}|${escape(metadata.name)}>`)
+  }
+  if (metadata.country) {
+    context.push(`${countryToFlag(metadata.country)} ${metadata.country}`)
+  }
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: formatText(text, metadata) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: context.join(' · ') }] }
+  ]
+}
+
+/**
+ * Calls a Web API method with the bot token
+ */
+async function callApi(account, method, params) {
+  if (!account.bot_token) {
+    throw new Error(`Slack ${method} needs a bot_token`)
+  }
+
+  const response = await fetch(`${account.api_url || API_URL}/${method}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${account.bot_token}` },
+    body: new URLSearchParams(params)
+  })
+  const data = await response.json()
+  if (!data.ok) {
+    throw new Error(`Slack ${method} failed: ${data.error}`)
+  }
+  return data
+}
+
+/**
+ * Posts a message through the incoming webhook
+ */
+async function sendWebhook(account, message) {
+  if (!account.webhook_url) {
+    throw new Error('Slack webhook_url is not configured')
+  }
+
+  const response = await fetch(account.webhook_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  })
+  if (!response.ok) {
+    throw new Error(`Slack webhook returned ${response.status}: ${await response.text()}`)
+  }
+  return {}
+}
+
+/**
+ * Uploads the screenshot to the channel with the message blocks as its comment
+ */
+async function uploadScreenshot(account, screenshot, metadata, blocks) {
+  const imageData = fs.readFileSync(screenshot)
+  const upload = await callApi(account, 'files.getUploadURLExternal', {
+    filename: SCREENSHOT_NAME,
+    length: imageData.length,
+    alt_text: `Screenshot of edit to ${metadata.page}`
+  })
+
+  const response = await fetch(upload.upload_url, { method: 'POST', body: imageData })
+  if (!response.ok) {
+    throw new Error(`Slack file upload returned ${response.status}`)
+  }
+
+  await callApi(account, 'files.completeUploadExternal', {
+    files: JSON.stringify([{ id: upload.file_id, title: `Edit to ${metadata.page}` }]),
+    channel_id: account.channel,
+    blocks: JSON.stringify(blocks)
+  })
+  return { file_id: upload.file_id }
+}
+
+/**
+ * Posts an edit to Slack
+ *
+ * With a bot token the screenshot is uploaded to `channel` along with the message;
+ * through a webhook the message goes without it.
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Slack config (webhook_url, or bot_token and channel)
+ * @param {string} options.text - Post text (should be enriched with IP flags)
+ * @param {string} options.screenshot - Path to screenshot PNG file
+ * @param {Object} options.metadata - Post metadata for links
+ * @param {string} options.metadata.page - Article name
+ * @param {string} options.metadata.name - Username/IP
+ * @param {string} options.metadata.pageUrl - Wikipedia article URL
+ * @param {string} options.metadata.userUrl - User contributions URL
+ * @param {string} [options.metadata.country] - Anonymous editor's country code, e.g. 'US'
+ * @returns {Promise<Object>} `{ file_id }` for uploads, `{}` for webhooks
+ * @throws {Error} If Slack isn't configured or rejects the message
+ *
+ * @example
+ * await post({
+ *   account: { bot_token: 'xoxb-...', channel: 'C0123456789' },
+ *   text: 'Cat edited by 192.0.2.1 [🇺🇸] https://...',
+ *   screenshot: '/tmp/screenshot-123.png',
+ *   metadata: {
+ *     page: 'Cat',
+ *     name: '192.0.2.1',
+ *     pageUrl: 'https://en.wikipedia.org/wiki/Cat',
+ *     userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1',
+ *     country: 'US'
+ *   }
+ * })
+ */
+async function post({ account, text, screenshot, metadata }) {
+  const blocks = buildBlocks(text, metadata)
+
+  if (account.bot_token) {
+    return await uploadScreenshot(account, screenshot, metadata, blocks)
+  }
+  return await sendWebhook(account, { text, blocks })
+}
+
+/**
+ * Posts a text-only message to Slack
+ *
+ * @param {Object} options - Posting options
+ * @param {Object} options.account - Slack config (webhook_url, or bot_token and channel)
+ * @param {string} options.text - Message text
+ * @param {Object} [options.metadata] - Post metadata for links (as for post())
+ * @returns {Promise<Object>} `{ ts, channel }` through the Web API, `{}` for webhooks
+ * @throws {Error} If Slack isn't configured or rejects the message
+ */
+async function postText({ account, text, metadata }) {
+  const mrkdwn = formatText(text, metadata)
+
+  if (account.bot_token) {
+    const result = await callApi(account, 'chat.postMessage', { channel: account.channel, text: mrkdwn })
+    return { ts: result.ts, channel: result.channel }
+  }
+  return await sendWebhook(account, { text: mrkdwn })
+}
+
+/**
+ * Sends a direct message to the operator from the app
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.account - Slack config (bot_token)
+ * @param {string} options.recipient - Member ID, e.g. 'U0123456789'
+ * @param {string} options.text - Message text
+ * @param {Object} [options.metadata] - Post metadata for links (as for post())
+ * @returns {Promise<void>}
+ * @throws {Error} Without a bot token, or if Slack rejects the message
+ */
+async function sendAlert({ account, recipient, text, metadata }) {
+  await callApi(account, 'chat.postMessage', { channel: recipient, text: formatText(text, metadata) })
+}
+
+/**
+ * Picks the identifiers of a new message to keep in the post ledger
+ *
+ * @param {Object} result - Response from post() or postText()
+ * @returns {Object} Whatever Slack told us about the message; nothing for webhooks
+ */
+function toLedger(result) {
+  return { ...result }
+}
+
+/**
+ * Messages are never threaded: uploads and webhooks don't return a message to reply to
+ *
+ * @returns {null}
+ */
+function replyTarget() {
+  return null
+}
+
+module.exports = {
+  name: 'slack',
+  label: 'Slack',
+  MAX_LENGTH,
+  formatText,
+  post,
+  postText,
+  sendAlert,
+  toLedger,
+  replyTarget
+}
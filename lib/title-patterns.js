@@ -0,0 +1,87 @@
+/**
+ * Title Patterns
+ *
+ * Parses the title rules used in watchlists (see ./watchlist):
+ *
+ *   "/^San Francisco .* Department$/"   regular expression (flags after the last slash)
+ *   "List of San Francisco*"            prefix: titles starting with the text
+ *   "*Muni*"                            contains: titles containing the text
+ *
+ * Anything else is an exact title.
+ *
+ * The "/regex/flags" form is shared with keyword alerts (see ./keyword-alerts).
+ */
+
+const REGEX_RULE = /^\/(.+)\/([a-z]*)$/
+
+/**
+ * Compiles a "/regex/flags" rule
+ *
+ * @param {string} text - Rule text
+ * @returns {RegExp|null} The expression, or null if the text isn't in /regex/ form
+ * @throws {SyntaxError} If the expression or its flags are invalid
+ */
+function parseRegex(text) {
+  const regex = REGEX_RULE.exec(text)
+  if (!regex) return null
+  // Without g and y, test() doesn't carry lastIndex from one string to the next
+  return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''))
+}
+
+/**
+ * Escapes text for use as a literal inside a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Checks whether a watchlist key is a pattern rule rather than an exact title
+ *
+ * @param {string} key - Watchlist key
+ * @returns {boolean} True for regex, prefix and contains rules
+ */
+function isPattern(key) {
+  return REGEX_RULE.test(key) || key.endsWith('*')
+}
+
+/**
+ * Compiles one watchlist key (or exclude entry) into a title test
+ *
+ * @param {string} key - Exact title, /regex/, prefix* or *contains*
+ * @returns {Function} Test taking a title and returning a boolean
+ * @throws {Error} If a regex rule is invalid
+ */
+function compileMatcher(key) {
+  let pattern
+  try {
+    pattern = parseRegex(key)
+  } catch (error) {
+    throw new Error(`Invalid watchlist pattern ${key}: ${error.message}`)
+  }
+  if (pattern) {
+    return title => pattern.test(title)
+  }
+
+  if (key.length > 2 && key.startsWith('*') && key.endsWith('*')) {
+    const text = key.slice(1, -1)
+    return title => title.includes(text)
+  }
+
+  if (key.endsWith('*')) {
+    const prefix = key.slice(0, -1)
+    return title => title.startsWith(prefix)
+  }
+
+  return title => title === key
+}
+
+module.exports = {
+  isPattern,
+  compileMatcher,
+  parseRegex,
+  escapeRegex
+}
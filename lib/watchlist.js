@@ -0,0 +1,153 @@
+/**
+ * Watchlist Matching
+ *
+ * Decides whether an edited page is watched by an account. A page is watched if it is
+ * listed under `account.watchlist[wiki]`, matches a pattern rule there, is a listed page
+ * that has since been renamed (see ./page-tracker), or belongs to one of the account's
+ * `watch_categories` (see ./categories).
+ *
+ * Watchlist keys are exact titles unless they use one of the pattern forms described in
+ * ./title-patterns. A rule's value is `true`, or an object with titles to exclude,
+ * written in the same forms:
+ *
+ *   "*Muni*": { "exclude": ["Munich", "Municipal*"] }
+ *
+ * Pattern rules cover new articles (and new subpages) without a config edit and
+ * redeploy.
+ *
+ * Accounts can also follow editors rather than pages: `account.watch_editors` lists
+ * usernames, IP addresses or temporary-account names whose edits are matched on every
+ * wiki the account watches.
+ */
+
+const net = require('net')
+const { isPattern, compileMatcher } = require('./title-patterns')
+const { isCategoryMember } = require('./categories')
+const { getConfigTitle } = require('./page-tracker')
+
+// Compiled pattern rules per watchlist wiki object
+const compiled = new WeakMap()
+
+// Normalized editor names per watch_editors list
+const compiledEditors = new WeakMap()
+
+function compileRules(pages) {
+  if (compiled.has(pages)) return compiled.get(pages)
+
+  const rules = Object.keys(pages)
+    .filter(key => pages[key] && isPattern(key))
+    .map(key => {
+      const excludes = [].concat((pages[key] && pages[key].exclude) || []).map(compileMatcher)
+      return { matches: compileMatcher(key), excludes, value: pages[key] }
+    })
+
+  compiled.set(pages, rules)
+  return rules
+}
+
+/**
+ * Compiles every pattern rule in an account's watchlist
+ *
+ * Called at startup so a bad regex stops the bot instead of failing on the first edit.
+ *
+ * @param {Object} account - Account config
+ * @throws {Error} If any pattern is invalid
+ */
+function validateWatchlist(account) {
+  for (const wikipedia of Object.keys(account.watchlist || {})) {
+    compileRules(account.watchlist[wikipedia])
+  }
+}
+
+/**
+ * Finds the watchlist entry that matches a page
+ *
+ * Entries are checked in order of precedence: the exact title, the title the page was
+ * configured under before a rename, then the first matching pattern rule.
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name (e.g. 'English Wikipedia')
+ * @param {string} page - Page title
+ * @returns {Object|boolean|null} The entry's value (`true` or an options object), or
+ *   null if no entry matches. Category membership isn't considered.
+ */
+function getWatchRule(account, wikipedia, page) {
+  const pages = account.watchlist && account.watchlist[wikipedia]
+  if (!pages) return null
+
+  if (pages[page]) {
+    return pages[page]
+  }
+
+  const configTitle = getConfigTitle(account, wikipedia, page)
+  if (configTitle && pages[configTitle]) {
+    return pages[configTitle]
+  }
+
+  const rule = compileRules(pages).find(rule => rule.matches(page) && !rule.excludes.some(exclude => exclude(page)))
+  return rule ? rule.value : null
+}
+
+/**
+ * Checks whether an account watches a page
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name (e.g. 'English Wikipedia')
+ * @param {string} page - Page title
+ * @returns {boolean} True if edits to the page should be posted
+ *
+ * @example
+ * isWatched(account, 'English Wikipedia', 'London Breed') // true
+ */
+function isWatched(account, wikipedia, page) {
+  return Boolean(getWatchRule(account, wikipedia, page)) || isCategoryMember(account, wikipedia, page)
+}
+
+/**
+ * Normalizes a username or IP address for comparison
+ *
+ * Usernames follow MediaWiki title rules (underscores are spaces, the first letter is
+ * always uppercase); IPv6 addresses are compared in their canonical form.
+ */
+function normalizeEditor(user) {
+  const name = String(user).trim().replace(/_/g, ' ')
+  if (net.isIP(name) === 6) {
+    return new net.SocketAddress({ address: name, family: 'ipv6' }).address
+  }
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+/**
+ * Checks whether an account follows the editor of an edit
+ *
+ * Only wikis the account watches pages on (through `watchlist` or `watch_categories`)
+ * are considered.
+ *
+ * @param {Object} account - Account config
+ * @param {string} wikipedia - Wiki name (e.g. 'English Wikipedia')
+ * @param {string} user - Username, IP address or temporary-account name
+ * @returns {boolean} True if the editor is in `account.watch_editors`
+ *
+ * @example
+ * isWatchedEditor(account, 'English Wikipedia', '192.0.2.7') // true
+ */
+function isWatchedEditor(account, wikipedia, user) {
+  const editors = account.watch_editors
+  if (!editors || !editors.length || !user) return false
+
+  const wikis = Object.assign({}, account.watchlist, account.watch_categories)
+  if (!wikis[wikipedia]) return false
+
+  if (!compiledEditors.has(editors)) {
+    compiledEditors.set(editors, new Set(editors.map(normalizeEditor)))
+  }
+  return compiledEditors.get(editors).has(normalizeEditor(user))
+}
+
+module.exports = {
+  isWatched,
+  isWatchedEditor,
+  getWatchRule,
+  normalizeEditor,
+  validateWatchlist
+}
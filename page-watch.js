@@ -3,35 +3,61 @@
 const fs = require('fs')
 const async = require('async')
 const minimist = require('minimist')
-const Mastodon = require('mastodon')
 const Mustache = require('mustache')
-const { WikiChanges } = require('wikichanges')
 const https = require('https')
 const { saveDraft } = require('./lib/draft-manager')
-const { enrichIPsInText, initializeReader } = require('./lib/geolocation')
+const { enrichIPsInText, initializeReader, getCountryCode } = require('./lib/geolocation')
 const { takeScreenshot } = require('./lib/screenshot')
 const { buildFacets } = require('./lib/bluesky-utils')
-const { createAuthenticatedAgent } = require('./lib/bluesky-client')
-const bluesky = require('./lib/bluesky-platform')
-const mastodon = require('./lib/mastodon-platform')
+const { PLATFORMS, getPlatform, configuredPlatforms, alertPlatforms } = require('./lib/platforms')
 const { verifyPIIWithGemini } = require('./lib/gemini-pii-check')
+const { createEditSource, recordEdit } = require('./lib/edit-sources')
+const { findMissedEdits, readLastProcessed, createLastProcessedTracker, DEFAULT_MAX_EDITS } = require('./lib/backfill')
+const { compileRanges, findRange } = require('./lib/ip-ranges')
+const { startCategoryRefresh } = require('./lib/categories')
+const { parseMove, applyMove, startPageTracking } = require('./lib/page-tracker')
+const { isWatched, isWatchedEditor, validateWatchlist } = require('./lib/watchlist')
+const { resolveFilters, filterEdit } = require('./lib/edit-filters')
+const { createCoalescer, combineEdits } = require('./lib/coalescer')
+const ledger = require('./lib/post-ledger')
+const { detectReverts, findRevert, formatDuration } = require('./lib/reverts')
+const { createPostQueue, STOP } = require('./lib/post-queue')
+const history = require('./lib/history')
+const { startDigests } = require('./lib/digest')
+const editWars = require('./lib/edit-war')
+const scorer = require('./lib/revision-scorer')
+const { validateKeywordAlerts, findKeywords } = require('./lib/keyword-alerts')
+const feed = require('./lib/feed')
+const webhooks = require('./lib/outbound-webhooks')
+const { dataPath, writeFile } = require('./lib/data-files')
+const heldEdits = require('./lib/held-edits')
 
 const path = require('path')
 
 const argv = minimist(process.argv.slice(2), {
+  boolean: ['realtime'],
   default: {
     verbose: false,
     config: './config.json'
   }
 })
 
-const HEARTBEAT_DIR = path.join(__dirname, 'data')
+// Used for edits from an account's IP ranges when it doesn't set range_template
+const DEFAULT_RANGE_TEMPLATE = '{{{page}}} Wikipedia article edited anonymously from {{{organization}}} ({{{name}}}) {{&url}}'
+
+// Used for edits by an account's watch_editors when it doesn't set editor_template
+const DEFAULT_EDITOR_TEMPLATE = '{{{name}}}, previously flagged, edited {{{page}}} {{&url}}'
+
+// Replies under a post when the edit is reverted (see lib/reverts)
+const DEFAULT_REVERT_TEMPLATE = 'Reverted by {{{reverter}}} after {{{duration}}} {{&url}}'
+const DEFAULT_SELF_REVERT_TEMPLATE = 'Self-reverted by {{{editor}}} after {{{duration}}} {{&url}}'
+const DEFAULT_REVERT_WINDOW_HOURS = 72
+
+// Summary post for an edit war (see lib/edit-war), with `edit_war.post`
+const DEFAULT_EDIT_WAR_TEMPLATE = 'Edit war in progress on {{{page}}}: {{edits}} edits by {{editors}} editors in the last {{minutes}} minutes, {{reverts}} of them reverts {{&url}}'
+
 function writeHeartbeat(name) {
-  try {
-    fs.writeFileSync(path.join(HEARTBEAT_DIR, `heartbeat-${name}`), Date.now().toString())
-  } catch (e) {
-    // Non-fatal: data dir may not exist in test
-  }
+  writeFile(dataPath(`heartbeat-${name}`), Date.now().toString())
 }
 
 function getConfig(path) {
@@ -78,10 +104,46 @@ function getUserContributionsUrl(editUrl, username) {
 }
 
 
+// Plain text of a piece of diff HTML
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Pick out the text an edit inserted from diff HTML, one line of text per diff line
+ *
+ * A diff line is a table row. A row with only an added cell is a new line, taken whole.
+ * A row pairing a deleted and an added cell is a changed line: only its
+ * `<ins class="diffchange">` spans are new, the rest was already in the article.
+ */
+function insertedLines(html) {
+  const lines = []
+  for (const [, row] of html.matchAll(/<tr[^>]*>(.*?)<\/tr>/gs)) {
+    const added = /<td[^>]*class="[^"]*diff-addedline[^"]*"[^>]*>(.*?)<\/td>/s.exec(row)
+    if (!added) continue
+
+    const changed = /class="[^"]*diff-deletedline/.test(row)
+    const text = changed
+      ? [...added[1].matchAll(/<ins[^>]*class="[^"]*diffchange[^"]*"[^>]*>(.*?)<\/ins>/gs)].map(ins => htmlToText(ins[1])).join(' ')
+      : htmlToText(added[1])
+    if (text) lines.push(text)
+  }
+  return lines
+}
+
 /**
  * Extract text content from Wikipedia diff HTML
+ * With `added`, only the text the edit inserted is returned, one line of text per diff
+ * line (see insertedLines)
  */
-async function extractDiffText(diffUrl) {
+async function extractDiffText(diffUrl, { added = false } = {}) {
   return new Promise((resolve, reject) => {
     const options = {
       headers: {
@@ -93,6 +155,11 @@ async function extractDiffText(diffUrl) {
 
       res.on('data', (chunk) => html += chunk)
       res.on('end', () => {
+        if (added) {
+          resolve(insertedLines(html).join('\n'))
+          return
+        }
+
         // Extract text from diff table cells
         const diffMatches = html.match(/<td[^>]*class="[^"]*diff-[^"]*"[^>]*>(.*?)<\/td>/gs)
 
@@ -103,17 +170,7 @@ async function extractDiffText(diffUrl) {
 
         let diffText = ''
         for (const match of diffMatches) {
-          // Remove HTML tags and decode entities
-          let text = match
-            .replace(/<[^>]*>/g, ' ')
-            .replace(/&nbsp;/g, ' ')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&amp;/g, '&')
-            .replace(/\s+/g, ' ')
-            .trim()
-
-          diffText += text + ' '
+          diffText += htmlToText(match) + ' '
         }
 
         resolve(diffText.trim())
@@ -174,105 +231,35 @@ function logBlockedEdit(edit, statusData, piiResult) {
 }
 
 /**
- * Send DM alert via Bluesky
- * Uses api.bsky.chat service directly (not routed through bsky.social PDS)
+ * Send a DM alert to the operator on every platform with a recipient in `pii_alerts`
+ * Links are clickable where the platform supports it when the alert is about an edit
+ * (statusData given)
  */
-async function sendBlueskyAlert(account, edit, statusData, _piiResult) {
-  if (!account.pii_alerts?.bluesky_recipient) return
-
-  try {
-    const agent = await createAuthenticatedAgent(account.bluesky)
-    const accessJwt = agent.session.accessJwt
-
-    // Build facets for clickable links (same as regular post)
-    const alertText = `PII: ${statusData.text}`
-    const facets = buildFacets(
-      alertText,
-      statusData.page,
-      statusData.name,
-      statusData.pageUrl,
-      statusData.userUrl
-    )
-
-    // Get conversation - chat API is at api.bsky.chat
-    const convoResponse = await fetch('https://api.bsky.chat/xrpc/chat.bsky.convo.listConvos?limit=100', {
-      headers: {
-        'Authorization': `Bearer ${accessJwt}`
-      }
-    })
-
-    const convosData = await convoResponse.json()
-
-    if (convosData.error) {
-      console.error('Failed to list Bluesky conversations:', convosData.error)
-      return
-    }
-
-    const convo = convosData.convos.find(c =>
-      c.members.some(m => m.handle === account.pii_alerts.bluesky_recipient)
-    )
-
-    if (!convo) {
-      console.error(`No existing Bluesky conversation with ${account.pii_alerts.bluesky_recipient}`)
-      return
-    }
-
-    // Send message - chat API is at api.bsky.chat
-    await fetch('https://api.bsky.chat/xrpc/chat.bsky.convo.sendMessage', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessJwt}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        convoId: convo.id,
-        message: {
-          text: alertText,
-          facets: facets
-        }
+async function sendOperatorAlert(account, alertText, statusData) {
+  for (const { platform, recipient } of alertPlatforms(account)) {
+    try {
+      await platform.sendAlert({
+        account: account[platform.name],
+        recipient,
+        text: alertText,
+        metadata: statusData
       })
-    })
-
-    console.log('✓ Bluesky alert sent')
-  } catch (error) {
-    console.error('Bluesky alert failed:', error.message)
-  }
-}
-
-/**
- * Send DM alert via Mastodon
- */
-async function sendMastodonAlert(account, edit, statusData, _piiResult) {
-  if (!account.pii_alerts?.mastodon_recipient) return
-
-  try {
-    const M = new Mastodon({
-      access_token: account.mastodon.access_token,
-      api_url: account.mastodon.instance + '/api/v1/'
-    })
-
-    // Same message as regular post, just prefixed with "PII: "
-    const alertText = `PII: ${statusData.text}`
-
-    await M.post('statuses', {
-      status: `@${account.pii_alerts.mastodon_recipient} ${alertText}`,
-      visibility: 'direct'
-    })
-
-    console.log('✓ Mastodon alert sent')
-  } catch (error) {
-    console.error('Mastodon alert failed:', error.message)
+      console.log(`✓ ${platform.label} alert sent`)
+    } catch (error) {
+      console.error(`${platform.label} alert failed:`, error.message)
+    }
   }
 }
 
 /**
  * Screen edit for PII before posting
+ * `pii` is the verdict kept in the edit history: disabled, clean, flagged or error
  */
 async function screenForPII(account, edit, statusData) {
   try {
     // Check if PII blocking is enabled
     if (account.pii_blocking && !account.pii_blocking.enabled) {
-      return { safe: true }
+      return { safe: true, pii: 'disabled' }
     }
 
     // Extract diff text from Wikipedia
@@ -280,7 +267,8 @@ async function screenForPII(account, edit, statusData) {
 
     if (!diffText) {
       console.error('⚠ Could not extract diff text - blocking as precaution')
-      return { safe: false, reason: 'Could not extract diff text' }
+      webhooks.emit(account, 'edit.blocked', { ...webhooks.editData(edit, statusData), reason: 'Could not extract diff text' })
+      return { safe: false, reason: 'Could not extract diff text', pii: 'error' }
     }
 
     // Get blocked entity types from config
@@ -299,7 +287,7 @@ async function screenForPII(account, edit, statusData) {
       const geminiVerdict = await verifyPIIWithGemini(diffText, piiResult.entities, edit.page)
       if (geminiVerdict === 'false_positive') {
         console.log('✓ Gemini says false positive - allowing post through')
-        return { safe: true }
+        return { safe: true, pii: 'flagged', geminiVerdict, piiResult }
       }
 
       const reason = geminiVerdict === 'confirmed' ? 'PII confirmed by Gemini' : 'Gemini unavailable, blocking as precaution'
@@ -313,6 +301,7 @@ async function screenForPII(account, edit, statusData) {
       saveDraft({
         text: statusData.text,
         diffUrl: edit.url,
+        editedAt: edit.timestamp,
         article: edit.page,
         editor: statusData.name,
         piiDetected: piiTypes,
@@ -320,27 +309,79 @@ async function screenForPII(account, edit, statusData) {
         statusData: statusData
       })
 
+      webhooks.emit(account, 'edit.blocked', {
+        ...webhooks.editData(edit, statusData),
+        reason,
+        pii_types: piiTypes,
+        pii_confidence: maxConfidence,
+        gemini: geminiVerdict
+      })
+
       // Log and send text-only alerts
       logBlockedEdit(edit, statusData, piiResult)
-      await sendBlueskyAlert(account, edit, statusData, piiResult)
-      await sendMastodonAlert(account, edit, statusData, piiResult)
+      // Same message as regular post, just prefixed with "PII: "
+      await sendOperatorAlert(account, `PII: ${statusData.text}`, statusData)
 
-      return { safe: false, reason: 'PII detected', piiResult }
+      return { safe: false, reason: 'PII detected', pii: 'flagged', geminiVerdict, piiResult }
     }
 
-    return { safe: true }
+    return { safe: true, pii: 'clean' }
   } catch (error) {
     // Fail-safe: block on any error
     console.error('⚠ PII screening error - blocking as precaution:', error.message)
-    return { safe: false, reason: 'Screening error' }
+    webhooks.emit(account, 'edit.blocked', { ...webhooks.editData(edit, statusData), reason: 'Screening error' })
+    return { safe: false, reason: 'Screening error', pii: 'error' }
+  }
+}
+
+/**
+ * Score an edit with the account's revision scorer (see lib/revision-scorer)
+ * Edits scored at or above `draft_threshold` are saved as drafts. If the scorer can't be
+ * reached the edit is posted as usual: PII screening has already passed
+ */
+async function scoreForVandalism(account, edit, statusData) {
+  const settings = scorer.getSettings(account)
+  if (!settings) return null
+
+  let probability
+  try {
+    probability = await scorer.scoreRevision(edit, settings)
+  } catch (error) {
+    console.error(`Revision scoring failed for ${edit.page} - posting as usual:`, error.message)
+    return null
+  }
+
+  const action = scorer.decide(probability, settings)
+  const reason = `Likely vandalism (revert risk ${probability.toFixed(2)})`
+  console.log(`Revision score for ${edit.page}: ${probability.toFixed(2)} - ${action}`)
+
+  if (action === 'draft') {
+    saveDraft({
+      text: statusData.text,
+      diffUrl: edit.url,
+      editedAt: edit.timestamp,
+      article: edit.page,
+      editor: statusData.name,
+      reason,
+      statusData: statusData
+    })
   }
+
+  return { probability, action, reason, label: settings.label }
 }
 
-function getStatus(edit, name, template) {
+// `vars` adds template variables beyond name/url/page (e.g. organization for IP ranges)
+function getStatus(edit, name, template, vars = {}) {
   const pageUrl = getArticleUrl(edit.url, edit.page)
   const userUrl = getUserContributionsUrl(edit.url, name)
 
+  // Coalesced edits (see lib/coalescer) carry a count
+  const count = edit.edits || 1
+
   const text = Mustache.render(template, {
+    ...vars,
+    count,
+    edits: `${count} ${count === 1 ? 'edit' : 'edits'}`,
     name,
     url: edit.url,
     page: edit.page
@@ -355,89 +396,796 @@ function getStatus(edit, name, template) {
   }
 }
 
+// Revisions with a posting job in flight, by account. The ledger only knows an edit once
+// it's posted, so this catches one seen twice in the meantime (e.g. replayed by the feed)
+const queuedRevisions = new Set()
+
+function queuedKey(accountLabel, edit) {
+  const revision = ledger.revisionKey(edit.url)
+  return revision ? `${accountLabel}|${revision}` : null
+}
+
+/**
+ * Queue an edit for posting (see lib/post-queue)
+ * Resolves once the job's first pass is over: posted, blocked, or waiting for a retry
+ */
 async function sendStatus(account, statusData, edit) {
   try {
     console.log(statusData.text)
 
     if (!argv.noop) {
+      webhooks.emit(account, 'edit.matched', webhooks.editData(edit, statusData))
+
+      const platforms = configuredPlatforms(account).map(platform => platform.name)
+      if (!platforms.length) {
+        console.error(`No platforms configured for ${ledger.accountLabel(account)} - not posting ${edit.page}`)
+        return recordHistory(account, edit, { outcome: 'no_platforms' })
+      }
+      if (platforms.every(platform => alreadyPosted(account, edit, platform))) {
+        return recordHistory(account, edit, { outcome: 'duplicate' })
+      }
+
+      const key = queuedKey(ledger.accountLabel(account), edit)
+      if (key && queuedRevisions.has(key)) {
+        console.log(`Already queued ${edit.page} (${edit.url}) - skipping`)
+        return recordHistory(account, edit, { outcome: 'duplicate' })
+      }
+      if (key) queuedRevisions.add(key)
+
+      const order = ['screen', 'screenshot'].concat(platforms)
+      await getPostQueue().enqueue({
+        account: ledger.accountLabel(account),
+        edit,
+        statusData,
+        order
+      }, account)
+    }
+  } catch (error) {
+    console.error('Posting failed:', error)
+  }
+}
+
+// Steps of a posting job, run in order; each platform retries on its own
+const POST_STEPS = {
+  screen: {
+    async run(job, account) {
       // PII screening before posting
-      const screeningResult = await screenForPII(account, edit, statusData)
+      const screeningResult = await screenForPII(account, job.edit, job.statusData)
+      job.screening = {
+        safe: screeningResult.safe,
+        reason: screeningResult.reason,
+        pii: screeningResult.pii,
+        pii_types: screeningResult.piiResult
+          ? [...new Set(screeningResult.piiResult.entities.map(e => e.type))]
+          : [],
+        gemini: screeningResult.geminiVerdict || null
+      }
 
       if (!screeningResult.safe) {
         console.error(`Post blocked: ${screeningResult.reason}`)
-        return
+        return STOP
+      }
+
+      // Vandalism scoring, if the account has a revision scorer
+      const score = await scoreForVandalism(account, job.edit, job.statusData)
+      if (score) {
+        job.screening.score = score.probability
+        job.screening.score_action = score.action
+        if (score.action === 'draft') {
+          job.screening.reason = score.reason
+          console.error(`Post held as draft: ${score.reason}`)
+          return STOP
+        }
       }
 
       // Enrich IP addresses with country flags
-      const enrichedText = await enrichIPsInText(statusData.text)
+      job.text = await enrichIPsInText(job.statusData.text)
+      if (score && score.action === 'label') {
+        job.text = `${score.label} ${job.text}`
+      }
 
+      // Shown on its own by destinations with rich embeds (Discord, Slack)
+      job.country = job.edit.anonymous ? await getCountryCode(job.edit.user) : null
+    }
+  },
+  screenshot: {
+    async run(job) {
       // Wait for Wikipedia diff table to fully render
       await new Promise(r => setTimeout(r, 2000));
-      const screenshot = await takeScreenshot(edit.url)
+      job.screenshot = await takeScreenshot(job.edit.url)
 
-      if (!screenshot) {
+      if (!job.screenshot) {
         throw new Error('Failed to capture screenshot')
       }
+    }
+  }
+}
 
-      try {
-        // Prepare metadata for posting
-        const metadata = {
-          page: edit.page,
-          name: statusData.name,
-          pageUrl: statusData.pageUrl,
-          userUrl: statusData.userUrl
-        }
+// One independent step per platform, named after it
+for (const platform of PLATFORMS) {
+  POST_STEPS[platform.name] = {
+    independent: true,
+    run: (job, account) => postToPlatform(platform, job, account)
+  }
+}
 
-        // Post to Bluesky
-        if (account.bluesky) {
-          await bluesky.post({
-            account: account.bluesky,
-            text: enrichedText,
-            screenshot,
-            metadata
-          })
-        }
+async function postToPlatform(platform, job, account) {
+  if (alreadyPosted(account, job.edit, platform.name)) return
+
+  await ensureScreenshot(job)
+  const thread = findThread(account, job.edit, platform.name)
+  const replyTo = thread ? platform.replyTarget(thread) : undefined
+  const result = await platform.post({
+    account: account[platform.name],
+    text: job.text,
+    screenshot: job.screenshot,
+    metadata: postMetadata(job),
+    replyTo
+  })
+  ledger.recordPost(account, job.edit, platform.name, {
+    ...platform.toLedger(result, replyTo),
+    reply_to: replyTo ? thread.uri || thread.id : undefined
+  })
+  writeHeartbeat('post')
+}
 
-        // Post to Mastodon
-        if (account.mastodon) {
-          await mastodon.post({
-            account: account.mastodon,
-            text: enrichedText,
-            screenshot,
-            metadata
-          })
-        }
+/**
+ * Check the ledger so an edit is never published twice on the same platform, e.g.
+ * after a restart mid-post or when an admin already posted it from drafts
+ */
+function alreadyPosted(account, edit, platform) {
+  const post = ledger.findPost(account, edit, platform)
+  if (post) {
+    console.log(`Already posted ${edit.page} (${edit.url}) to ${platform} at ${post.posted_at} - skipping`)
+  }
+  return Boolean(post)
+}
 
-        writeHeartbeat('post')
-      } finally {
-        // Always clean up screenshot, even if posting fails
-        if (screenshot && fs.existsSync(screenshot)) {
-          fs.unlinkSync(screenshot)
+/**
+ * With `thread_window_minutes`, find the post a new edit should reply to: the latest
+ * top-level post about the same article on the platform within the window, so a burst
+ * of edits during a news event reads as one thread instead of flooding the timeline
+ */
+function findThread(account, edit, platform) {
+  if (!account.thread_window_minutes) return null
+
+  const since = Date.now() - account.thread_window_minutes * 60 * 1000
+  const posts = ledger.find({
+    type: 'post',
+    account: ledger.accountLabel(account),
+    platform,
+    wiki: edit.wikipedia,
+    page: edit.page
+  }).filter(post => !post.reply_to && new Date(post.posted_at).getTime() >= since)
+
+  return posts.length ? posts[posts.length - 1] : null
+}
+
+function postMetadata(job) {
+  return {
+    page: job.edit.page,
+    name: job.statusData.name,
+    pageUrl: job.statusData.pageUrl,
+    userUrl: job.statusData.userUrl,
+    country: job.country || null
+  }
+}
+
+/**
+ * Retake the screenshot if it's gone, e.g. for a job resumed after a restart
+ */
+async function ensureScreenshot(job) {
+  if (job.screenshot && fs.existsSync(job.screenshot)) return
+
+  job.screenshot = await takeScreenshot(job.edit.url)
+  if (!job.screenshot) {
+    throw new Error('Failed to capture screenshot')
+  }
+}
+
+let postQueue = null
+
+function getPostQueue() {
+  if (!postQueue) {
+    postQueue = createPostQueue({
+      steps: POST_STEPS,
+      onSettled: (job, account) => {
+        queuedRevisions.delete(queuedKey(job.account, job.edit))
+        recordJobHistory(job, account)
+        recordFeedItem(job, account)
+        emitPosted(job, account)
+
+        // Always clean up screenshot, even if posting failed
+        if (job.screenshot && fs.existsSync(job.screenshot)) {
+          fs.unlinkSync(job.screenshot)
         }
       }
+    })
+  }
+  return postQueue
+}
+
+/**
+ * Add an edit posted to at least one platform to the public feeds, copying the
+ * screenshot before it's cleaned up
+ */
+function recordFeedItem(job, account) {
+  if (!postedPlatforms(job).length || !job.screenshot) return
+
+  try {
+    feed.record({
+      account: ledger.accountLabel(account),
+      edit: job.edit,
+      statusData: job.statusData,
+      text: job.text,
+      screenshot: job.screenshot
+    })
+  } catch (e) {
+    console.error('Failed to record feed item:', e.message)
+  }
+}
+
+/**
+ * Send the edit.posted webhook for an edit posted to at least one platform
+ */
+function emitPosted(job, account) {
+  const platforms = postedPlatforms(job)
+  if (!platforms.length) return
+
+  const posts = {}
+  for (const platform of platforms) {
+    const post = ledger.findPost(account, job.edit, platform)
+    if (post) posts[platform] = ledger.postIds(post)
+  }
+  webhooks.emit(account, 'edit.posted', { ...webhooks.editData(job.edit, job.statusData), posts })
+}
+
+// Platforms a settled job was posted to
+function postedPlatforms(job) {
+  return job.order.filter(name => POST_STEPS[name].independent && job.steps[name].status === 'done')
+}
+
+/**
+ * Add a settled posting job to the edit history, with what screening found, where it
+ * was posted and how long each step took
+ */
+function recordJobHistory(job, account) {
+  const platforms = job.order.filter(name => POST_STEPS[name].independent)
+  const posted = platforms.filter(platform => job.steps[platform].status === 'done')
+
+  let outcome = 'failed'
+  if (job.screening && !job.screening.safe) {
+    outcome = 'blocked'
+  } else if (job.screening && job.screening.score_action === 'draft') {
+    outcome = 'drafted'
+  } else if (posted.length === platforms.length) {
+    outcome = 'posted'
+  } else if (posted.length) {
+    outcome = 'partial'
+  }
+
+  const posts = {}
+  for (const platform of posted) {
+    const post = ledger.findPost(account, job.edit, platform)
+    if (post) {
+      posts[platform] = ledger.postIds(post)
     }
+  }
+
+  const steps = {}
+  for (const name of job.order) {
+    if (job.steps[name].duration_ms !== undefined) steps[name] = job.steps[name].duration_ms
+  }
+
+  const { reason, pii, pii_types, gemini, score, score_action } = job.screening || {}
+
+  return recordHistory(account, job.edit, {
+    outcome,
+    reason: outcome === 'blocked' || outcome === 'drafted' ? reason : undefined,
+    pii: pii || null,
+    pii_types,
+    gemini: gemini || null,
+    score,
+    score_action,
+    errors: platforms
+      .filter(platform => job.steps[platform].status === 'dead')
+      .map(platform => `${platform}: ${job.steps[platform].error}`),
+    posts,
+    timings: {
+      edited_at: job.edit.timestamp || null,
+      queued_at: job.created_at,
+      settled_at: new Date().toISOString(),
+      steps
+    }
+  })
+}
+
+/**
+ * Add a processed edit to the edit history (see lib/history)
+ * Never throws: the history is a record, not part of posting
+ */
+async function recordHistory(account, edit, fields) {
+  if (argv.noop) return
+
+  try {
+    history.record({
+      account: ledger.accountLabel(account),
+      source: 'bot',
+      article: edit.page,
+      editor: edit.user,
+      anonymous: Boolean(edit.anonymous),
+      wiki: edit.wikipedia,
+      diff_url: edit.url,
+      edits: edit.edits || 1,
+      pii: null,
+      gemini: null,
+      geolocation: edit.anonymous ? await getCountryCode(edit.user) : null,
+      ...fields
+    })
   } catch (error) {
-    console.error('Posting failed:', error)
+    console.error('History record failed:', edit.page, error.message)
+  }
+}
+
+/**
+ * Reply under earlier posts about a page when a new edit reverts them
+ * Checked for every edit to a page the account has posted about recently, whether or
+ * not the new edit itself matches anything
+ */
+async function checkForReverts(account, edit) {
+  if (account.revert_replies === false) return
+
+  const label = ledger.accountLabel(account)
+  const windowMs = (account.revert_window_hours || DEFAULT_REVERT_WINDOW_HOURS) * 60 * 60 * 1000
+  const since = Date.now() - windowMs
+
+  // Most edits are to pages the account hasn't posted about lately: settle those from
+  // the in-memory index without touching the ledger file
+  const recent = ledger.pagePosts(account, edit.wikipedia, edit.page)
+    .filter(post => new Date(post.posted_at).getTime() >= since)
+  if (!recent.length) return
+
+  const posts = recent
+    .filter(post => !ledger.find({ type: 'revert', account: label, revision: post.revision, platform: post.platform }).length)
+  if (!posts.length) return
+
+  // One candidate per revision; the platforms' posts are looked up again when replying
+  const revisions = Array.from(new Map(posts.map(post => [post.revision, post])).values())
+  const reverts = await detectReverts(edit, revisions)
+
+  for (const { post, selfRevert } of reverts) {
+    const template = selfRevert
+      ? account.self_revert_template || DEFAULT_SELF_REVERT_TEMPLATE
+      : account.revert_template || DEFAULT_REVERT_TEMPLATE
+    const revertedAt = edit.timestamp ? new Date(edit.timestamp) : new Date()
+    const statusData = getStatus(edit, edit.user, template, {
+      reverter: edit.user,
+      editor: post.user,
+      duration: formatDuration(revertedAt - new Date(post.edited_at))
+    })
+    console.log(statusData.text)
+
+    for (const original of posts.filter(p => p.revision === post.revision)) {
+      await sendRevertReply(account, original, statusData, edit, selfRevert)
+    }
+  }
+}
+
+async function sendRevertReply(account, original, statusData, edit, selfRevert) {
+  if (argv.noop) return
+
+  const metadata = {
+    page: edit.page,
+    name: statusData.name,
+    pageUrl: statusData.pageUrl,
+    userUrl: statusData.userUrl
+  }
+
+  // A follow-up only makes sense under the post it follows
+  const platform = getPlatform(original.platform)
+  const replyTo = platform && account[platform.name] ? platform.replyTarget(original) : null
+  if (!replyTo) return
+
+  try {
+    const result = await platform.postText({
+      account: account[platform.name],
+      text: statusData.text,
+      metadata,
+      replyTo
+    })
+
+    ledger.record({
+      type: 'revert',
+      revision: original.revision,
+      account: original.account,
+      platform: original.platform,
+      ...platform.toLedger(result),
+      reply_to: original.uri || original.id,
+      revert_revision: ledger.revisionKey(edit.url),
+      reverter: edit.user,
+      self_revert: selfRevert
+    })
+  } catch (error) {
+    console.error(`Revert reply on ${original.platform} failed:`, error.message)
+  }
+}
+
+/**
+ * Tell the operator that a watched page was renamed
+ * The page is still matched under its new title (see lib/page-tracker), but config.json
+ * should be updated so the next deploy starts from the right title
+ */
+async function reportMove(account, move) {
+  const alertText = `Watched page moved on ${move.wikipedia}: "${move.from}" is now "${move.to}". ` +
+    `Still tracking it by page ID - update "${move.configTitle}" in config.json.`
+  console.log(alertText)
+
+  if (!argv.noop) {
+    await sendOperatorAlert(account, alertText)
+  }
+}
+
+/**
+ * Tell the operator that a watched page looks like an edit war, and with
+ * `edit_war.post` publish one summary post about it
+ */
+async function reportEditWar(account, edit, war) {
+  const pageUrl = getArticleUrl(edit.url, edit.page)
+  const text = Mustache.render(account.edit_war.template || DEFAULT_EDIT_WAR_TEMPLATE, {
+    page: edit.page,
+    edits: war.edits,
+    editors: war.editors,
+    reverts: war.reverts,
+    minutes: war.minutes,
+    url: pageUrl
+  })
+  console.log(text)
+
+  if (argv.noop) return
+
+  const statusData = { text, page: edit.page, pageUrl }
+  await sendOperatorAlert(account, text, statusData)
+
+  if (!account.edit_war.post) return
+
+  // The article link is in the text, so no metadata is needed for links
+  for (const platform of configuredPlatforms(account)) {
+    try {
+      const result = await platform.postText({ account: account[platform.name], text })
+
+      ledger.record({
+        type: 'edit-war',
+        account: ledger.accountLabel(account),
+        platform: platform.name,
+        ...platform.toLedger(result),
+        wiki: edit.wikipedia,
+        page: edit.page,
+        since: war.since
+      })
+    } catch (error) {
+      console.error(`Edit war post on ${platform.name} failed:`, error.message)
+    }
+  }
+}
+
+/**
+ * DM the operator when an edit adds a phrase from `keyword_alerts` to a watched page
+ * Returns the matching rules, whose hashtags go on the edit's public post
+ */
+async function checkKeywords(account, edit) {
+  if (!account.keyword_alerts) return []
+
+  let added
+  try {
+    added = await extractDiffText(edit.url, { added: true })
+  } catch (error) {
+    console.error('Keyword check failed:', edit.page, error.message)
+    return []
+  }
+
+  const hits = findKeywords(account, added ? added.split('\n') : [])
+  if (!hits.length) return hits
+
+  const phrases = [...new Set(hits.map(hit => `"${hit.match}"`))].join(', ')
+  const statusData = getStatus(edit, edit.user, '{{{page}}} edited by {{{name}}} {{&url}}')
+  const alertText = `Keyword alert: ${phrases} added to ${statusData.text}`
+  console.log(alertText)
+
+  if (!argv.noop) {
+    await sendOperatorAlert(account, alertText, statusData)
   }
+  return hits
 }
 
 async function inspect(account, edit) {
+  const move = parseMove(edit)
+  if (move) {
+    const page = applyMove(account, edit.wikipedia, move.from, move.to)
+    if (page) {
+      await reportMove(account, { wikipedia: edit.wikipedia, configTitle: page.configTitle, ...move })
+    }
+    return
+  }
+
   if (edit.url) {
-    if (account.watchlist && account.watchlist[edit.wikipedia]
-      && account.watchlist[edit.wikipedia][edit.page]) {
-      const statusData = getStatus(edit, edit.user, account.template)
-      try {
-        await sendStatus(account, statusData, edit)
-      } catch (error) {
-        console.error('Failed to process edit:', edit.page, error.message)
+    // Someone else editing the page ends a held burst: later edits aren't consecutive
+    if (coalescers.has(account)) {
+      coalescers.get(account).interrupt(`${edit.wikipedia}|${edit.page}`, edit.user)
+    }
+
+    try {
+      await checkForReverts(account, edit)
+    } catch (error) {
+      console.error('Revert check failed:', edit.page, error.message)
+    }
+
+    // Every edit to a watched page counts towards an edit war and is checked for
+    // keyword alerts, even ones that are filtered out (bots reverting, say)
+    const watched = isWatched(account, edit.wikipedia, edit.page)
+    const war = watched ? await editWars.trackEdit(account, edit, { noop: argv.noop }) : null
+    if (war && war.status === 'started') {
+      await reportEditWar(account, edit, war)
+    }
+    const keywords = watched ? await checkKeywords(account, edit) : []
+
+    let match = matchEdit(account, edit)
+    if (!match) return
+
+    const hashtags = keywords.map(hit => hit.hashtag).filter(Boolean)
+    if (hashtags.length) {
+      match = { ...match, hashtags: [...new Set(hashtags)] }
+    }
+
+    // With `edit_war.post`, the summary post stands in for the war's individual edits
+    if (war && account.edit_war.post && (war.status === 'started' || war.status === 'ongoing')) {
+      if (argv.verbose) {
+        console.log(`Skipping ${edit.page} (${edit.url}): edit war in progress`)
+      }
+      return recordHistory(account, edit, { outcome: 'filtered', reason: 'edit war in progress' })
+    }
+
+    const skip = filterEdit(edit, resolveFilters(account, edit.wikipedia, edit.page))
+    if (skip) {
+      if (argv.verbose) {
+        console.log(`Skipping ${edit.page} (${edit.url}): ${skip}`)
       }
+      return recordHistory(account, edit, { outcome: 'filtered', reason: skip })
+    }
+
+    if (account.coalesce_minutes) {
+      // Hold the edit so follow-ups by the same editor go out as one post
+      const key = `${edit.wikipedia}|${edit.page}`
+      if (!getCoalescer(account).add(key, { edit, match }, edit.user) && argv.verbose) {
+        console.log(`Coalescing ${edit.page} (${edit.url}) with earlier edits by ${edit.user}`)
+      }
+      return
+    }
+
+    await postEdit(account, edit, match)
+  }
+}
+
+/**
+ * Decide which rule an edit matches and how to word its post
+ * Precedence: IP ranges, then followed editors, then watched pages
+ */
+function matchEdit(account, edit) {
+  // Anonymous edits from a configured organization's IP range match on any article
+  const organization = findRange(edit.user, account.ranges)
+  if (organization) {
+    return { template: account.range_template || DEFAULT_RANGE_TEMPLATE, vars: { organization } }
+  }
+
+  // Followed editors match on any article, like IP ranges
+  if (isWatchedEditor(account, edit.wikipedia, edit.user)) {
+    return { template: account.editor_template || DEFAULT_EDITOR_TEMPLATE, vars: {} }
+  }
+
+  if (isWatched(account, edit.wikipedia, edit.page)) {
+    return { template: account.template, vars: {} }
+  }
+
+  return null
+}
+
+async function postEdit(account, edit, match) {
+  const statusData = getStatus(edit, edit.user, match.template, match.vars)
+
+  // High-priority hashtags from keyword alerts
+  if (match.hashtags) {
+    statusData.text += ` ${match.hashtags.join(' ')}`
+  }
+
+  if (account.post_delay) {
+    return holdEdit(account, edit, statusData)
+  }
+
+  try {
+    await sendStatus(account, statusData, edit)
+  } catch (error) {
+    console.error('Failed to process edit:', edit.page, error.message)
+  }
+}
+
+// Edits waiting out an account's post_delay
+const heldPosts = new Set()
+
+/**
+ * Wait `post_delay` minutes before posting, so vandalism that is reverted quickly is
+ * never amplified. Reverted edits are dropped, or saved as drafts with
+ * `post_delay_action: "draft"`. Held edits are saved (see lib/held-edits) so a restart
+ * doesn't drop them, except under --noop
+ */
+function holdEdit(account, edit, statusData) {
+  if (argv.verbose) {
+    console.log(`Holding ${edit.page} (${edit.url}) for ${account.post_delay} minutes`)
+  }
+
+  const releaseAt = new Date(Date.now() + account.post_delay * 60 * 1000)
+  const record = argv.noop
+    ? { edit, statusData, release_at: releaseAt.toISOString() }
+    : heldEdits.save({ account: ledger.accountLabel(account), edit, statusData, releaseAt })
+  waitOutHold(account, record)
+}
+
+function waitOutHold(account, record) {
+  const delay = Math.max(0, new Date(record.release_at).getTime() - Date.now())
+  const held = new Promise(resolve => setTimeout(resolve, delay))
+    .then(() => postUnlessReverted(account, record.edit, record.statusData))
+    .catch(error => console.error('Failed to process held edit:', record.edit.page, error.message))
+    .finally(() => {
+      if (record.id) heldEdits.release(record)
+      heldPosts.delete(held)
+    })
+
+  heldPosts.add(held)
+}
+
+/**
+ * Hold the edits left held by the last run again, for whatever is left of their delay
+ *
+ * @returns {number} Number of edits held again
+ */
+function resumeHeldEdits(accounts) {
+  let resumed = 0
+  for (const record of heldEdits.list()) {
+    const account = accounts.find(account => ledger.accountLabel(account) === record.account)
+    if (!account) {
+      console.error(`Held edits: no account "${record.account}" for ${record.edit.page} - leaving it held`)
+      continue
+    }
+    waitOutHold(account, record)
+    resumed++
+  }
+  return resumed
+}
+
+async function postUnlessReverted(account, edit, statusData) {
+  let revert = null
+  try {
+    revert = await findRevert(edit)
+  } catch (error) {
+    console.error(`Revert check failed for ${edit.page} - posting anyway:`, error.message)
+  }
+
+  if (!revert) {
+    return sendStatus(account, statusData, edit)
+  }
+
+  const reason = `Reverted by ${revert.user} within ${account.post_delay} minutes`
+  console.log(`Not posting ${edit.page} (${edit.url}): ${reason}`)
+
+  const draft = account.post_delay_action === 'draft'
+  if (draft && !argv.noop) {
+    saveDraft({
+      text: statusData.text,
+      diffUrl: edit.url,
+      editedAt: edit.timestamp,
+      article: edit.page,
+      editor: statusData.name,
+      reason,
+      statusData: statusData
+    })
+  }
+  await recordHistory(account, edit, { outcome: draft ? 'drafted' : 'dropped', reason })
+}
+
+/**
+ * Wait for every held edit to be posted or dropped, e.g. once a replay has finished
+ */
+function waitForHeldPosts() {
+  return Promise.all(Array.from(heldPosts))
+}
+
+// Held bursts of edits per account (see lib/coalescer)
+const coalescers = new WeakMap()
+
+function getCoalescer(account) {
+  if (!coalescers.has(account)) {
+    coalescers.set(account, createCoalescer({
+      windowMs: account.coalesce_minutes * 60 * 1000,
+      onFlush: items => {
+        // Keep the hashtags of every edit in the burst
+        const hashtags = [...new Set(items.flatMap(item => item.match.hashtags || []))]
+        const match = hashtags.length ? { ...items[0].match, hashtags } : items[0].match
+        return postEdit(account, combineEdits(items.map(item => item.edit)), match)
+      }
+    }))
+  }
+  return coalescers.get(account)
+}
+
+/**
+ * Post every held burst now, e.g. once a replay has finished
+ */
+function flushCoalescedEdits(accounts) {
+  return Promise.all(Array.from(accounts)
+    .filter(account => coalescers.has(account))
+    .map(account => coalescers.get(account).flushAll()))
+}
+
+/**
+ * Catch up on edits to watched pages made while the bot was down
+ * Missed edits are posted through sendStatus, or saved as drafts with `backfill.drafts`
+ */
+async function backfill(account, since) {
+  const options = account.backfill
+  if (!options || options.enabled === false) return
+
+  const edits = await findMissedEdits(account.watchlist, since, {
+    limit: options.max_edits ?? DEFAULT_MAX_EDITS
+  })
+  console.log(`Backfill: ${edits.length} missed edits since ${since.toISOString()}`)
+
+  for (const edit of edits) {
+    const skip = filterEdit(edit, resolveFilters(account, edit.wikipedia, edit.page))
+    if (skip) {
+      if (argv.verbose) {
+        console.log(`Backfill: skipping ${edit.page} (${edit.url}): ${skip}`)
+      }
+      await recordHistory(account, edit, { outcome: 'filtered', reason: skip })
+      continue
+    }
+
+    // Worded like the live edit would have been (IP ranges and followed editors first)
+    const match = matchEdit(account, edit)
+    if (!match) continue
+    const statusData = getStatus(edit, edit.user, match.template, match.vars)
+
+    if (options.drafts && !argv.noop) {
+      const reason = `Missed while the bot was offline (edited ${edit.timestamp})`
+      saveDraft({
+        text: statusData.text,
+        diffUrl: edit.url,
+        editedAt: edit.timestamp,
+        article: edit.page,
+        editor: statusData.name,
+        reason,
+        statusData: statusData
+      })
+      await recordHistory(account, edit, { outcome: 'drafted', reason })
+    } else {
+      await sendStatus(account, statusData, edit)
     }
   }
 }
 
 function checkConfig(config, error) {
   if (config.accounts) {
-    return async.each(config.accounts, (account, callback) => callback(), error)
+    return async.each(config.accounts, (account, callback) => {
+      // Fail at startup on bad ranges or patterns rather than on the first edit
+      try {
+        if (account.ranges) {
+          compileRanges(account.ranges)
+        }
+        validateWatchlist(account)
+        validateKeywordAlerts(account)
+        webhooks.validateWebhooks(account)
+      } catch (e) {
+        return callback(e.message)
+      }
+      callback()
+    }, error)
   } else {
     return error("missing accounts stanza in config")
   }
@@ -449,18 +1197,69 @@ async function main() {
   // Initialize geolocation database before listening for edits
   await initializeReader()
 
+  // Expand watched categories (from cache if fresh) before the first edit arrives
+  await startCategoryRefresh(config.accounts || [])
+
+  // Resolve watched titles to page IDs so renamed pages keep matching
+  await startPageTracking(config.accounts || [], {
+    onMove: (account, move) => reportMove(account, move).catch(error => console.error('Move alert failed:', error.message))
+  })
+
   return checkConfig(config, function (err) {
     if (!err) {
-      const wikipedia = new WikiChanges({ ircNickname: config.nick })
-      return wikipedia.listen(edit => {
-        writeHeartbeat('irc')
+      // --replay swaps the live feed for a recorded JSONL file (see lib/edit-sources)
+      const source = createEditSource(config, {
+        replay: argv.replay,
+        realtime: argv.realtime,
+        speed: argv.speed
+      })
+      console.log(`listening for edits on ${source.name}`)
+
+      // Finish posts interrupted by the last shutdown; a dry run leaves them for the bot
+      if (!argv.noop) {
+        getPostQueue().resume(job => config.accounts.find(account => ledger.accountLabel(account) === job.account))
+          .then(count => count && console.log(`Queue: resumed ${count} unfinished posts`))
+          .catch(error => console.error('Queue resume failed:', error))
+        const held = resumeHeldEdits(config.accounts)
+        if (held) console.log(`Holding ${held} edits again from before the restart`)
+      }
+
+      // Daily and weekly roundups, from the live feed's history only
+      if (source.live) {
+        startDigests(config.accounts, { noop: argv.noop })
+      }
+
+      // Read before listening: every live edit moves the timestamp forward. A source
+      // that resumes by itself replays the missed edits, so backfilling would post them twice
+      const lastProcessed = source.live && !source.resumes ? readLastProcessed() : null
+      const processed = createLastProcessedTracker()
+
+      const listening = source.listen(edit => {
+        if (source.live) {
+          writeHeartbeat(source.name)
+          processed.update(edit)
+        }
         if (argv.verbose) {
           console.log(JSON.stringify(edit))
         }
+        if (argv.record) {
+          recordEdit(argv.record, edit)
+        }
+        return Promise.all(Array.from(config.accounts).map((account) => {
+          return inspect(account, edit).catch(error => console.error('Inspect error:', error))
+        }))
+      })
+
+      if (lastProcessed) {
         Array.from(config.accounts).forEach((account) => {
-          inspect(account, edit).catch(error => console.error('Inspect error:', error))
+          backfill(account, lastProcessed).catch(error => console.error('Backfill error:', error))
         })
-      })
+      }
+
+      return listening
+        .then(() => flushCoalescedEdits(config.accounts))
+        .then(() => waitForHeldPosts())
+        .then(() => console.log(`${source.name} finished`))
     } else {
       return console.log(err)
     }
@@ -491,6 +1290,8 @@ module.exports = {
   buildFacets,
   inspect,
   sendStatus,
+  backfill,
+  resumeHeldEdits,
   extractDiffText,
   analyzeForPII,
   screenForPII
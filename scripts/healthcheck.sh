@@ -4,7 +4,7 @@
 #
 # Checks:
 # 1. Bot container is running
-# 2. IRC messages received in last 30 minutes
+# 2. Edit stream (IRC or EventStreams) messages received in last 30 minutes
 # 3. Successful post in last 2 days
 #
 # Install: add to crontab on the droplet
@@ -21,14 +21,15 @@ if [ -z "$BOT_RUNNING" ]; then
   ALERT="bot container is not running"
 fi
 
-# 2. Check IRC heartbeat (should update every few seconds)
-if [ -z "$ALERT" ] && [ -f "$DATA_DIR/heartbeat-irc" ]; then
-  IRC_TS=$(cat "$DATA_DIR/heartbeat-irc")
+# 2. Check edit stream heartbeat (IRC or EventStreams, should update every few seconds)
+STREAM_HEARTBEAT=$(ls -t "$DATA_DIR/heartbeat-irc" "$DATA_DIR/heartbeat-eventstreams" 2>/dev/null | head -1)
+if [ -z "$ALERT" ] && [ -n "$STREAM_HEARTBEAT" ]; then
+  STREAM_TS=$(cat "$STREAM_HEARTBEAT")
   # Convert milliseconds to seconds
-  IRC_SECS=$((IRC_TS / 1000))
-  IRC_AGE=$((NOW - IRC_SECS))
-  if [ "$IRC_AGE" -gt 1800 ]; then
-    ALERT="no IRC messages for $((IRC_AGE / 60)) minutes"
+  STREAM_SECS=$((STREAM_TS / 1000))
+  STREAM_AGE=$((NOW - STREAM_SECS))
+  if [ "$STREAM_AGE" -gt 1800 ]; then
+    ALERT="no edit stream messages for $((STREAM_AGE / 60)) minutes"
   fi
 fi
 
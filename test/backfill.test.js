@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const { findMissedEdits, readLastProcessed, writeLastProcessed, createLastProcessedTracker } = require('../lib/backfill')
+
+function revisionsReply(title, revisions) {
+  return { batchcomplete: true, query: { pages: [{ pageid: 1, ns: 0, title, revisions }] } }
+}
+
+describe('backfill', function() {
+  const since = new Date('2026-02-04T00:00:00Z')
+  const until = new Date('2026-03-08T00:00:00Z')
+
+  beforeEach(function() {
+    nock.cleanAll()
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+  })
+
+  describe('last processed timestamp', function() {
+    it('round-trips through the data file', function() {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-backfill-'))
+      const file = path.join(tmpDir, 'last-processed')
+
+      assert.isNull(readLastProcessed(file))
+      writeLastProcessed(since.getTime(), file)
+      assert.equal(readLastProcessed(file).toISOString(), since.toISOString())
+
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    it('saves the newest edit time at most once per interval', function() {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-backfill-'))
+      const file = path.join(tmpDir, 'last-processed')
+      const tracker = createLastProcessedTracker({ file, interval: 60 * 1000 })
+
+      tracker.update({ timestamp: '2026-02-10T00:00:05Z' })
+      assert.equal(readLastProcessed(file).toISOString(), '2026-02-10T00:00:05.000Z')
+
+      // Within the interval, and an older edit from another wiki doesn't move it back
+      tracker.update({ timestamp: '2026-02-10T00:00:09Z' })
+      tracker.update({ timestamp: '2026-02-10T00:00:01Z' })
+      assert.equal(readLastProcessed(file).toISOString(), '2026-02-10T00:00:05.000Z')
+
+      tracker.flush()
+      assert.equal(readLastProcessed(file).toISOString(), '2026-02-10T00:00:09.000Z')
+
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+  })
+
+  describe('findMissedEdits', function() {
+    it('queries each watched page for revisions in the missed window', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'London Breed' && q.rvend === since.toISOString() && q.rvstart === until.toISOString())
+        .reply(200, revisionsReply('London Breed', [
+          { revid: 300, parentid: 200, user: '192.0.2.1', anon: true, timestamp: '2026-02-10T00:00:00Z', comment: 'x' }
+        ]))
+        .get('/w/api.php')
+        .query(q => q.titles === 'Daniel Lurie')
+        .reply(200, revisionsReply('Daniel Lurie', [
+          { revid: 250, parentid: 100, user: 'Editor', timestamp: '2026-02-05T00:00:00Z', comment: 'y', minor: true }
+        ]))
+
+      const edits = await findMissedEdits({
+        'English Wikipedia': { 'London Breed': true, 'Daniel Lurie': true }
+      }, since, { until })
+
+      assert.equal(edits.length, 2)
+
+      // Oldest first
+      assert.equal(edits[0].page, 'Daniel Lurie')
+      assert.equal(edits[0].url, 'https://en.wikipedia.org/w/index.php?diff=250&oldid=100')
+      assert.equal(edits[0].wikipedia, 'English Wikipedia')
+      assert.isTrue(edits[0].minor)
+
+      assert.equal(edits[1].user, '192.0.2.1')
+      assert.isTrue(edits[1].anonymous)
+      assert.isTrue(edits[1].backfill)
+    })
+
+    it('fills in size changes and bot flags like live edits', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'London Breed')
+        .reply(200, revisionsReply('London Breed', [
+          { revid: 301, parentid: 300, user: 'CleanupBot', timestamp: '2026-02-11T00:00:00Z', size: 1500 },
+          { revid: 300, parentid: 200, user: '192.0.2.1', anon: true, timestamp: '2026-02-10T00:00:00Z', size: 1520 }
+        ]))
+        .get('/w/api.php')
+        .query(q => q.revids === '200' && q.rvprop === 'ids|size')
+        .reply(200, { query: { pages: [{ pageid: 1, title: 'London Breed', revisions: [{ revid: 200, size: 1000 }] }] } })
+        .get('/w/api.php')
+        .query(q => q.list === 'users' && q.ususers === 'CleanupBot')
+        .reply(200, { query: { users: [{ name: 'CleanupBot', groups: ['*', 'user', 'bot'] }] } })
+
+      const edits = await findMissedEdits({ 'English Wikipedia': { 'London Breed': true } }, since, { until })
+
+      assert.deepEqual(edits.map(e => [e.user, e.delta, e.robot]), [
+        ['192.0.2.1', 520, false],
+        ['CleanupBot', -20, true]
+      ])
+    })
+
+    it('keeps only the most recent edits when over the cap', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply('London Breed', [
+          { revid: 3, parentid: 2, user: 'C', timestamp: '2026-02-12T00:00:00Z' },
+          { revid: 2, parentid: 1, user: 'B', timestamp: '2026-02-11T00:00:00Z' },
+          { revid: 1, parentid: 0, user: 'A', timestamp: '2026-02-10T00:00:00Z' }
+        ]))
+
+      const edits = await findMissedEdits({ 'English Wikipedia': { 'London Breed': true } }, since, { until, limit: 2 })
+
+      assert.deepEqual(edits.map(e => e.user), ['B', 'C'])
+    })
+
+    it('skips pages whose lookup fails', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'London Breed')
+        .reply(500)
+        .get('/w/api.php')
+        .query(q => q.titles === 'Daniel Lurie')
+        .reply(200, revisionsReply('Daniel Lurie', [
+          { revid: 250, parentid: 100, user: 'Editor', timestamp: '2026-02-05T00:00:00Z' }
+        ]))
+
+      const edits = await findMissedEdits({
+        'English Wikipedia': { 'London Breed': true, 'Daniel Lurie': true }
+      }, since, { until })
+
+      assert.deepEqual(edits.map(e => e.page), ['Daniel Lurie'])
+    })
+  })
+
+  describe('page-watch backfill()', function() {
+    it('saves missed edits as drafts when configured', async function() {
+      const drafts = []
+      const missed = [{
+        page: 'London Breed',
+        user: 'Editor',
+        wikipedia: 'English Wikipedia',
+        url: 'https://en.wikipedia.org/w/index.php?diff=300&oldid=200',
+        timestamp: '2026-02-10T00:00:00Z'
+      }]
+
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/draft-manager': { saveDraft: draft => drafts.push(draft) },
+        './lib/backfill': {
+          findMissedEdits: async (watchlist, from, options) => {
+            assert.equal(options.limit, 5)
+            return missed
+          }
+        }
+      })
+
+      await pageWatch.backfill({
+        template: '{{page}} edited by {{name}} {{&url}}',
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        backfill: { max_edits: 5, drafts: true }
+      }, since)
+
+      assert.equal(drafts.length, 1)
+      assert.equal(drafts[0].article, 'London Breed')
+      assert.include(drafts[0].reason, 'offline')
+      assert.equal(drafts[0].editedAt, '2026-02-10T00:00:00Z')
+    })
+
+    it('applies the live filters and templates to missed edits', async function() {
+      const drafts = []
+      const missed = [
+        { page: 'London Breed', user: 'CleanupBot', wikipedia: 'English Wikipedia', robot: true, delta: 4,
+          url: 'https://en.wikipedia.org/w/index.php?diff=301&oldid=300', timestamp: '2026-02-11T00:00:00Z' },
+        { page: 'London Breed', user: '192.0.2.1', wikipedia: 'English Wikipedia', robot: false, delta: 3,
+          url: 'https://en.wikipedia.org/w/index.php?diff=302&oldid=301', timestamp: '2026-02-12T00:00:00Z' },
+        { page: 'London Breed', user: '192.0.2.1', wikipedia: 'English Wikipedia', robot: false, delta: 120,
+          url: 'https://en.wikipedia.org/w/index.php?diff=303&oldid=302', timestamp: '2026-02-13T00:00:00Z' }
+      ]
+
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/draft-manager': { saveDraft: draft => drafts.push(draft) },
+        './lib/backfill': { findMissedEdits: async () => missed }
+      })
+
+      await pageWatch.backfill({
+        template: '{{page}} edited by {{name}} {{&url}}',
+        range_template: '{{page}} edited by {{organization}} {{&url}}',
+        ranges: { 'Example Org': [['192.0.2.0', '192.0.2.255']] },
+        filters: { exclude_bots: true, min_delta: 10 },
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        backfill: { drafts: true }
+      }, since)
+
+      assert.deepEqual(drafts.map(draft => draft.diffUrl), [missed[2].url])
+      assert.match(drafts[0].text, /^London Breed edited by Example Org /)
+    })
+
+    it('does nothing when backfill is not configured', async function() {
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/backfill': {
+          findMissedEdits: async () => assert.fail('should not query')
+        }
+      })
+
+      await pageWatch.backfill({ watchlist: {} }, since)
+    })
+  })
+})
@@ -224,5 +224,15 @@ describe('lib/bluesky-utils', function() {
       assert.equal(pageFacet.features[0].$type, 'app.bsky.richtext.facet#link')
       assert.property(pageFacet.features[0], 'uri')
     })
+
+    it('creates tag facets for hashtags', function() {
+      const text = 'Café edited https://example.com/diff#top #Breaking'
+      const facets = buildFacets(text, 'Café', 'User', null, null)
+
+      const tags = facets.filter(f => f.features[0].$type === 'app.bsky.richtext.facet#tag')
+      assert.lengthOf(tags, 1, 'URL fragments are not hashtags')
+      assert.equal(tags[0].features[0].tag, 'Breaking')
+      assert.equal(Buffer.from(text).subarray(tags[0].index.byteStart, tags[0].index.byteEnd).toString(), '#Breaking')
+    })
   })
 })
@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expandCategory, refreshCategories, isCategoryMember } = require('../lib/categories')
+const { isWatched } = require('../lib/watchlist')
+
+function membersReply(members, cmcontinue) {
+  const reply = { query: { categorymembers: members } }
+  if (cmcontinue) reply.continue = { cmcontinue }
+  return reply
+}
+
+describe('category watchlists', function() {
+  const BOARD = 'Category:Members of the San Francisco Board of Supervisors'
+  let tmpDir
+  let cacheFile
+
+  beforeEach(function() {
+    nock.cleanAll()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-categories-'))
+    cacheFile = path.join(tmpDir, 'category-watchlist.json')
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('expandCategory', function() {
+    it('lists articles and follows subcategories up to the depth', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.cmtitle === BOARD && !q.cmcontinue)
+        .reply(200, membersReply([
+          { ns: 0, title: 'Connie Chan' },
+          { ns: 14, title: 'Category:Presidents of the San Francisco Board of Supervisors' }
+        ], 'page|2'))
+        .get('/w/api.php')
+        .query(q => q.cmtitle === BOARD && q.cmcontinue === 'page|2')
+        .reply(200, membersReply([{ ns: 0, title: 'Myrna Melgar' }]))
+        .get('/w/api.php')
+        .query(q => q.cmtitle === 'Category:Presidents of the San Francisco Board of Supervisors')
+        .reply(200, membersReply([
+          { ns: 0, title: 'Aaron Peskin' },
+          // Cycles back to the parent; must not be fetched again
+          { ns: 14, title: BOARD }
+        ]))
+
+      const pages = await expandCategory('en.wikipedia.org', 'Members of the San Francisco Board of Supervisors', 1)
+
+      assert.deepEqual(pages, ['Aaron Peskin', 'Connie Chan', 'Myrna Melgar'])
+    })
+
+    it('ignores subcategories at depth 0', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([
+          { ns: 0, title: 'Connie Chan' },
+          { ns: 14, title: 'Category:Presidents of the San Francisco Board of Supervisors' }
+        ]))
+
+      const pages = await expandCategory('en.wikipedia.org', BOARD)
+
+      assert.deepEqual(pages, ['Connie Chan'])
+    })
+  })
+
+  describe('refreshCategories', function() {
+    it('watches category members alongside explicit pages', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([{ ns: 0, title: 'Connie Chan' }]))
+
+      const account = {
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        watch_categories: { 'English Wikipedia': ['Members of the San Francisco Board of Supervisors'] }
+      }
+
+      assert.isFalse(isWatched(account, 'English Wikipedia', 'Connie Chan'))
+
+      const count = await refreshCategories(account, { cacheFile })
+
+      assert.equal(count, 1)
+      assert.isTrue(isWatched(account, 'English Wikipedia', 'Connie Chan'))
+      assert.isTrue(isWatched(account, 'English Wikipedia', 'London Breed'))
+      assert.isFalse(isWatched(account, 'English Wikipedia', 'Gavin Newsom'))
+      assert.isFalse(isCategoryMember(account, 'French Wikipedia', 'Connie Chan'))
+    })
+
+    it('reuses a fresh cache and falls back to it when a refresh fails', async function() {
+      fs.writeFileSync(cacheFile, JSON.stringify({
+        'English Wikipedia': {
+          'Members of the San Francisco Board of Supervisors|0': {
+            depth: 0,
+            fetched_at: new Date().toISOString(),
+            pages: ['Connie Chan']
+          }
+        }
+      }))
+
+      const account = {
+        watch_categories: { 'English Wikipedia': ['Members of the San Francisco Board of Supervisors'] }
+      }
+
+      // Fresh cache: no API call
+      await refreshCategories(account, { cacheFile })
+      assert.isTrue(isCategoryMember(account, 'English Wikipedia', 'Connie Chan'))
+
+      // Forced refresh fails: keep the cached members
+      nock('https://en.wikipedia.org').get('/w/api.php').query(true).reply(503)
+      await refreshCategories(account, { cacheFile, force: true })
+      assert.isTrue(isCategoryMember(account, 'English Wikipedia', 'Connie Chan'))
+    })
+
+    it('writes expansions to the cache file', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([{ ns: 0, title: 'Connie Chan' }]))
+
+      await refreshCategories({
+        watch_categories: { 'English Wikipedia': ['Members of the San Francisco Board of Supervisors'] }
+      }, { cacheFile })
+
+      const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'))
+      const entry = cache['English Wikipedia']['Members of the San Francisco Board of Supervisors|0']
+      assert.deepEqual(entry.pages, ['Connie Chan'])
+      assert.equal(entry.depth, 0)
+    })
+
+    it('caches each depth separately', async function() {
+      const categories = { 'English Wikipedia': ['Members of the San Francisco Board of Supervisors'] }
+      const shallow = { watch_categories: categories }
+      const deep = { watch_categories: categories, category_depth: 1 }
+
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([{ ns: 0, title: 'Connie Chan' }]))
+      await refreshCategories(shallow, { cacheFile })
+
+      // The depth-0 expansion is fresh, but doesn't answer for depth 1
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([{ ns: 0, title: 'Connie Chan' }, { ns: 14, title: 'Category:Presidents of the San Francisco Board of Supervisors' }]))
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, membersReply([{ ns: 0, title: 'Aaron Peskin' }]))
+      await refreshCategories(deep, { cacheFile })
+
+      assert.isFalse(isCategoryMember(shallow, 'English Wikipedia', 'Aaron Peskin'))
+      assert.isTrue(isCategoryMember(deep, 'English Wikipedia', 'Aaron Peskin'))
+      assert.isTrue(nock.isDone())
+
+      // Both stay cached: restarting either account makes no API calls
+      await refreshCategories(shallow, { cacheFile })
+      await refreshCategories(deep, { cacheFile })
+      assert.isFalse(isCategoryMember(shallow, 'English Wikipedia', 'Aaron Peskin'))
+      assert.isTrue(isCategoryMember(deep, 'English Wikipedia', 'Aaron Peskin'))
+    })
+  })
+})
@@ -0,0 +1,132 @@
+const { describe, it } = require('mocha')
+const { assert } = require('chai')
+const proxyquire = require('proxyquire')
+const { combinedDiffUrl, combineEdits, createCoalescer } = require('../lib/coalescer')
+const { getStatus } = require('../page-watch')
+
+const INDEX = 'https://en.wikipedia.org/w/index.php'
+
+function edit(revision, parent, delta) {
+  return {
+    page: 'London Breed',
+    user: '192.0.2.1',
+    url: parent ? `${INDEX}?diff=${revision}&oldid=${parent}` : `${INDEX}?oldid=${revision}`,
+    newPage: !parent,
+    delta
+  }
+}
+
+describe('edit coalescing', function() {
+  describe('combinedDiffUrl', function() {
+    it('spans from before the first edit to the last', function() {
+      assert.equal(combinedDiffUrl(edit(101, 100).url, edit(105, 104).url), `${INDEX}?diff=105&oldid=100`)
+    })
+
+    it('links the latest revision when the burst created the page', function() {
+      assert.equal(combinedDiffUrl(edit(101).url, edit(103, 102).url), `${INDEX}?oldid=103`)
+    })
+  })
+
+  describe('combineEdits', function() {
+    it('sums deltas and counts the edits', function() {
+      const combined = combineEdits([edit(101, 100, 20), edit(102, 101, -5), edit(103, 102, 1)])
+
+      assert.equal(combined.url, `${INDEX}?diff=103&oldid=100`)
+      assert.equal(combined.delta, 16)
+      assert.equal(combined.edits, 3)
+    })
+
+    it('leaves the delta unknown if any edit lacks one', function() {
+      assert.isNull(combineEdits([edit(101, 100, 20), edit(102, 101, null)]).delta)
+    })
+
+    it('passes a single edit through', function() {
+      const single = combineEdits([edit(101, 100, 20)])
+      assert.equal(single.url, `${INDEX}?diff=101&oldid=100`)
+      assert.equal(single.edits, 1)
+    })
+  })
+
+  describe('createCoalescer', function() {
+    it('holds the first item and flushes the group once the window closes', async function() {
+      const flushed = []
+      const coalescer = createCoalescer({ windowMs: 20, onFlush: items => flushed.push(items) })
+
+      assert.isTrue(coalescer.add('a', 1))
+      assert.isFalse(coalescer.add('a', 2))
+      assert.isTrue(coalescer.add('b', 3))
+      assert.equal(coalescer.size(), 2)
+
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      assert.deepEqual(flushed, [[1, 2], [3]])
+      assert.equal(coalescer.size(), 0)
+    })
+
+    it('closes a group early for an item or interruption from another run', async function() {
+      const flushed = []
+      const coalescer = createCoalescer({ windowMs: 60000, onFlush: items => flushed.push(items) })
+
+      coalescer.add('page', 1, 'A')
+      coalescer.add('page', 2, 'A')
+      await coalescer.interrupt('page', 'A')
+      assert.deepEqual(flushed, [])
+
+      assert.isTrue(coalescer.add('page', 3, 'B'))
+      assert.deepEqual(flushed, [[1, 2]])
+
+      await coalescer.interrupt('page', 'C')
+      assert.deepEqual(flushed, [[1, 2], [3]])
+      assert.equal(coalescer.size(), 0)
+    })
+
+    it('flushes everything on demand', async function() {
+      const flushed = []
+      const coalescer = createCoalescer({ windowMs: 60000, onFlush: items => flushed.push(items) })
+
+      coalescer.add('a', 1)
+      coalescer.add('a', 2)
+      await coalescer.flushAll()
+
+      assert.deepEqual(flushed, [[1, 2]])
+      assert.equal(coalescer.size(), 0)
+    })
+  })
+
+  describe('template', function() {
+    it('exposes the number of edits', function() {
+      const combined = combineEdits([edit(101, 100, 20), edit(102, 101, 5)])
+      const result = getStatus(combined, combined.user, '{{page}}: {{edits}} by {{name}} {{&url}}')
+
+      assert.equal(result.text, `London Breed: 2 edits by 192.0.2.1 ${INDEX}?diff=102&oldid=100`)
+      assert.equal(getStatus(edit(101, 100), '192.0.2.1', '{{edits}}').text, '1 edit')
+    })
+  })
+
+  describe('bot integration', function() {
+    it('only combines consecutive edits by one editor', async function() {
+      const jobs = []
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/post-queue': { createPostQueue: () => ({ enqueue: async job => jobs.push(job) }) }
+      })
+      const account = {
+        bluesky: { identifier: 'x' },
+        coalesce_minutes: 5,
+        filters: { exclude_bots: true },
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        template: '{{page}} edited by {{name}} {{&url}}'
+      }
+      const by = (user, revision) => ({ ...edit(revision, revision - 1), user, wikipedia: 'English Wikipedia' })
+
+      // Alice, a bot (filtered out, but it still edited in between), Bob, Alice again
+      await pageWatch.inspect(account, by('Alice', 101))
+      await pageWatch.inspect(account, { ...by('CleanupBot', 102), robot: true })
+      await pageWatch.inspect(account, by('Bob', 103))
+      await pageWatch.inspect(account, by('Alice', 104))
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      // Alice's first edit went out alone, then Bob's; Alice's second is held
+      assert.deepEqual(jobs.map(job => job.edit.url), [`${INDEX}?diff=101&oldid=100`, `${INDEX}?diff=103&oldid=102`])
+    })
+  })
+})
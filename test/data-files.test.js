@@ -0,0 +1,40 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sinon = require('sinon')
+const dataFiles = require('../lib/data-files')
+
+describe('data files', function() {
+  let tmpDir
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-data-files-'))
+  })
+
+  afterEach(function() {
+    sinon.restore()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('creates missing directories', function() {
+    const file = path.join(tmpDir, 'queue', 'dead', 'job.json')
+
+    assert.isTrue(dataFiles.writeFile(file, '{}'))
+    assert.isTrue(dataFiles.appendFile(file, '\n'))
+    assert.equal(fs.readFileSync(file, 'utf8'), '{}\n')
+  })
+
+  it('logs a failed write instead of throwing', function() {
+    const error = sinon.stub(console, 'error')
+    // A directory can't be written as a file
+    assert.isFalse(dataFiles.writeFile(tmpDir, 'x'))
+    assert.isTrue(error.calledOnce)
+    assert.include(error.firstCall.args[0], tmpDir)
+  })
+
+  it('keeps data under SFEDITS_DATA_DIR', function() {
+    assert.equal(dataFiles.dataPath('queue'), path.join(process.env.SFEDITS_DATA_DIR, 'queue'))
+  })
+})
@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+const history = require('../lib/history')
+const ledger = require('../lib/post-ledger')
+const { periodRange, summarize, formatDigest, buildDigest, MAX_POST_LENGTH } = require('../lib/digest')
+
+function records() {
+  return [
+    { outcome: 'posted', article: 'London Breed', editor: '192.0.2.1', anonymous: true, geolocation: 'US' },
+    { outcome: 'posted', article: 'London Breed', editor: '198.51.100.7', anonymous: true, geolocation: 'CA', edits: 3 },
+    { outcome: 'filtered', article: 'Ed Lee', editor: 'Example', anonymous: false },
+    { outcome: 'blocked', article: 'Daniel Lurie', editor: '2001:db8::1', anonymous: true, geolocation: null },
+    { outcome: 'duplicate', article: 'Ed Lee', editor: 'Example', anonymous: false },
+    { outcome: 'posted', source: 'admin', article: 'Daniel Lurie', editor: '2001:db8::1', anonymous: true }
+  ]
+}
+
+describe('digests', function() {
+  describe('periodRange', function() {
+    it('covers the previous day, posted at the configured hour', function() {
+      const range = periodRange('daily', { hour: 8 }, new Date(2026, 9, 19, 14, 30))
+      assert.deepEqual(range.from, new Date(2026, 9, 18))
+      assert.deepEqual(range.to, new Date(2026, 9, 19))
+      assert.deepEqual(range.publishAt, new Date(2026, 9, 19, 8))
+    })
+
+    it('covers the seven days before the configured weekday', function() {
+      // Wednesday October 21, 2026; weekly digests go out on Mondays
+      const range = periodRange('weekly', {}, new Date(2026, 9, 21, 10))
+      assert.deepEqual(range.from, new Date(2026, 9, 12))
+      assert.deepEqual(range.to, new Date(2026, 9, 19))
+      assert.deepEqual(range.publishAt, new Date(2026, 9, 19, 9))
+    })
+  })
+
+  describe('summarize', function() {
+    it('adds up edits, editors, anonymous edits and locations', function() {
+      const summary = summarize(records())
+
+      assert.equal(summary.edits, 6)
+      assert.equal(summary.posted, 4)
+      assert.equal(summary.editors, 4)
+      assert.equal(summary.anonymous, 5)
+      assert.equal(summary.registered, 1)
+      assert.equal(summary.located, 4)
+      assert.equal(summary.outsideUs, 3)
+      assert.deepEqual(summary.pages, [
+        { article: 'London Breed', edits: 4 },
+        { article: 'Daniel Lurie', edits: 1 },
+        { article: 'Ed Lee', edits: 1 }
+      ])
+    })
+  })
+
+  describe('formatDigest', function() {
+    const range = periodRange('daily', {}, new Date(2026, 9, 19, 10))
+
+    it('words the digest as a thread', function() {
+      const posts = formatDigest(summarize(records()), range)
+
+      assert.deepEqual(posts, [
+        'Daily digest for Sunday, October 18: 6 edits to 3 watched articles by 4 editors, counting the 2 we didn\'t post.',
+        '5 edits (83%) were anonymous, 1 by a registered editor. 3 of the 4 anonymous edits we could locate (75%) came from outside the US.',
+        'Most edited:\n1. London Breed (4)\n2. Daniel Lurie (1)\n3. Ed Lee (1)'
+      ])
+    })
+
+    it('leaves out the unposted count when every edit was posted', function() {
+      const posts = formatDigest(summarize(records().filter(record => record.outcome === 'posted')), range)
+
+      assert.equal(posts[0], 'Daily digest for Sunday, October 18: 4 edits to 1 watched article by 2 editors.')
+    })
+
+    it('splits long lists of pages across posts', function() {
+      const many = []
+      for (let i = 0; i < 40; i++) {
+        many.push({ outcome: 'posted', article: `Supervisor District ${i} of San Francisco`, editor: 'Example' })
+      }
+      const posts = formatDigest(summarize(many), range, { top: 40 })
+
+      assert.isAbove(posts.length, 3)
+      posts.forEach(post => assert.isAtMost(post.length, MAX_POST_LENGTH))
+      assert.include(posts[posts.length - 1], '40. ')
+    })
+  })
+
+  describe('buildDigest', function() {
+    let tmpDir
+    let files
+
+    beforeEach(function() {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-digest-'))
+      files = { file: path.join(tmpDir, 'history.jsonl'), indexFile: path.join(tmpDir, 'history-index.json') }
+    })
+
+    afterEach(function() {
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    it('reads the account\'s history for the period', function() {
+      const range = periodRange('daily', {}, new Date(2026, 9, 19, 10))
+      const at = (hour, fields) => history.record({
+        recorded_at: new Date(2026, 9, 18, hour).toISOString(),
+        outcome: 'posted',
+        article: 'London Breed',
+        editor: 'Example',
+        ...fields
+      }, files)
+
+      at(-1, { account: 'sfedits' }) // The day before
+      at(9, { account: 'sfedits' })
+      at(23, { account: 'sfedits', article: 'Ed Lee' })
+      at(12, { account: 'other' })
+      at(24, { account: 'sfedits' }) // Today
+
+      const digest = buildDigest({ name: 'sfedits' }, range, files)
+      assert.equal(digest.summary.edits, 2)
+      assert.lengthOf(digest.posts, 3)
+    })
+  })
+
+  describe('publishDigest', function() {
+    it('threads the posts on each platform once', async function() {
+      const bluesky = []
+      const mastodon = []
+      const platforms = proxyquire('../lib/platforms', {
+        './bluesky-platform': {
+          postText: async ({ text, replyTo }) => {
+            bluesky.push({ text, replyTo })
+            return { uri: `at://did:plc:fake123/app.bsky.feed.post/${bluesky.length}`, cid: `cid${bluesky.length}` }
+          }
+        },
+        './mastodon-platform': {
+          postText: async ({ text, replyTo }) => {
+            mastodon.push({ text, replyTo })
+            return { data: { id: `${mastodon.length}`, url: `https://m.example/@sfedits/${mastodon.length}` } }
+          }
+        }
+      })
+      const { publishDigest } = proxyquire('../lib/digest', { './platforms': platforms })
+
+      const account = { name: 'digest-test', bluesky: { identifier: 'x' }, mastodon: { instance: 'https://m.example' } }
+      const digest = { range: periodRange('daily', {}, new Date(2026, 9, 19, 10)), posts: ['one', 'two', 'three'] }
+
+      assert.isTrue(await publishDigest(account, digest))
+
+      assert.deepEqual(bluesky.map(post => post.text), ['one', 'two', 'three'])
+      assert.isUndefined(bluesky[0].replyTo)
+      assert.deepEqual(bluesky[2].replyTo, {
+        root: { uri: 'at://did:plc:fake123/app.bsky.feed.post/1', cid: 'cid1' },
+        parent: { uri: 'at://did:plc:fake123/app.bsky.feed.post/2', cid: 'cid2' }
+      })
+      assert.deepEqual(mastodon.map(post => post.replyTo), [undefined, '1', '2'])
+
+      // Already in the ledger, e.g. after a restart
+      assert.isTrue(await publishDigest(account, digest))
+      assert.lengthOf(bluesky, 3)
+      assert.lengthOf(mastodon, 3)
+    })
+
+    it('finishes a thread that failed partway under its last post', async function() {
+      const texts = []
+      let failAt = 2
+      const platforms = proxyquire('../lib/platforms', {
+        './mastodon-platform': {
+          postText: async ({ text, replyTo }) => {
+            if (texts.length === failAt) throw new Error('Mastodon is down')
+            texts.push({ text, replyTo })
+            return { data: { id: `${texts.length}`, url: `https://m.example/@sfedits/${texts.length}` } }
+          }
+        }
+      })
+      const { publishDigest } = proxyquire('../lib/digest', { './platforms': platforms })
+
+      const account = { name: 'digest-resume-test', mastodon: { instance: 'https://m.example' } }
+      const digest = { range: periodRange('daily', {}, new Date(2026, 9, 19, 10)), posts: ['one', 'two', 'three'] }
+
+      sinon.stub(console, 'error')
+      assert.isFalse(await publishDigest(account, digest))
+      sinon.restore()
+
+      failAt = null
+      assert.isTrue(await publishDigest(account, digest))
+
+      assert.deepEqual(texts, [
+        { text: 'one', replyTo: undefined },
+        { text: 'two', replyTo: '1' },
+        { text: 'three', replyTo: '2' }
+      ])
+      assert.equal(ledger.find({ type: 'digest', account: 'digest-resume-test' })[0].id, '1')
+    })
+  })
+})
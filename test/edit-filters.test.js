@@ -0,0 +1,72 @@
+const { describe, it } = require('mocha')
+const { assert } = require('chai')
+const { resolveFilters, filterEdit } = require('../lib/edit-filters')
+
+describe('edit filters', function() {
+  const WIKI = 'English Wikipedia'
+
+  function edit(overrides = {}) {
+    return Object.assign({
+      page: 'London Breed',
+      wikipedia: WIKI,
+      namespace: 'article',
+      user: '192.0.2.1',
+      flag: '',
+      delta: 120,
+      robot: false
+    }, overrides)
+  }
+
+  describe('filterEdit', function() {
+    it('posts everything with no filters', function() {
+      assert.isNull(filterEdit(edit({ robot: true, flag: 'MB', delta: 2, namespace: 'talk' })))
+    })
+
+    it('restricts namespaces', function() {
+      const filters = { namespaces: ['article'] }
+      assert.isNull(filterEdit(edit(), filters))
+      assert.match(filterEdit(edit({ namespace: 'talk' }), filters), /namespace talk/)
+    })
+
+    it('skips bot and minor edits', function() {
+      assert.equal(filterEdit(edit({ robot: true }), { exclude_bots: true }), 'bot edit')
+      assert.equal(filterEdit(edit({ flag: 'M' }), { exclude_minor: true }), 'minor edit')
+      assert.equal(filterEdit(edit({ minor: true }), { exclude_minor: true }), 'minor edit')
+    })
+
+    it('skips small changes in either direction', function() {
+      const filters = { min_delta: 10 }
+      assert.match(filterEdit(edit({ delta: 2 }), filters), /size change 2 below 10/)
+      assert.match(filterEdit(edit({ delta: -9 }), filters), /size change -9/)
+      assert.isNull(filterEdit(edit({ delta: -10 }), filters))
+      assert.isNull(filterEdit(edit({ delta: null }), filters))
+    })
+
+    it('skips excluded editors', function() {
+      const filters = { exclude_editors: ['ClueBot_NG', '192.0.2.1'] }
+      assert.match(filterEdit(edit(), filters), /excluded editor/)
+      assert.match(filterEdit(edit({ user: 'ClueBot NG' }), filters), /excluded editor/)
+      assert.isNull(filterEdit(edit({ user: 'Example' }), filters))
+    })
+  })
+
+  describe('resolveFilters', function() {
+    it('merges page filters over account filters', function() {
+      const account = {
+        filters: { exclude_bots: true, min_delta: 10 },
+        watchlist: {
+          [WIKI]: {
+            'London Breed': { filters: { min_delta: 0 } },
+            'Muni*': { exclude: ['Munich'], filters: { namespaces: ['article'] } },
+            'Ed Lee': true
+          }
+        }
+      }
+
+      assert.deepEqual(resolveFilters(account, WIKI, 'London Breed'), { exclude_bots: true, min_delta: 0 })
+      assert.deepEqual(resolveFilters(account, WIKI, 'Muni Metro'), { exclude_bots: true, min_delta: 10, namespaces: ['article'] })
+      assert.deepEqual(resolveFilters(account, WIKI, 'Ed Lee'), { exclude_bots: true, min_delta: 10 })
+      assert.deepEqual(resolveFilters({}, WIKI, 'Ed Lee'), {})
+    })
+  })
+})
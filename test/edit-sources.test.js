@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createEditSource, createEventStreamsSource, createReplaySource, recordEdit } = require('../lib/edit-sources')
+
+describe('edit sources', function() {
+  let tmpDir
+  let file
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-replay-'))
+    file = path.join(tmpDir, 'edits.jsonl')
+  })
+
+  afterEach(function() {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('createEditSource', function() {
+    it('defaults to IRC', function() {
+      assert.equal(createEditSource({ nick: 'sfedits' }).name, 'irc')
+    })
+
+    it('selects EventStreams from config', function() {
+      assert.equal(createEditSource({ source: 'eventstreams' }).name, 'eventstreams')
+    })
+
+    it('prefers a replay file over the configured source', function() {
+      assert.equal(createEditSource({ source: 'eventstreams' }, { replay: file }).name, 'replay')
+    })
+
+    it('resumes EventStreams only from a saved event ID', function() {
+      const lastEventIdFile = path.join(tmpDir, 'last-event-id')
+      assert.isFalse(createEventStreamsSource({ lastEventIdFile }).resumes)
+
+      fs.writeFileSync(lastEventIdFile, '[{"topic":"eqiad.mediawiki.recentchange","offset":1}]')
+      assert.isTrue(createEventStreamsSource({ lastEventIdFile }).resumes)
+      assert.isFalse(createEditSource({ nick: 'sfedits' }).resumes)
+    })
+
+    it('throws on an unknown source', function() {
+      assert.throws(() => createEditSource({ source: 'carrier-pigeon' }), /Unknown edit source/)
+    })
+  })
+
+  describe('replay source', function() {
+    it('delivers recorded edits in order and waits for each one', async function() {
+      fs.writeFileSync(file, [
+        JSON.stringify({ page: 'London Breed', user: 'A' }),
+        'not json',
+        '',
+        JSON.stringify({ page: 'Daniel Lurie', user: 'B' })
+      ].join('\n'))
+
+      const seen = []
+      await createReplaySource({ file }).listen(async edit => {
+        await new Promise(r => setTimeout(r, 5))
+        seen.push(edit.page)
+      })
+
+      assert.deepEqual(seen, ['London Breed', 'Daniel Lurie'])
+    })
+
+    it('reproduces gaps between edits in realtime mode', async function() {
+      fs.writeFileSync(file, [
+        JSON.stringify({ page: 'A', timestamp: '2026-03-01T12:00:00.000Z' }),
+        JSON.stringify({ page: 'B', timestamp: '2026-03-01T12:00:05.000Z' })
+      ].join('\n'))
+
+      const started = Date.now()
+      await createReplaySource({ file, realtime: true, speed: 100 }).listen(() => {})
+
+      // 5 seconds at 100x is 50ms
+      assert.isAtLeast(Date.now() - started, 45)
+    })
+
+    it('stops when closed', async function() {
+      fs.writeFileSync(file, [
+        JSON.stringify({ page: 'A', timestamp: 0 }),
+        JSON.stringify({ page: 'B', timestamp: 60 * 60 * 1000 })
+      ].join('\n'))
+
+      const source = createReplaySource({ file, realtime: true })
+      const seen = []
+      const done = source.listen(edit => {
+        seen.push(edit.page)
+        setImmediate(() => source.close())
+      })
+
+      await done
+      assert.deepEqual(seen, ['A'])
+    })
+  })
+
+  describe('recordEdit', function() {
+    it('writes edits that replay back unchanged', async function() {
+      recordEdit(file, { page: 'London Breed', user: '192.0.2.1' })
+      recordEdit(file, { page: 'Daniel Lurie', user: 'B', timestamp: '2026-03-01T12:00:00Z' })
+
+      const seen = []
+      await createReplaySource({ file }).listen(edit => seen.push(edit))
+
+      assert.equal(seen.length, 2)
+      assert.equal(seen[0].page, 'London Breed')
+      assert.isString(seen[0].timestamp, 'IRC edits are stamped with the time received')
+      assert.equal(seen[1].timestamp, '2026-03-01T12:00:00Z')
+    })
+  })
+})
@@ -0,0 +1,223 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+const { getSettings, trackEdit } = require('../lib/edit-war')
+
+const START = new Date('2026-10-19T18:00:00Z').getTime()
+
+function edit(minute, user, page = 'London Breed') {
+  return {
+    page,
+    wikipedia: 'English Wikipedia',
+    user,
+    url: `https://en.wikipedia.org/w/index.php?diff=${9500 + minute}&oldid=${9499 + minute}`,
+    timestamp: new Date(START + minute * 60 * 1000).toISOString()
+  }
+}
+
+// Answers the revert lookup for edit(minute): its tags, and its and its parent's SHA1s
+function revision(minute, { tags = [], sha1 = `sha-${minute}`, parentSha1 = `sha-${minute - 1}` } = {}) {
+  nock('https://en.wikipedia.org')
+    .get('/w/api.php')
+    .query(q => q.revids === `${9500 + minute}|${9499 + minute}`)
+    .reply(200, {
+      query: {
+        pages: [{
+          pageid: 1,
+          title: 'London Breed',
+          revisions: [
+            { revid: 9499 + minute, sha1: parentSha1, tags: [] },
+            { revid: 9500 + minute, sha1, tags }
+          ]
+        }]
+      }
+    })
+}
+
+const UNDO = { tags: ['mw-undo'] }
+
+describe('edit war detection', function() {
+  let tmpDir
+  let file
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-edit-war-'))
+    file = path.join(tmpDir, 'edit-wars.json')
+  })
+
+  afterEach(function() {
+    sinon.restore()
+    nock.cleanAll()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('getSettings', function() {
+    it('fills in defaults', function() {
+      assert.isNull(getSettings({}))
+      assert.deepEqual(getSettings({ edit_war: true }), { reverts: 3, editors: 5, window_minutes: 60 })
+      assert.equal(getSettings({ edit_war: { reverts: 2 } }).reverts, 2)
+    })
+  })
+
+  describe('trackEdit', function() {
+    const account = { name: 'edit-war-test', edit_war: { reverts: 3, editors: 4, window_minutes: 30 } }
+
+    async function track(minute, user, signals, options = {}) {
+      revision(minute, signals)
+      return trackEdit(options.account || account, edit(minute, user, options.page), { file: options.file || file, noop: options.noop })
+    }
+
+    it('does nothing unless configured', async function() {
+      assert.isNull(await trackEdit({}, edit(0, 'A'), { file }))
+    })
+
+    it('starts a war after enough tagged reverts within the window', async function() {
+      assert.isNull((await track(0, 'A')).status)
+      assert.isNull((await track(1, 'B', UNDO)).status)
+      assert.isNull((await track(2, 'A', UNDO)).status)
+
+      const war = await track(3, 'B', { tags: ['mw-rollback'] })
+      assert.equal(war.status, 'started')
+      assert.equal(war.reverts, 3)
+      assert.equal(war.editors, 2)
+      assert.equal(war.since, edit(3).timestamp)
+
+      assert.equal((await track(4, 'A', { tags: ['mw-manual-revert'] })).status, 'ongoing')
+    })
+
+    it('counts content restored to before a recent edit as a revert', async function() {
+      await track(0, 'A', { sha1: 'added', parentSha1: 'original' })
+      const result = await track(1, 'B', { sha1: 'original', parentSha1: 'added' })
+
+      assert.equal(result.reverts, 1)
+    })
+
+    it('counts a failed lookup as an ordinary edit', async function() {
+      sinon.stub(console, 'error')
+      nock('https://en.wikipedia.org').get('/w/api.php').query(true).reply(500)
+
+      const result = await trackEdit(account, edit(0, 'A'), { file })
+      assert.equal(result.edits, 1)
+      assert.equal(result.reverts, 0)
+    })
+
+    it('starts a war when enough editors pile in', async function() {
+      for (const [i, user] of ['A', 'B', 'C'].entries()) {
+        assert.isNull((await track(i, user)).status)
+      }
+      assert.equal((await track(3, 'D')).status, 'started')
+    })
+
+    it('ends the war once the window holds too few reverts', async function() {
+      for (let minute = 0; minute < 3; minute++) {
+        await track(minute, minute % 2 ? 'A' : 'B', UNDO)
+      }
+
+      const calm = await track(45, 'C')
+      assert.equal(calm.status, 'ended')
+      assert.equal(calm.edits, 1)
+      assert.isNull(calm.since)
+    })
+
+    it('forgets pages whose edits have left the window', async function() {
+      await track(0, 'A', UNDO, { page: 'Daniel Lurie' })
+      await track(1, 'B', UNDO)
+      await track(2, 'A', UNDO)
+      await track(3, 'B', UNDO)
+
+      const pages = Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))
+      assert.deepEqual(pages, ['edit-war-test|English Wikipedia|Daniel Lurie', 'edit-war-test|English Wikipedia|London Breed'])
+
+      // A war elsewhere later on saves the state without them
+      for (const minute of [40, 41, 42]) {
+        await track(minute, minute % 2 ? 'C' : 'D', UNDO, { page: 'Ed Lee' })
+      }
+
+      assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['edit-war-test|English Wikipedia|Ed Lee'])
+    })
+
+    it('saves ordinary edits at most every 30 seconds, and wars right away', async function() {
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+
+      await track(0, 'A', UNDO)
+      await track(1, 'B', UNDO)
+      assert.isFalse(fs.existsSync(file))
+
+      clock.tick(30 * 1000)
+      assert.lengthOf(JSON.parse(fs.readFileSync(file, 'utf8'))['edit-war-test|English Wikipedia|London Breed'].events, 2)
+
+      await track(2, 'A', UNDO)
+      assert.isNotNull(JSON.parse(fs.readFileSync(file, 'utf8'))['edit-war-test|English Wikipedia|London Breed'].since)
+    })
+
+    it('leaves the state file alone under --noop', async function() {
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+
+      await track(0, 'A', UNDO, { noop: true })
+      await track(1, 'B', UNDO, { noop: true })
+      assert.equal((await track(2, 'A', UNDO, { noop: true })).status, 'started')
+
+      clock.tick(30 * 1000)
+      assert.isFalse(fs.existsSync(file))
+    })
+
+    it('remembers recent edits and wars across restarts', async function() {
+      await track(0, 'A', UNDO)
+      await track(1, 'B', UNDO)
+      await track(2, 'A', UNDO)
+
+      const restarted = proxyquire('../lib/edit-war', {})
+      revision(3, UNDO)
+      assert.equal((await restarted.trackEdit(account, edit(3, 'B'), { file })).status, 'ongoing')
+    })
+  })
+
+  describe('bot integration', function() {
+    it('alerts once and posts one summary instead of each edit', async function() {
+      const posts = []
+      const summaries = []
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/platforms': proxyquire('../lib/platforms', {
+          './bluesky-platform': {
+            post: async options => posts.push(options),
+            postText: async ({ text }) => {
+              summaries.push(text)
+              return { uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2', cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' }
+            }
+          }
+        })
+      })
+
+      const account = {
+        name: 'edit-war-integration',
+        bluesky: { identifier: 'x' },
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        template: '{{page}} edited {{&url}}',
+        edit_war: { reverts: 2, editors: 10, post: true }
+      }
+
+      // Edits before the war are posted as usual (stopped by screening here)
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).times(2).reply(200, '<html></html>')
+
+      revision(0)
+      revision(1, UNDO)
+      revision(2, UNDO)
+      revision(3, UNDO)
+
+      await pageWatch.inspect(account, edit(0, 'A'))
+      await pageWatch.inspect(account, edit(1, 'B'))
+      await pageWatch.inspect(account, edit(2, 'A'))
+      await pageWatch.inspect(account, edit(3, 'B'))
+
+      assert.deepEqual(summaries, [
+        'Edit war in progress on London Breed: 3 edits by 2 editors in the last 60 minutes, 2 of them reverts https://en.wikipedia.org/wiki/London%20Breed'
+      ])
+      assert.isEmpty(posts)
+    })
+  })
+})
@@ -0,0 +1,201 @@
+/**
+ * EventStreams edit source tests
+ *
+ * Runs the SSE client against a local stand-in for stream.wikimedia.org so the
+ * reconnect/resume behavior can be exercised offline.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { listen, toEdit, createParser } = require('../lib/eventstreams')
+
+function recentChange(overrides = {}) {
+  return Object.assign({
+    meta: { domain: 'en.wikipedia.org', dt: '2026-03-01T12:00:00Z' },
+    type: 'edit',
+    namespace: 0,
+    title: 'London Breed',
+    comment: 'copyedit',
+    user: '192.0.2.1',
+    bot: false,
+    minor: false,
+    patrolled: false,
+    length: { old: 1000, new: 1012 },
+    revision: { old: 456, new: 789 },
+    server_url: 'https://en.wikipedia.org',
+    server_name: 'en.wikipedia.org',
+    server_script_path: '/w',
+    wiki: 'enwiki'
+  }, overrides)
+}
+
+function sseEvent(id, change) {
+  return `event: message\nid: ${id}\ndata: ${JSON.stringify(change)}\n\n`
+}
+
+describe('EventStreams edit source', function() {
+  describe('toEdit', function() {
+    it('converts a recentchange edit to the wikichanges edit shape', function() {
+      const edit = toEdit(recentChange())
+
+      assert.equal(edit.wikipedia, 'English Wikipedia')
+      assert.equal(edit.page, 'London Breed')
+      assert.equal(edit.user, '192.0.2.1')
+      assert.equal(edit.url, 'https://en.wikipedia.org/w/index.php?diff=789&oldid=456')
+      assert.equal(edit.delta, 12)
+      assert.equal(edit.namespace, 'article')
+      assert.isTrue(edit.anonymous)
+      assert.isTrue(edit.unpatrolled)
+      assert.isFalse(edit.robot)
+    })
+
+    it('sets flags for new pages, minor and bot edits', function() {
+      const edit = toEdit(recentChange({ type: 'new', bot: true, minor: true, user: 'SomeBot' }))
+
+      assert.equal(edit.url, 'https://en.wikipedia.org/w/index.php?oldid=789')
+      assert.include(edit.flag, 'N')
+      assert.include(edit.flag, 'M')
+      assert.include(edit.flag, 'B')
+      assert.isTrue(edit.newPage)
+      assert.isFalse(edit.anonymous)
+    })
+
+    it('normalizes namespaces like wikichanges', function() {
+      const edit = toEdit(recentChange({ title: 'Talk:London Breed', namespace: 1 }))
+      assert.equal(edit.namespace, 'talk')
+    })
+
+    it('ignores events that are not page edits', function() {
+      assert.isNull(toEdit(recentChange({ type: 'log' })))
+      assert.isNull(toEdit(recentChange({ type: 'categorize' })))
+    })
+  })
+
+  describe('createParser', function() {
+    it('reassembles events split across chunks', function() {
+      const events = []
+      const feed = createParser(event => events.push(event))
+
+      feed('event: message\nid: [{"offset":1}]\nda')
+      feed('ta: {"a":1}\n')
+      feed('\n: keepalive comment\n\nid: [{"offset":2}]\ndata: line one\ndata: line two\n\n')
+
+      assert.equal(events.length, 2)
+      assert.deepEqual(events[0], { id: '[{"offset":1}]', event: 'message', data: '{"a":1}' })
+      assert.equal(events[1].data, 'line one\nline two')
+    })
+  })
+
+  describe('listen', function() {
+    let server
+    let tmpDir
+    let stream
+    let requests
+
+    beforeEach(function(done) {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-eventstreams-'))
+      requests = []
+
+      // Stand-in for stream.wikimedia.org: first connection sends two events and
+      // drops, later connections send one more event and stay open
+      server = http.createServer((req, res) => {
+        requests.push(req.headers)
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        if (requests.length === 1) {
+          res.write(sseEvent('[{"offset":1}]', recentChange()))
+          res.write(sseEvent('[{"offset":2}]', recentChange({ type: 'log' })))
+          res.end()
+        } else {
+          res.write(sseEvent('[{"offset":3}]', recentChange({ title: 'Daniel Lurie' })))
+        }
+      })
+      server.listen(0, '127.0.0.1', done)
+    })
+
+    afterEach(function(done) {
+      if (stream) stream.close()
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+      server.closeAllConnections()
+      server.close(done)
+    })
+
+    it('delivers edits and resumes from the last saved event ID', function(done) {
+      const lastEventIdFile = path.join(tmpDir, 'last-event-id')
+      const pages = []
+
+      stream = listen({
+        url: `http://127.0.0.1:${server.address().port}/v2/stream/recentchange`,
+        lastEventIdFile,
+        reconnectDelay: 10,
+        onEdit: edit => {
+          pages.push(edit.page)
+          if (pages.length === 2) {
+            try {
+              assert.deepEqual(pages, ['London Breed', 'Daniel Lurie'])
+              assert.isUndefined(requests[0]['last-event-id'])
+              assert.equal(requests[1]['last-event-id'], '[{"offset":2}]')
+              done()
+            } catch (error) {
+              done(error)
+            }
+          }
+        }
+      })
+    })
+
+    it('sends a previously saved event ID on the first connection', function(done) {
+      const lastEventIdFile = path.join(tmpDir, 'last-event-id')
+      fs.writeFileSync(lastEventIdFile, '[{"offset":41}]')
+
+      stream = listen({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        lastEventIdFile,
+        reconnectDelay: 10,
+        onEdit: () => {
+          if (requests.length !== 1) return
+          // The event ID is saved once the edit has been handed off
+          setImmediate(() => {
+            try {
+              assert.equal(requests[0]['last-event-id'], '[{"offset":41}]')
+              assert.match(fs.readFileSync(lastEventIdFile, 'utf8'), /^\[{"offset":[12]}\]$/)
+              done()
+            } catch (error) {
+              done(error)
+            }
+          })
+        }
+      })
+    })
+
+    it('saves the event ID at most every saveInterval, and on close', function(done) {
+      const lastEventIdFile = path.join(tmpDir, 'last-event-id')
+
+      stream = listen({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        lastEventIdFile,
+        reconnectDelay: 10,
+        saveInterval: 60 * 1000,
+        onEdit: edit => {
+          if (edit.page !== 'Daniel Lurie') return
+          setImmediate(() => {
+            try {
+              // Resumed from the ID held in memory, not the one on disk
+              assert.equal(requests[1]['last-event-id'], '[{"offset":2}]')
+              assert.equal(fs.readFileSync(lastEventIdFile, 'utf8'), '[{"offset":1}]')
+
+              stream.close()
+              assert.equal(fs.readFileSync(lastEventIdFile, 'utf8'), '[{"offset":3}]')
+              done()
+            } catch (error) {
+              done(error)
+            }
+          })
+        }
+      })
+    })
+  })
+})
@@ -0,0 +1,228 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const feed = require('../lib/feed')
+
+const edit = {
+  page: 'London Breed',
+  user: '192.0.2.1',
+  wikipedia: 'English Wikipedia',
+  url: 'https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900',
+  timestamp: '2026-03-02T18:00:00Z'
+}
+
+const statusData = {
+  pageUrl: 'https://en.wikipedia.org/wiki/London_Breed',
+  userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1'
+}
+
+const TEXT = 'London Breed edited by 192.0.2.1 https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900'
+
+describe('feed', function() {
+  let tmpDir
+  let files
+  let screenshot
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-feed-'))
+    files = { file: path.join(tmpDir, 'feed.jsonl'), dir: path.join(tmpDir, 'screenshots') }
+    screenshot = path.join(tmpDir, 'screenshot-1.png')
+    fs.writeFileSync(screenshot, 'fake image data')
+  })
+
+  afterEach(function() {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('record', function() {
+    it('stores the post and a copy of its screenshot', function() {
+      const stored = feed.record({ account: 'sfedits', edit, statusData, text: TEXT, screenshot }, files)
+
+      assert.equal(stored.screenshot, 'en.wikipedia.org-9901.png')
+      assert.equal(fs.readFileSync(path.join(files.dir, stored.screenshot), 'utf8'), 'fake image data')
+
+      const [item] = feed.recent(50, files.file)
+      assert.include(item, {
+        account: 'sfedits',
+        article: 'London Breed',
+        article_url: statusData.pageUrl,
+        editor: '192.0.2.1',
+        editor_url: statusData.userUrl,
+        diff_url: edit.url,
+        edited_at: edit.timestamp,
+        text: TEXT
+      })
+    })
+
+    it('records posts whose screenshot is gone without one', function() {
+      const stored = feed.record({ edit, statusData, text: TEXT, screenshot: path.join(tmpDir, 'missing.png') }, files)
+
+      assert.isNull(stored.screenshot)
+      assert.isFalse(fs.existsSync(files.dir))
+    })
+
+    it('creates the data directory if it does not exist', function() {
+      const file = path.join(tmpDir, 'missing', 'feed.jsonl')
+      feed.record({ edit, statusData, text: TEXT, screenshot }, { file, dir: files.dir })
+
+      assert.lengthOf(feed.recent(50, file), 1)
+    })
+
+    it('keeps only the most recent posts', function() {
+      const old = Array.from({ length: feed.KEEP_ITEMS * 2 - 1 }, (_, i) => JSON.stringify({ article: `Page ${i}` }))
+      fs.writeFileSync(files.file, old.join('\n') + '\n')
+
+      feed.record({ edit, statusData, text: TEXT }, files)
+
+      const items = feed.recent(Infinity, files.file)
+      assert.lengthOf(items, feed.KEEP_ITEMS)
+      assert.equal(items[0].article, 'London Breed')
+      assert.equal(items[items.length - 1].article, `Page ${feed.KEEP_ITEMS}`)
+    })
+  })
+
+  describe('recent', function() {
+    it('lists the newest posts first, up to the limit', function() {
+      for (let rev = 1; rev <= 3; rev++) {
+        feed.record({ edit: { ...edit, url: `https://en.wikipedia.org/w/index.php?diff=${rev}&oldid=0` }, statusData, text: TEXT }, files)
+      }
+      fs.appendFileSync(files.file, '{"posted_at":')
+
+      const items = feed.recent(2, files.file)
+      assert.deepEqual(items.map(item => item.diff_url), [
+        'https://en.wikipedia.org/w/index.php?diff=3&oldid=0',
+        'https://en.wikipedia.org/w/index.php?diff=2&oldid=0'
+      ])
+    })
+
+    it('is empty before anything is posted', function() {
+      assert.deepEqual(feed.recent(50, files.file), [])
+    })
+  })
+
+  describe('screenshotPath', function() {
+    it('only resolves feed screenshot names', function() {
+      assert.equal(feed.screenshotPath('en.wikipedia.org-9901.png', files.dir), path.join(files.dir, 'en.wikipedia.org-9901.png'))
+      assert.isNull(feed.screenshotPath('../config.json', files.dir))
+      assert.isNull(feed.screenshotPath('..%2Fsecret.png', files.dir))
+    })
+  })
+
+  describe('buildAtom', function() {
+    it('renders entries with links, author and escaped HTML content', function() {
+      feed.record({ edit, statusData, text: TEXT, screenshot }, files)
+      const xml = feed.buildAtom(feed.recent(50, files.file), { baseUrl: 'https://admin.example.org', title: 'SF Edits & more' })
+
+      assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/)
+      assert.include(xml, '<title>SF Edits &amp; more</title>')
+      assert.include(xml, '<link rel="self" type="application/atom+xml" href="https://admin.example.org/feed.atom"/>')
+      assert.include(xml, '<title>London Breed edited by 192.0.2.1</title>')
+      assert.include(xml, '<id>https://en.wikipedia.org/w/index.php?diff=9901&amp;oldid=9900</id>')
+      assert.include(xml, `<link rel="related" href="${statusData.pageUrl}" title="London Breed"/>`)
+      assert.include(xml, '<link rel="enclosure" type="image/png" href="https://admin.example.org/feed/screenshots/en.wikipedia.org-9901.png"/>')
+      assert.include(xml, `<author><name>192.0.2.1</name><uri>${statusData.userUrl}</uri></author>`)
+      assert.include(xml, `&lt;a href=&quot;${statusData.pageUrl}&quot;&gt;London Breed&lt;/a&gt;`)
+      assert.include(xml, '&lt;img src=&quot;https://admin.example.org/feed/screenshots/en.wikipedia.org-9901.png&quot;')
+    })
+  })
+
+  describe('buildJsonFeed', function() {
+    it('renders items with text, HTML and the screenshot', function() {
+      feed.record({ edit, statusData, text: TEXT, screenshot }, files)
+      const doc = feed.buildJsonFeed(feed.recent(50, files.file), { baseUrl: 'https://admin.example.org' })
+
+      assert.equal(doc.version, 'https://jsonfeed.org/version/1.1')
+      assert.equal(doc.title, 'SF Edits')
+      assert.equal(doc.feed_url, 'https://admin.example.org/feed.json')
+
+      const [item] = doc.items
+      assert.equal(item.id, edit.url)
+      assert.equal(item.external_url, statusData.pageUrl)
+      assert.equal(item.content_text, TEXT)
+      assert.include(item.content_html, `<a href="${statusData.userUrl}">192.0.2.1</a>`)
+      assert.equal(item.image, 'https://admin.example.org/feed/screenshots/en.wikipedia.org-9901.png')
+      assert.deepEqual(item.authors, [{ name: '192.0.2.1', url: statusData.userUrl }])
+      assert.equal(item._sfedits.article, 'London Breed')
+    })
+  })
+
+  describe('admin routes', function() {
+    const publicUrl = 'https://edits.example.org'
+    let server
+    let baseUrl
+    let items
+    let configDir
+    let configPath
+
+    before(function(done) {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-feed-config-'))
+      configPath = path.join(configDir, 'config.json')
+      process.env.CONFIG_PATH = configPath
+
+      const app = proxyquire('../admin/server', {
+        '../lib/feed': {
+          ...feed,
+          recent: () => items,
+          screenshotPath: name => feed.screenshotPath(name, files.dir)
+        }
+      })
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`
+        done()
+      })
+    })
+
+    after(function(done) {
+      delete process.env.CONFIG_PATH
+      fs.rmSync(configDir, { recursive: true, force: true })
+      server.close(done)
+    })
+
+    beforeEach(function() {
+      fs.writeFileSync(configPath, JSON.stringify({ accounts: [{ feed: { base_url: `${publicUrl}/` } }] }))
+      feed.record({ edit, statusData, text: TEXT, screenshot }, files)
+      items = feed.recent(50, files.file)
+    })
+
+    it('serves the Atom feed without authentication', async function() {
+      const response = await fetch(`${baseUrl}/feed.atom`)
+
+      assert.equal(response.status, 200)
+      assert.match(response.headers.get('content-type'), /^application\/atom\+xml/)
+      assert.include(await response.text(), `${publicUrl}/feed/screenshots/en.wikipedia.org-9901.png`)
+    })
+
+    it('builds links from base_url, never the Host header', async function() {
+      const response = await fetch(`${baseUrl}/feed.json`, { headers: { Host: 'evil.example.com' } })
+
+      assert.equal((await response.json()).feed_url, `${publicUrl}/feed.json`)
+    })
+
+    it('serves no feeds without a base_url', async function() {
+      fs.writeFileSync(configPath, JSON.stringify({ accounts: [{}] }))
+
+      assert.equal((await fetch(`${baseUrl}/feed.atom`)).status, 404)
+      assert.equal((await fetch(`${baseUrl}/feed.json`)).status, 404)
+    })
+
+    it('serves the JSON feed without authentication', async function() {
+      const response = await fetch(`${baseUrl}/feed.json`)
+
+      assert.equal(response.status, 200)
+      assert.match(response.headers.get('content-type'), /^application\/feed\+json/)
+      assert.equal((await response.json()).items[0].id, edit.url)
+    })
+
+    it('serves feed screenshots', async function() {
+      const found = await fetch(`${baseUrl}/feed/screenshots/en.wikipedia.org-9901.png`)
+      assert.equal(found.status, 200)
+      assert.equal(await found.text(), 'fake image data')
+
+      const missing = await fetch(`${baseUrl}/feed/screenshots/en.wikipedia.org-1.png`)
+      assert.equal(missing.status, 404)
+    })
+  })
+})
@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const history = require('../lib/history')
+
+const DIFF = 'https://en.wikipedia.org/w/index.php?diff=9301&oldid=9300'
+
+function waitFor(check, timeout = 1000) {
+  const start = Date.now()
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve()
+      if (Date.now() - start > timeout) return reject(new Error('timed out'))
+      setTimeout(poll, 5)
+    }
+    poll()
+  })
+}
+
+describe('edit history', function() {
+  let tmpDir
+  let files
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-history-'))
+    files = {
+      file: path.join(tmpDir, 'history.jsonl'),
+      indexFile: path.join(tmpDir, 'history-index.json')
+    }
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  function seed() {
+    history.record({ recorded_at: '2026-03-01T10:00:00.000Z', outcome: 'posted', article: 'London Breed', editor: '192.0.2.1' }, files)
+    history.record({ recorded_at: '2026-03-01T11:00:00.000Z', outcome: 'blocked', article: 'Ed Lee', editor: 'Example' }, files)
+    history.record({ recorded_at: '2026-03-02T09:00:00.000Z', outcome: 'filtered', article: 'London Breed', editor: 'Example' }, files)
+    history.record({ recorded_at: '2026-03-03T09:00:00.000Z', outcome: 'posted', article: 'Daniel Lurie', editor: '192.0.2.1' }, files)
+  }
+
+  describe('record', function() {
+    it('appends records and indexes the first of each day', function() {
+      seed()
+
+      const lines = fs.readFileSync(files.file, 'utf8').trim().split('\n')
+      assert.lengthOf(lines, 4)
+
+      const index = JSON.parse(fs.readFileSync(files.indexFile, 'utf8'))
+      assert.deepEqual(Object.keys(index), ['2026-03-01', '2026-03-02', '2026-03-03'])
+      assert.equal(index['2026-03-01'], 0)
+      assert.equal(index['2026-03-02'], Buffer.byteLength(lines[0]) + Buffer.byteLength(lines[1]) + 2)
+    })
+
+    it('adds a timestamp', function() {
+      const stored = history.record({ outcome: 'posted' }, files)
+      assert.isString(stored.recorded_at)
+    })
+  })
+
+  describe('find', function() {
+    beforeEach(seed)
+
+    it('returns records newest first', function() {
+      const records = history.find({}, files)
+      assert.deepEqual(records.map(r => r.article), ['Daniel Lurie', 'London Breed', 'Ed Lee', 'London Breed'])
+    })
+
+    it('filters by article and editor, ignoring case', function() {
+      assert.lengthOf(history.find({ article: 'london breed' }, files), 2)
+      assert.deepEqual(history.find({ article: 'London Breed', editor: 'example' }, files).map(r => r.outcome), ['filtered'])
+    })
+
+    it('filters by date range and outcome', function() {
+      const query = history.parseQuery({ from: '2026-03-01T10:30:00Z', to: '2026-03-02' })
+      assert.deepEqual(history.find(query, files).map(r => r.outcome), ['filtered', 'blocked'])
+
+      assert.lengthOf(history.find(history.parseQuery({ outcome: 'posted,blocked' }), files), 3)
+    })
+
+    it('starts reading at the indexed day', function() {
+      // Anything before the day's offset isn't read at all
+      const index = JSON.parse(fs.readFileSync(files.indexFile, 'utf8'))
+      const fd = fs.openSync(files.file, 'r+')
+      fs.writeSync(fd, 'x'.repeat(index['2026-03-02'] - 1), 0)
+      fs.closeSync(fd)
+
+      const records = history.find(history.parseQuery({ from: '2026-03-02' }), files)
+      assert.deepEqual(records.map(r => r.article), ['Daniel Lurie', 'London Breed'])
+    })
+
+    it('limits the number of records', function() {
+      assert.deepEqual(history.find({ limit: 1 }, files).map(r => r.article), ['Daniel Lurie'])
+    })
+  })
+
+  describe('parseQuery', function() {
+    it('reads a whole day for a date-only end', function() {
+      assert.equal(history.parseQuery({ to: '2026-03-02' }).to, '2026-03-02T23:59:59.999Z')
+      assert.equal(history.parseQuery({ from: '2026-03-02' }).from, '2026-03-02T00:00:00.000Z')
+    })
+
+    it('rejects bad parameters', function() {
+      assert.throws(() => history.parseQuery({ outcome: 'posted,lost' }), /Unknown outcome: lost/)
+      assert.throws(() => history.parseQuery({ from: 'yesterday' }), /Invalid from date/)
+      assert.throws(() => history.parseQuery({ limit: '0' }), /Invalid limit/)
+    })
+  })
+
+  describe('bot integration', function() {
+    let records
+    let screenshotPath
+
+    beforeEach(function() {
+      records = []
+      screenshotPath = path.join(tmpDir, 'shot.png')
+      fs.writeFileSync(screenshotPath, 'png')
+    })
+
+    function loadPageWatch(stubs = {}) {
+      return proxyquire('../page-watch', {
+        './lib/history': { record: entry => records.push(entry) },
+        './lib/screenshot': { takeScreenshot: async () => screenshotPath },
+        './lib/geolocation': { getCountryCode: async () => 'US', enrichIPsInText: async text => text },
+        ...stubs
+      })
+    }
+
+    const edit = {
+      url: DIFF,
+      page: 'London Breed',
+      user: '192.0.2.1',
+      anonymous: true,
+      wikipedia: 'English Wikipedia',
+      timestamp: '2026-03-01T10:00:00.000Z'
+    }
+
+    it('records posts with their URIs, screening verdict and timings', async function() {
+      this.timeout(5000)
+
+      const pageWatch = loadPageWatch({
+        './lib/platforms': proxyquire('../lib/platforms', {
+          './bluesky-platform': {
+            post: async () => ({ uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2', cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' })
+          }
+        })
+      })
+      const account = { name: 'history-posted', bluesky: { identifier: 'x' }, pii_blocking: { enabled: false } }
+
+      await pageWatch.sendStatus(account, pageWatch.getStatus(edit, edit.user, '{{page}} edited {{&url}}'), edit)
+      await waitFor(() => records.length === 1)
+
+      const entry = records[0]
+      assert.equal(entry.outcome, 'posted')
+      assert.equal(entry.article, 'London Breed')
+      assert.equal(entry.diff_url, DIFF)
+      assert.equal(entry.pii, 'disabled')
+      assert.equal(entry.geolocation, 'US')
+      assert.equal(entry.posts.bluesky.uri, 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2')
+      assert.equal(entry.timings.edited_at, edit.timestamp)
+      assert.hasAllKeys(entry.timings.steps, ['screen', 'screenshot', 'bluesky'])
+    })
+
+    it('records edits blocked by screening', async function() {
+      const blocked = { ...edit, url: 'https://en.wikipedia.org/w/index.php?diff=9311&oldid=9310' }
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, '<html></html>')
+
+      const pageWatch = loadPageWatch()
+      const account = { name: 'history-blocked', bluesky: { identifier: 'x' } }
+
+      await pageWatch.sendStatus(account, pageWatch.getStatus(blocked, blocked.user, '{{page}} edited {{&url}}'), blocked)
+      await waitFor(() => records.length === 1)
+
+      assert.equal(records[0].outcome, 'blocked')
+      assert.equal(records[0].reason, 'Could not extract diff text')
+      assert.equal(records[0].pii, 'error')
+      assert.deepEqual(records[0].posts, {})
+    })
+
+    it('records matched edits skipped by filters', async function() {
+      const pageWatch = loadPageWatch()
+      const account = {
+        name: 'history-filtered',
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        filters: { exclude_bots: true }
+      }
+
+      await pageWatch.inspect(account, { ...edit, robot: true })
+      await waitFor(() => records.length === 1)
+
+      assert.equal(records[0].outcome, 'filtered')
+      assert.match(records[0].reason, /bot/)
+    })
+
+    it('records matched edits for accounts with nowhere to post', async function() {
+      let screenshots = 0
+      const pageWatch = loadPageWatch({ './lib/screenshot': { takeScreenshot: async () => { screenshots++ } } })
+      const account = { name: 'history-no-platforms' }
+
+      await pageWatch.sendStatus(account, pageWatch.getStatus(edit, edit.user, '{{page}} edited {{&url}}'), edit)
+
+      assert.lengthOf(records, 1)
+      assert.equal(records[0].outcome, 'no_platforms')
+      assert.equal(screenshots, 0)
+    })
+  })
+})
@@ -0,0 +1,57 @@
+const { describe, it } = require('mocha')
+const { assert } = require('chai')
+const { findRange, compileRanges } = require('../lib/ip-ranges')
+const { getStatus } = require('../page-watch')
+
+describe('IP ranges', function() {
+  const ranges = {
+    'SF City Hall': ['192.0.2.0/24', '2001:db8:5f::/48'],
+    'SFPD': [['198.51.100.10', '198.51.100.40'], '203.0.113.7']
+  }
+
+  describe('findRange', function() {
+    it('matches IPv4 CIDR blocks', function() {
+      assert.equal(findRange('192.0.2.15', ranges), 'SF City Hall')
+      assert.isNull(findRange('192.0.3.15', ranges))
+    })
+
+    it('matches IPv6 CIDR blocks', function() {
+      assert.equal(findRange('2001:db8:5f:1::20', ranges), 'SF City Hall')
+      assert.isNull(findRange('2001:db8:60::1', ranges))
+    })
+
+    it('matches anon-style [start, end] pairs and single addresses', function() {
+      assert.equal(findRange('198.51.100.25', ranges), 'SFPD')
+      assert.isNull(findRange('198.51.100.41', ranges))
+      assert.equal(findRange('203.0.113.7', ranges), 'SFPD')
+    })
+
+    it('never matches registered usernames', function() {
+      assert.isNull(findRange('SFPDComms', ranges))
+    })
+
+    it('returns null when no ranges are configured', function() {
+      assert.isNull(findRange('192.0.2.15', undefined))
+    })
+  })
+
+  describe('compileRanges', function() {
+    it('rejects malformed ranges', function() {
+      assert.throws(() => compileRanges({ 'Bad': ['192.0.2.0/33'] }), /Invalid IP range/)
+      assert.throws(() => compileRanges({ 'Bad': ['city hall'] }), /Invalid IP range/)
+      assert.throws(() => compileRanges({ 'Bad': [['192.0.2.1', '2001:db8::1']] }), /Invalid IP range/)
+    })
+  })
+
+  describe('range template', function() {
+    it('names the organization in the post', function() {
+      const edit = { page: 'Muni', url: 'https://en.wikipedia.org/w/index.php?diff=123&oldid=456' }
+      const template = '{{{page}}} edited anonymously from {{{organization}}} ({{{name}}}) {{&url}}'
+
+      const result = getStatus(edit, '192.0.2.15', template, { organization: 'SF City Hall' })
+
+      assert.equal(result.text, 'Muni edited anonymously from SF City Hall (192.0.2.15) https://en.wikipedia.org/w/index.php?diff=123&oldid=456')
+      assert.equal(result.userUrl, 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.15')
+    })
+  })
+})
@@ -0,0 +1,165 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const proxyquire = require('proxyquire')
+const { validateKeywordAlerts, findKeywords } = require('../lib/keyword-alerts')
+const { extractDiffText } = require('../page-watch')
+
+// Trimmed-down MediaWiki diff table: one changed line, one removed, one added
+const DIFF_HTML = `
+<table class="diff">
+  <tr>
+    <td class="diff-marker" data-marker="−"></td>
+    <td class="diff-deletedline diff-side-deleted"><div>Breed was <del class="diffchange">elected</del> in 2018.</div></td>
+    <td class="diff-marker" data-marker="+"></td>
+    <td class="diff-addedline diff-side-added"><div>Breed was <ins class="diffchange">arrested</ins> in 2018.</div></td>
+  </tr>
+  <tr>
+    <td class="diff-marker" data-marker="−"></td>
+    <td class="diff-deletedline diff-side-deleted"><div>Her predecessor died in office.</div></td>
+  </tr>
+  <tr>
+    <td class="diff-marker" data-marker="+"></td>
+    <td class="diff-addedline diff-side-added"><div>She was indicted &amp; released.</div></td>
+  </tr>
+  <tr>
+    <td class="diff-context diff-side-deleted"><div>Mayor of San Francisco, who resigned.</div></td>
+    <td class="diff-context diff-side-added"><div>Mayor of San Francisco, who resigned.</div></td>
+  </tr>
+</table>`
+
+// A typo fixed in a paragraph that already said "died"
+const TYPO_FIX_HTML = `
+<table class="diff">
+  <tr>
+    <td class="diff-marker" data-marker="−"></td>
+    <td class="diff-deletedline diff-side-deleted"><div>Her predecessor died in <del class="diffchange">ofice</del>.</div></td>
+    <td class="diff-marker" data-marker="+"></td>
+    <td class="diff-addedline diff-side-added"><div>Her predecessor died in <ins class="diffchange">office</ins>.</div></td>
+  </tr>
+</table>`
+
+describe('keyword alerts', function() {
+  afterEach(function() {
+    nock.cleanAll()
+  })
+
+  describe('findKeywords', function() {
+    const account = {
+      keyword_alerts: [
+        'arrested',
+        { match: '/\\bindict(ed|ment)\\b/i', hashtag: 'Breaking' },
+        { match: 'died', hashtag: '#Obituary' },
+        'rest'
+      ]
+    }
+
+    it('matches phrases as whole words and regexes', function() {
+      const hits = findKeywords(account, ['Breed was ARRESTED in 2018.', 'She was indicted & released.'])
+
+      assert.deepEqual(hits, [
+        { rule: 'arrested', match: 'ARRESTED', line: 'Breed was ARRESTED in 2018.', hashtag: null },
+        { rule: '/\\bindict(ed|ment)\\b/i', match: 'indicted', line: 'She was indicted & released.', hashtag: '#Breaking' }
+      ])
+    })
+
+    it('finds nothing without rules', function() {
+      assert.isEmpty(findKeywords({}, ['Breed was arrested']))
+    })
+
+    it('rejects invalid rules', function() {
+      assert.throws(() => validateKeywordAlerts({ keyword_alerts: [{ hashtag: 'x' }] }), /"match" is required/)
+      assert.throws(() => validateKeywordAlerts({ keyword_alerts: ['/(/'] }), /Invalid keyword alert/)
+      assert.throws(() => validateKeywordAlerts({ keyword_alerts: 'arrested' }), /must be a list/)
+      assert.doesNotThrow(() => validateKeywordAlerts({ keyword_alerts: ['arrested'] }))
+    })
+  })
+
+  describe('extractDiffText', function() {
+    it('returns only inserted text when asked', async function() {
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, DIFF_HTML)
+
+      const added = await extractDiffText('https://en.wikipedia.org/w/index.php?diff=9701&oldid=9700', { added: true })
+
+      // Just the changed words of a changed line; new lines whole
+      assert.equal(added, 'arrested\nShe was indicted & released.')
+    })
+
+    it('leaves out the unchanged rest of a changed line', async function() {
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, TYPO_FIX_HTML)
+
+      const added = await extractDiffText('https://en.wikipedia.org/w/index.php?diff=9702&oldid=9701', { added: true })
+
+      assert.equal(added, 'office')
+    })
+  })
+
+  describe('bot integration', function() {
+    let dms
+    let jobs
+    let pageWatch
+
+    beforeEach(function() {
+      dms = []
+      jobs = []
+
+      pageWatch = proxyquire('../page-watch', {
+        './lib/platforms': proxyquire('../lib/platforms', {
+          './mastodon-platform': { sendAlert: async alert => dms.push(alert) }
+        }),
+        './lib/post-queue': {
+          createPostQueue: () => ({ enqueue: async job => jobs.push(job) })
+        }
+      })
+    })
+
+    const account = {
+      name: 'keyword-test',
+      mastodon: { access_token: 'token', instance: 'https://m.example' },
+      pii_alerts: { mastodon_recipient: 'operator@m.example' },
+      watchlist: { 'English Wikipedia': { 'London Breed': true } },
+      template: '{{page}} edited {{&url}}',
+      keyword_alerts: ['died', 'resigned', { match: 'arrested', hashtag: 'Breaking' }]
+    }
+
+    const edit = {
+      page: 'London Breed',
+      user: 'Example',
+      wikipedia: 'English Wikipedia',
+      url: 'https://en.wikipedia.org/w/index.php?diff=9711&oldid=9710'
+    }
+
+    it('DMs the operator and tags the post when added text matches', async function() {
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, DIFF_HTML)
+
+      await pageWatch.inspect(account, edit)
+
+      // "died" was removed and "resigned" is unchanged context: neither alerts
+      assert.lengthOf(dms, 1)
+      assert.equal(dms[0].recipient, 'operator@m.example')
+      assert.match(dms[0].text, /^Keyword alert: "arrested" added to London Breed edited by Example https:/)
+
+      assert.lengthOf(jobs, 1)
+      assert.match(jobs[0].statusData.text, / #Breaking$/)
+    })
+
+    it('stays quiet when a changed paragraph already had the phrase', async function() {
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, TYPO_FIX_HTML)
+
+      await pageWatch.inspect(account, { ...edit, url: 'https://en.wikipedia.org/w/index.php?diff=9731&oldid=9730' })
+
+      assert.isEmpty(dms)
+      assert.notMatch(jobs[0].statusData.text, /#/)
+    })
+
+    it('stays quiet when nothing matches', async function() {
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true)
+        .reply(200, '<table><tr><td class="diff-addedline"><div>Updated results.</div></td></tr></table>')
+
+      await pageWatch.inspect(account, { ...edit, url: 'https://en.wikipedia.org/w/index.php?diff=9721&oldid=9720' })
+
+      assert.isEmpty(dms)
+      assert.notMatch(jobs[0].statusData.text, /#/)
+    })
+  })
+})
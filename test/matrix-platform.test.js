@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const http = require('http')
+const nock = require('nock')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const matrix = require('../lib/matrix-platform')
+
+const metadata = {
+  page: 'London Breed',
+  name: 'Example',
+  pageUrl: 'https://en.wikipedia.org/wiki/London_Breed',
+  userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/Example'
+}
+
+const TEXT = 'London Breed edited by Example https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900'
+
+describe('matrix-platform', function() {
+  // Stand-in for a homeserver's client-server and media APIs
+  let server
+  let homeserver
+  let requests
+  let events
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        const body = Buffer.concat(chunks)
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+
+        res.writeHead(req.headers.authorization === 'Bearer syt_test' ? 200 : 401, { 'Content-Type': 'application/json' })
+        if (req.headers.authorization !== 'Bearer syt_test') {
+          return res.end(JSON.stringify({ errcode: 'M_UNKNOWN_TOKEN', error: 'Invalid access token' }))
+        }
+        if (req.url.startsWith('/_matrix/media/v3/upload')) {
+          return res.end(JSON.stringify({ content_uri: 'mxc://example.org/screenshot1' }))
+        }
+        events.push(JSON.parse(body.toString()))
+        res.end(JSON.stringify({ event_id: `$event${events.length}` }))
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      homeserver = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  let screenshot
+  let account
+
+  beforeEach(function() {
+    requests = []
+    events = []
+    account = { homeserver, access_token: 'syt_test', room_id: '!edits:example.org' }
+    screenshot = path.join(os.tmpdir(), `sfedits-matrix-${Date.now()}.png`)
+    fs.writeFileSync(screenshot, 'fake image data')
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+    fs.rmSync(screenshot, { force: true })
+  })
+
+  it('uploads the screenshot and sends it with an HTML caption', async function() {
+    const result = await matrix.post({ account, text: TEXT, screenshot, metadata })
+
+    assert.deepEqual(matrix.toLedger(result), { id: '$event1' })
+
+    assert.equal(requests[0].url, '/_matrix/media/v3/upload?filename=screenshot.png')
+    assert.equal(requests[0].headers['content-type'], 'image/png')
+    assert.equal(requests[0].body.toString(), 'fake image data')
+
+    assert.equal(requests[1].method, 'PUT')
+    assert.match(requests[1].url, /^\/_matrix\/client\/v3\/rooms\/!edits%3Aexample.org\/send\/m.room.message\/sfedits-/)
+
+    const content = events[0]
+    assert.equal(content.msgtype, 'm.image')
+    assert.equal(content.url, 'mxc://example.org/screenshot1')
+    assert.equal(content.filename, 'screenshot.png')
+    assert.deepEqual(content.info, { mimetype: 'image/png', size: 15 })
+    assert.equal(content.body, `London Breed (${metadata.pageUrl}) edited by Example (${metadata.userUrl}) https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900`)
+    assert.equal(content.format, 'org.matrix.custom.html')
+    assert.equal(content.formatted_body,
+      `<a href="${metadata.pageUrl}">London Breed</a> edited by <a href="${metadata.userUrl}">Example</a> ` +
+      '<a href="https://en.wikipedia.org/w/index.php?diff=9901&amp;oldid=9900">https://en.wikipedia.org/w/index.php?diff=9901&amp;oldid=9900</a>')
+  })
+
+  it('replies to events in the ledger', async function() {
+    await matrix.postText({ account, text: 'Reverted by ClueBot NG after 2 minutes', replyTo: matrix.replyTarget({ id: '$event0' }) })
+
+    assert.equal(events[0].msgtype, 'm.text')
+    assert.deepEqual(events[0]['m.relates_to'], { 'm.in_reply_to': { event_id: '$event0' } })
+  })
+
+  it('sends alerts to the recipient room', async function() {
+    await matrix.sendAlert({ account, recipient: '!ops:example.org', text: `PII: ${TEXT}`, metadata })
+
+    assert.match(requests[0].url, /rooms\/!ops%3Aexample.org\/send/)
+    assert.include(events[0].formatted_body, `<a href="${metadata.pageUrl}">London Breed</a>`)
+  })
+
+  it('reports homeserver errors', async function() {
+    try {
+      await matrix.postText({ account: { ...account, access_token: 'expired' }, text: 'Digest' })
+      assert.fail('should have thrown')
+    } catch (error) {
+      assert.match(error.message, /returned 401: M_UNKNOWN_TOKEN Invalid access token/)
+    }
+  })
+
+  describe('bot integration', function() {
+    it('alerts through Matrix without posting there when post is false', async function() {
+      const posts = []
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/post-queue': {
+          createPostQueue: () => ({ enqueue: async job => posts.push(...job.order) })
+        }
+      })
+
+      const alertOnly = {
+        name: 'matrix-alerts',
+        bluesky: { identifier: 'x' },
+        matrix: { homeserver, access_token: 'syt_test', post: false },
+        pii_alerts: { matrix_recipient: '!ops:example.org' },
+        keyword_alerts: ['arrested'],
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        template: '{{page}} edited {{&url}}'
+      }
+
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true)
+        .reply(200, '<table><tr><td class="diff-addedline"><div>Breed was arrested.</div></td></tr></table>')
+
+      await pageWatch.inspect(alertOnly, {
+        page: 'London Breed',
+        user: 'Example',
+        wikipedia: 'English Wikipedia',
+        url: 'https://en.wikipedia.org/w/index.php?diff=9911&oldid=9910'
+      })
+
+      assert.lengthOf(events, 1)
+      assert.match(events[0].body, /^Keyword alert: "arrested" added to London Breed/)
+      assert.match(requests[0].url, /rooms\/!ops%3Aexample.org/)
+
+      // Queued for Bluesky only
+      assert.deepEqual(posts.filter(step => !['screen', 'screenshot'].includes(step)), ['bluesky'])
+    })
+  })
+})
@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const crypto = require('crypto')
+const http = require('http')
+const nock = require('nock')
+const proxyquire = require('proxyquire')
+const webhooks = require('../lib/outbound-webhooks')
+
+const edit = {
+  page: 'London Breed',
+  user: '192.0.2.1',
+  wikipedia: 'English Wikipedia',
+  url: 'https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900'
+}
+
+const statusData = {
+  text: 'London Breed edited by 192.0.2.1 https://en.wikipedia.org/w/index.php?diff=9901&oldid=9900',
+  name: '192.0.2.1',
+  pageUrl: 'https://en.wikipedia.org/wiki/London_Breed',
+  userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1'
+}
+
+describe('outbound-webhooks', function() {
+  // Stand-in for the operator's receiver; `statuses` are answered in turn, then 200
+  let server
+  let receiverUrl
+  let deliveries
+  let statuses
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        deliveries.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() })
+        res.writeHead(statuses.shift() || 200)
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      receiverUrl = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    deliveries = []
+    statuses = []
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+  })
+
+  function account(hooks) {
+    return { name: 'sfedits', webhooks: hooks }
+  }
+
+  describe('emit', function() {
+    it('posts a versioned payload signed with the shared secret', async function() {
+      const results = await webhooks.emit(account([{ url: `${receiverUrl}/hook`, secret: 's3cret' }]),
+        'edit.matched', webhooks.editData(edit, statusData))
+
+      assert.deepEqual(results, [true])
+      const [delivery] = deliveries
+      const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(delivery.body).digest('hex')
+      assert.equal(delivery.headers['x-sfedits-signature'], expected)
+      assert.equal(delivery.headers['x-sfedits-event'], 'edit.matched')
+      assert.equal(delivery.headers['content-type'], 'application/json')
+
+      const payload = JSON.parse(delivery.body)
+      assert.equal(payload.version, 1)
+      assert.equal(payload.id, delivery.headers['x-sfedits-delivery'])
+      assert.equal(payload.event, 'edit.matched')
+      assert.equal(payload.account, 'sfedits')
+      assert.deepEqual(payload.data, {
+        wiki: 'English Wikipedia',
+        article: 'London Breed',
+        article_url: statusData.pageUrl,
+        editor: '192.0.2.1',
+        editor_url: statusData.userUrl,
+        diff_url: edit.url,
+        edited_at: null,
+        text: statusData.text
+      })
+    })
+
+    it('only sends events a webhook subscribes to', async function() {
+      await webhooks.emit(account([
+        { url: `${receiverUrl}/all`, secret: 'a' },
+        { url: `${receiverUrl}/posted`, secret: 'b', events: ['edit.posted'] }
+      ]), 'edit.blocked', { reason: 'PII detected' })
+
+      assert.deepEqual(deliveries.map(delivery => delivery.url), ['/all'])
+    })
+
+    it('retries server errors with backoff, resending the same delivery', async function() {
+      statuses = [500, 503]
+      const results = await webhooks.emit(account([{ url: receiverUrl, secret: 's', retry_base_ms: 5 }]), 'edit.posted', {})
+
+      assert.deepEqual(results, [true])
+      assert.lengthOf(deliveries, 3)
+      assert.equal(deliveries[2].headers['x-sfedits-delivery'], deliveries[0].headers['x-sfedits-delivery'])
+      assert.equal(deliveries[2].body, deliveries[0].body)
+    })
+
+    it('gives up after the last attempt', async function() {
+      statuses = [500, 500, 500]
+      const results = await webhooks.emit(account([{ url: receiverUrl, secret: 's', attempts: 2, retry_base_ms: 5 }]), 'edit.posted', {})
+
+      assert.deepEqual(results, [false])
+      assert.lengthOf(deliveries, 2)
+    })
+
+    it('does not retry client errors', async function() {
+      statuses = [400]
+      const results = await webhooks.emit(account([{ url: receiverUrl, secret: 's', retry_base_ms: 5 }]), 'edit.posted', {})
+
+      assert.deepEqual(results, [false])
+      assert.lengthOf(deliveries, 1)
+    })
+
+    it('does nothing without webhooks', async function() {
+      assert.deepEqual(await webhooks.emit({}, 'edit.posted', {}), [])
+    })
+  })
+
+  describe('validateWebhooks', function() {
+    it('requires a url and secret and known events', function() {
+      assert.doesNotThrow(() => webhooks.validateWebhooks({}))
+      assert.doesNotThrow(() => webhooks.validateWebhooks(account([{ url: receiverUrl, secret: 's', events: ['draft.approved'] }])))
+      assert.throws(() => webhooks.validateWebhooks(account({ url: receiverUrl })), /must be a list/)
+      assert.throws(() => webhooks.validateWebhooks(account([{ url: receiverUrl }])), /needs a url and a secret/)
+      assert.throws(() => webhooks.validateWebhooks(account([{ url: receiverUrl, secret: 's', events: ['edit.deleted'] }])), /Unknown webhook events .*: edit.deleted/)
+    })
+  })
+
+  describe('bot integration', function() {
+    it('sends edit.matched when an edit is queued', async function() {
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/post-queue': { createPostQueue: () => ({ enqueue: async () => {} }) }
+      })
+
+      await pageWatch.sendStatus({ bluesky: { identifier: 'x' }, webhooks: [{ url: receiverUrl, secret: 's' }] }, statusData, edit)
+      await waitForDeliveries(1)
+
+      assert.equal(deliveries[0].headers['x-sfedits-event'], 'edit.matched')
+      assert.equal(JSON.parse(deliveries[0].body).data.article, 'London Breed')
+    })
+
+    it('sends edit.blocked when screening blocks an edit', async function() {
+      const pageWatch = require('../page-watch')
+      nock('https://en.wikipedia.org').get('/w/index.php').query(true).reply(200, '<html></html>')
+
+      const result = await pageWatch.screenForPII({ webhooks: [{ url: receiverUrl, secret: 's' }] }, edit, statusData)
+      await waitForDeliveries(1)
+
+      assert.isFalse(result.safe)
+      const payload = JSON.parse(deliveries[0].body)
+      assert.equal(payload.event, 'edit.blocked')
+      assert.equal(payload.data.reason, 'Could not extract diff text')
+    })
+  })
+
+  // The bot doesn't wait for deliveries, so poll for them
+  async function waitForDeliveries(count) {
+    for (let i = 0; i < 100 && deliveries.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    assert.lengthOf(deliveries, count)
+  }
+})
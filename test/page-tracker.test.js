@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const { parseMove, refreshPageIds, applyMove, isTrackedTitle } = require('../lib/page-tracker')
+const { isWatched } = require('../lib/watchlist')
+const { toEdit } = require('../lib/eventstreams')
+const { inspect } = require('../page-watch')
+
+const WIKI = 'English Wikipedia'
+
+function pagesReply(pages, normalized) {
+  const reply = { query: { pages } }
+  if (normalized) reply.query.normalized = normalized
+  return reply
+}
+
+describe('page tracking', function() {
+  beforeEach(function() {
+    nock.cleanAll()
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+  })
+
+  describe('parseMove', function() {
+    it('reads IRC move log lines', function() {
+      const move = parseMove({
+        page: 'Special:Log/move',
+        comment: 'moved [[Muni Metro]] to [[Muni Metro (San Francisco)]]: disambiguation'
+      })
+      assert.deepEqual(move, { from: 'Muni Metro', to: 'Muni Metro (San Francisco)' })
+    })
+
+    it('reads EventStreams move log events', function() {
+      const edit = toEdit({
+        meta: { dt: '2026-03-01T12:00:00Z' },
+        type: 'log',
+        log_type: 'move',
+        log_params: { target: 'Muni Metro (San Francisco)', noredir: '0' },
+        title: 'Muni Metro',
+        user: 'Example',
+        server_url: 'https://en.wikipedia.org',
+        server_name: 'en.wikipedia.org'
+      })
+
+      assert.equal(edit.wikipedia, WIKI)
+      assert.isUndefined(edit.url)
+      assert.deepEqual(parseMove(edit), { from: 'Muni Metro', to: 'Muni Metro (San Francisco)' })
+    })
+
+    it('ignores ordinary edits', function() {
+      assert.isNull(parseMove({ page: 'Muni Metro', comment: 'see [[Muni]] and [[BART]]' }))
+    })
+  })
+
+  describe('refreshPageIds', function() {
+    it('resolves exact titles and skips pattern rules', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'London Breed|muni Metro')
+        .reply(200, pagesReply([
+          { pageid: 1, title: 'London Breed' },
+          { pageid: 2, title: 'Muni Metro' }
+        ], [{ from: 'muni Metro', to: 'Muni Metro' }]))
+
+      const account = { watchlist: { [WIKI]: { 'London Breed': true, 'muni Metro': true, '*BART*': true } } }
+      const count = await refreshPageIds(account)
+
+      assert.equal(count, 2)
+      assert.isTrue(isTrackedTitle(account, WIKI, 'Muni Metro'))
+      assert.isFalse(isTrackedTitle(account, WIKI, 'BART'))
+    })
+
+    it('picks up moves of tracked pages by page ID', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'Muni Metro')
+        .reply(200, pagesReply([{ pageid: 2, title: 'Muni Metro' }]))
+        .get('/w/api.php')
+        .query(q => q.pageids === '2')
+        .reply(200, pagesReply([{ pageid: 2, title: 'Muni Metro (San Francisco)' }]))
+
+      const account = { watchlist: { [WIKI]: { 'Muni Metro': true } } }
+      const moves = []
+      await refreshPageIds(account)
+      await refreshPageIds(account, { onMove: move => moves.push(move) })
+
+      assert.deepEqual(moves, [{
+        wikipedia: WIKI,
+        configTitle: 'Muni Metro',
+        from: 'Muni Metro',
+        to: 'Muni Metro (San Francisco)'
+      }])
+      assert.isTrue(isWatched(account, WIKI, 'Muni Metro (San Francisco)'))
+    })
+
+    it('keeps going when a lookup fails', async function() {
+      nock('https://en.wikipedia.org').get('/w/api.php').query(true).reply(503)
+
+      const account = { watchlist: { [WIKI]: { 'Muni Metro': true } } }
+      assert.equal(await refreshPageIds(account), 0)
+    })
+  })
+
+  describe('moves from the edit feed', function() {
+    let account
+
+    beforeEach(async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, pagesReply([{ pageid: 2, title: 'Muni Metro' }]))
+
+      account = { watchlist: { [WIKI]: { 'Muni Metro': true } }, template: '{{page}} edited' }
+      await refreshPageIds(account)
+    })
+
+    it('follows a watched page to its new title', async function() {
+      await inspect(account, {
+        page: 'Special:Log/move',
+        wikipedia: WIKI,
+        comment: 'moved [[Muni Metro]] to [[Muni Metro (San Francisco)]]'
+      })
+
+      assert.isTrue(isWatched(account, WIKI, 'Muni Metro (San Francisco)'))
+      assert.isFalse(isTrackedTitle(account, WIKI, 'Muni Metro'))
+    })
+
+    it('ignores moves of untracked pages', function() {
+      assert.isNull(applyMove(account, WIKI, 'Cable car', 'San Francisco cable car system'))
+      assert.isNull(applyMove(account, 'French Wikipedia', 'Muni Metro', 'Métro Muni'))
+    })
+  })
+})
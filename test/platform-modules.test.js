@@ -179,6 +179,51 @@ describe('Platform Modules', function() {
       })
     })
 
+    it('posts as a reply when given a parent', async function() {
+      const parent = {
+        uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2',
+        cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      }
+      let record
+
+      nock('https://bsky.social')
+        .post('/xrpc/com.atproto.server.createSession')
+        .reply(200, {
+          accessJwt: 'fake-jwt-token',
+          refreshJwt: 'fake-refresh-token',
+          did: 'did:plc:fake123',
+          handle: 'test.bsky.social'
+        })
+        .post('/xrpc/com.atproto.repo.uploadBlob')
+        .reply(200, {
+          blob: {
+            $type: 'blob',
+            ref: { $link: 'bafkreih5aznjvttude6c3wbvqeebb6rlx5wkbzyppv7garjiubll2ceym4' },
+            mimeType: 'image/png',
+            size: 1234
+          }
+        })
+        .post('/xrpc/com.atproto.repo.createRecord', body => {
+          record = body.record
+          return true
+        })
+        .reply(200, {
+          uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz3',
+          cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+        })
+
+      await blueskyPlatform.post({
+        account: { identifier: 'test.bsky.social', password: 'fake-app-password' },
+        text: 'Test article edited by User https://en.wikipedia.org/diff/124',
+        screenshot: testScreenshot,
+        metadata: { page: 'Test article', name: 'User', pageUrl: 'http://example.com', userUrl: 'http://example.com' },
+        replyTo: { root: parent, parent }
+      })
+
+      assert.deepEqual(record.reply, { root: parent, parent })
+      assert.equal(record.embed.$type, 'app.bsky.embed.images')
+    })
+
     it('throws error when authentication fails', async function() {
       // Mock failed authentication
       nock('https://bsky.social')
@@ -290,6 +335,24 @@ describe('Platform Modules', function() {
       })
     })
 
+    it('posts as a reply when given a parent status', async function() {
+      const scope = nock('https://mastodon.social')
+        .post(/\/api\/v1\/media.*/)
+        .reply(200, { id: 'fake-media-id' })
+        .post(/\/api\/v1\/statuses\?.*in_reply_to_id=109876/)
+        .reply(200, { id: 'fake-status-id' })
+
+      await mastodonPlatform.post({
+        account: { access_token: 'fake-token', instance: 'https://mastodon.social' },
+        text: 'Test post',
+        screenshot: testScreenshot,
+        metadata: { page: 'Test', name: 'User', pageUrl: 'http://example.com', userUrl: 'http://example.com' },
+        replyTo: '109876'
+      })
+
+      assert.isTrue(scope.isDone(), 'status should be posted with in_reply_to_id')
+    })
+
     it('throws error when media upload fails', async function() {
       // Mock failed media upload
       nock('https://mastodon.social')
@@ -310,6 +373,72 @@ describe('Platform Modules', function() {
     })
   })
 
+  describe('platform registry', function() {
+    const { PLATFORMS, getPlatform, configuredPlatforms, alertPlatforms } = require('../lib/platforms')
+
+    it('every platform implements the common interface', function() {
+      for (const platform of PLATFORMS) {
+        assert.isString(platform.name)
+        assert.isString(platform.label)
+        assert.isNumber(platform.MAX_LENGTH)
+        for (const fn of ['formatText', 'post', 'postText', 'sendAlert', 'toLedger', 'replyTarget']) {
+          assert.isFunction(platform[fn], `${platform.name}.${fn}`)
+        }
+      }
+    })
+
+    it('lists only the platforms an account configures', function() {
+      assert.deepEqual(configuredPlatforms({ mastodon: {} }).map(p => p.name), ['mastodon'])
+      assert.deepEqual(configuredPlatforms({ bluesky: {}, mastodon: {} }).map(p => p.name), ['bluesky', 'mastodon'])
+      assert.isEmpty(configuredPlatforms({}))
+      assert.isNull(getPlatform('myspace'))
+    })
+
+    it('keeps alert-only platforms out of posting', function() {
+      const account = {
+        bluesky: {},
+        matrix: { post: false },
+        pii_alerts: { bluesky_recipient: 'operator.bsky.social', matrix_recipient: '!ops:example.org', mastodon_recipient: 'operator' }
+      }
+
+      assert.deepEqual(configuredPlatforms(account).map(p => p.name), ['bluesky'])
+      assert.deepEqual(alertPlatforms(account).map(({ platform, recipient }) => [platform.name, recipient]), [
+        ['bluesky', 'operator.bsky.social'],
+        ['matrix', '!ops:example.org']
+      ])
+    })
+
+    it('replies to ledger entries within the same Bluesky thread', function() {
+      const bluesky = getPlatform('bluesky')
+      const first = bluesky.toLedger({ uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2', cid: 'cid1' })
+      const replyTo = bluesky.replyTarget(first)
+      assert.deepEqual(replyTo, { root: first, parent: first })
+
+      const reply = bluesky.toLedger({ uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz3', cid: 'cid2' }, replyTo)
+      assert.deepEqual(bluesky.replyTarget(reply).root, first)
+    })
+
+    it('formats text per platform', function() {
+      const metadata = { page: 'Cat', pageUrl: 'https://en.wikipedia.org/wiki/Cat' }
+      assert.equal(getPlatform('bluesky').formatText('Cat edited', metadata), 'Cat edited')
+      assert.equal(getPlatform('mastodon').formatText('Cat edited', metadata), 'Cat (https://en.wikipedia.org/wiki/Cat) edited')
+    })
+
+    it('sends Mastodon alerts as direct messages', async function() {
+      const scope = nock('https://mastodon.social')
+        .post(/\/api\/v1\/statuses\?.*visibility=direct/)
+        .reply(200, { id: 'fake-status-id' })
+
+      await getPlatform('mastodon').sendAlert({
+        account: { access_token: 'fake-token', instance: 'https://mastodon.social' },
+        recipient: 'operator@mastodon.social',
+        text: 'Keyword alert'
+      })
+
+      assert.isTrue(scope.isDone(), 'alert should be a direct status')
+    })
+  })
+
   describe('Integration - both platforms', function() {
     it('can post to both platforms sequentially', async function() {
       // Mock both APIs
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+const ledger = require('../lib/post-ledger')
+
+const INDEX = 'https://en.wikipedia.org/w/index.php'
+const DIFF = `${INDEX}?diff=9001&oldid=9000`
+
+describe('post ledger', function() {
+  let tmpDir
+  let file
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-ledger-'))
+    file = path.join(tmpDir, 'post-ledger.jsonl')
+  })
+
+  afterEach(function() {
+    sinon.restore()
+    nock.cleanAll()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const account = { bluesky: { identifier: 'sfedits.bsky.social' } }
+  const edit = { url: DIFF, page: 'London Breed', user: '192.0.2.1', wikipedia: 'English Wikipedia' }
+
+  it('keys revisions by host and revision ID', function() {
+    assert.equal(ledger.revisionKey(`${INDEX}?diff=789&oldid=456`), 'en.wikipedia.org:789')
+    assert.equal(ledger.revisionKey(`${INDEX}?oldid=789`), 'en.wikipedia.org:789')
+    assert.isNull(ledger.revisionKey('not a url'))
+  })
+
+  it('appends entries and finds them by field', function() {
+    ledger.record({ type: 'post', revision: 'en.wikipedia.org:789', platform: 'bluesky' }, file)
+    ledger.record({ type: 'post', revision: 'en.wikipedia.org:789', platform: 'mastodon' }, file)
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n')
+    assert.lengthOf(lines, 2)
+    assert.isString(JSON.parse(lines[0]).posted_at)
+
+    assert.lengthOf(ledger.find({ revision: 'en.wikipedia.org:789' }, file), 2)
+    assert.lengthOf(ledger.find({ platform: 'mastodon' }, file), 1)
+  })
+
+  it('finds earlier posts of the same revision per platform and account', function() {
+    assert.isNull(ledger.findPost(account, edit, 'bluesky', file))
+
+    ledger.recordPost(account, edit, 'bluesky', { uri: 'at://post', cid: 'cid' }, file)
+
+    assert.equal(ledger.findPost(account, edit, 'bluesky', file).uri, 'at://post')
+    assert.isNull(ledger.findPost(account, edit, 'mastodon', file))
+    assert.isNull(ledger.findPost({ name: 'other' }, edit, 'bluesky', file))
+  })
+
+  it('picks the platform identifiers out of a post entry', function() {
+    ledger.recordPost(account, edit, 'discord', { id: '1234', channel_id: '5678', reply_to: undefined }, file)
+    ledger.recordPost(account, edit, 'matrix', { id: '$event2', reply_to: '$event1' }, file)
+
+    assert.deepEqual(ledger.postIds(ledger.findPost(account, edit, 'discord', file)), { id: '1234', channel_id: '5678' })
+    assert.deepEqual(ledger.postIds(ledger.findPost(account, edit, 'matrix', file)), { id: '$event2' })
+  })
+
+  it('lists an account\'s posts about a page without re-reading the file', function() {
+    ledger.recordPost(account, edit, 'bluesky', { uri: 'at://1', cid: 'bafy1' }, file)
+    ledger.recordPost({ name: 'other' }, edit, 'bluesky', { uri: 'at://2', cid: 'bafy2' }, file)
+    ledger.record({ type: 'revert', revision: 'en.wikipedia.org:9001', account: 'sfedits.bsky.social', platform: 'bluesky' }, file)
+
+    assert.deepEqual(ledger.pagePosts(account, 'English Wikipedia', 'London Breed', file).map(post => post.uri), ['at://1'])
+    assert.isEmpty(ledger.pagePosts(account, 'English Wikipedia', 'Daniel Lurie', file))
+
+    const stat = sinon.spy(fs, 'statSync')
+    assert.lengthOf(ledger.pagePosts(account, 'English Wikipedia', 'London Breed', file), 1)
+    assert.isFalse(stat.called)
+  })
+
+  it('sees posts appended by another process', function() {
+    assert.isNull(ledger.findPost(account, edit, 'mastodon', file))
+
+    // e.g. the admin console posting a draft while the bot is running
+    fs.appendFileSync(file, JSON.stringify({
+      type: 'post',
+      revision: 'en.wikipedia.org:9001',
+      account: 'sfedits.bsky.social',
+      platform: 'mastodon',
+      id: '42'
+    }) + '\n')
+
+    assert.equal(ledger.findPost(account, edit, 'mastodon', file).id, '42')
+
+    ledger.recordPost(account, edit, 'bluesky', { uri: 'at://post' }, file)
+    assert.lengthOf(ledger.find({ revision: 'en.wikipedia.org:9001' }, file), 2)
+  })
+
+  it('ignores a partly written last line until it is complete', function() {
+    fs.writeFileSync(file, '{"type":"post","revision":"en.wikipedia.org:1"}\n{"type":"po')
+    assert.lengthOf(ledger.find({}, file), 1)
+
+    fs.appendFileSync(file, 'st","revision":"en.wikipedia.org:2"}\n')
+    assert.lengthOf(ledger.find({}, file), 2)
+  })
+
+  it('keeps the bot from posting an edit twice', async function() {
+    let screenshots = 0
+    const pageWatch = proxyquire('../page-watch', {
+      './lib/screenshot': { takeScreenshot: async () => { screenshots++ } }
+    })
+
+    const posted = { name: 'idempotency-test', bluesky: { identifier: 'x' }, mastodon: { instance: 'https://m.example' } }
+    const reprocessed = { ...edit, url: `${INDEX}?diff=9101&oldid=9100` }
+    ledger.recordPost(posted, reprocessed, 'bluesky', { uri: 'at://post' })
+    ledger.recordPost(posted, reprocessed, 'mastodon', { id: '1' })
+
+    const statusData = pageWatch.getStatus(reprocessed, reprocessed.user, '{{page}} edited {{&url}}')
+    await pageWatch.sendStatus(posted, statusData, reprocessed)
+
+    assert.equal(screenshots, 0, 'nothing left to post, so no screenshot')
+  })
+})
@@ -0,0 +1,186 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createPostQueue, STOP } = require('../lib/post-queue')
+
+function job(order) {
+  return { account: 'test', edit: { page: 'London Breed' }, order }
+}
+
+function waitFor(check, timeout = 1000) {
+  const start = Date.now()
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve()
+      if (Date.now() - start > timeout) return reject(new Error('timed out'))
+      setTimeout(poll, 5)
+    }
+    poll()
+  })
+}
+
+describe('posting queue', function() {
+  let tmpDir
+  let dir
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-queue-'))
+    dir = path.join(tmpDir, 'queue')
+  })
+
+  afterEach(function() {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  function jobFiles() {
+    return fs.readdirSync(dir).filter(file => file.endsWith('.json'))
+  }
+
+  it('runs steps in order and removes finished jobs', async function() {
+    const calls = []
+    const settled = []
+    const queue = createPostQueue({
+      dir,
+      steps: {
+        screen: { run: async () => calls.push('screen') },
+        bluesky: { run: async (j, context) => calls.push(`bluesky:${context}`), independent: true }
+      },
+      onSettled: j => settled.push(j.id)
+    })
+
+    const stored = await queue.enqueue(job(['screen', 'bluesky']), 'account')
+
+    assert.deepEqual(calls, ['screen', 'bluesky:account'])
+    assert.deepEqual(settled, [stored.id])
+    assert.isEmpty(jobFiles())
+    assert.equal(queue.pending(), 0)
+  })
+
+  it('ends a job early when a step stops it', async function() {
+    let posted = false
+    const queue = createPostQueue({
+      dir,
+      steps: {
+        screen: { run: async () => STOP },
+        bluesky: { run: async () => { posted = true }, independent: true }
+      }
+    })
+
+    const stored = await queue.enqueue(job(['screen', 'bluesky']))
+
+    assert.isFalse(posted)
+    assert.equal(stored.steps.bluesky.status, 'skipped')
+  })
+
+  it('retries a failing platform with backoff without holding up the others', async function() {
+    let attempts = 0
+    let mastodonPosts = 0
+    const queue = createPostQueue({
+      dir,
+      retryBaseMs: 10,
+      steps: {
+        bluesky: {
+          independent: true,
+          run: async () => {
+            attempts++
+            if (attempts < 3) throw new Error('Bluesky is down')
+          }
+        },
+        mastodon: { run: async () => mastodonPosts++, independent: true }
+      }
+    })
+
+    const stored = await queue.enqueue(job(['bluesky', 'mastodon']))
+
+    assert.equal(mastodonPosts, 1)
+    assert.equal(stored.steps.bluesky.status, 'retrying')
+    assert.lengthOf(jobFiles(), 1, 'unfinished job stays on disk')
+
+    await waitFor(() => queue.pending() === 0)
+
+    assert.equal(attempts, 3)
+    assert.equal(mastodonPosts, 1)
+    assert.isEmpty(jobFiles())
+  })
+
+  it('holds later steps while an earlier one is retrying', async function() {
+    let screenshots = 0
+    let posted = false
+    const queue = createPostQueue({
+      dir,
+      retryBaseMs: 10,
+      steps: {
+        screenshot: {
+          run: async () => {
+            if (++screenshots === 1) throw new Error('Chromium crashed')
+          }
+        },
+        bluesky: { run: async () => { posted = true }, independent: true }
+      }
+    })
+
+    await queue.enqueue(job(['screenshot', 'bluesky']))
+    assert.isFalse(posted)
+
+    await waitFor(() => posted)
+    assert.equal(screenshots, 2)
+  })
+
+  it('dead-letters a step after the last attempt', async function() {
+    const queue = createPostQueue({
+      dir,
+      maxAttempts: 2,
+      retryBaseMs: 5,
+      steps: {
+        mastodon: { run: async () => { throw new Error('401 Unauthorized') }, independent: true }
+      }
+    })
+
+    const stored = await queue.enqueue(job(['mastodon']))
+    await waitFor(() => queue.pending() === 0)
+
+    const dead = fs.readdirSync(path.join(dir, 'dead'))
+    assert.deepEqual(dead, [`${stored.id}-mastodon.json`])
+    const letter = JSON.parse(fs.readFileSync(path.join(dir, 'dead', dead[0]), 'utf8'))
+    assert.equal(letter.steps.mastodon.status, 'dead')
+    assert.equal(letter.steps.mastodon.error, '401 Unauthorized')
+  })
+
+  it('resumes unfinished jobs from disk', async function() {
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(path.join(dir, '1-abc.json'), JSON.stringify({
+      id: '1-abc',
+      account: 'test',
+      edit: { page: 'London Breed' },
+      order: ['screen', 'bluesky'],
+      steps: {
+        screen: { status: 'done', attempts: 0 },
+        bluesky: { status: 'retrying', attempts: 1, next_attempt_at: new Date(0).toISOString() }
+      }
+    }))
+    fs.writeFileSync(path.join(dir, '2-def.json'), JSON.stringify({
+      id: '2-def',
+      account: 'removed account',
+      edit: { page: 'Ed Lee' },
+      order: ['bluesky'],
+      steps: { bluesky: { status: 'pending', attempts: 0 } }
+    }))
+
+    const calls = []
+    const queue = createPostQueue({
+      dir,
+      steps: {
+        screen: { run: async () => calls.push('screen') },
+        bluesky: { run: async (j, context) => calls.push(`bluesky:${context}`), independent: true }
+      }
+    })
+
+    const resumed = await queue.resume(j => (j.account === 'test' ? 'account' : null))
+
+    assert.equal(resumed, 1)
+    assert.deepEqual(calls, ['bluesky:account'])
+    assert.deepEqual(jobFiles(), ['2-def.json'])
+  })
+})
@@ -338,5 +338,54 @@ describe('posting flow', function() {
       // Verify screenshot file was cleaned up
       assert.isFalse(fs.existsSync(fakeScreenshotPath), 'Screenshot file should have been deleted')
     })
+
+    it('replies under the first post about the article within thread_window_minutes', async function() {
+      this.timeout(5000)
+
+      const calls = { bluesky: [], mastodon: [] }
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/screenshot': { takeScreenshot: async () => fakeScreenshotPath },
+        './lib/platforms': proxyquire('../lib/platforms', {
+          './bluesky-platform': {
+            post: async options => {
+              calls.bluesky.push(options)
+              return { uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz3', cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' }
+            }
+          },
+          './mastodon-platform': {
+            post: async options => {
+              calls.mastodon.push(options)
+              return { data: { id: '109877', url: 'https://mastodon.example.com/@sfedits/109877' } }
+            }
+          }
+        })
+      })
+      const ledger = require('../lib/post-ledger')
+
+      const account = {
+        name: 'thread-test',
+        bluesky: { identifier: 'testuser.bsky.social' },
+        mastodon: { instance: 'https://mastodon.example.com' },
+        pii_blocking: { enabled: false },
+        thread_window_minutes: 60
+      }
+      const first = {
+        page: 'London Breed',
+        user: 'TestUser',
+        wikipedia: 'English Wikipedia',
+        url: 'https://en.wikipedia.org/w/index.php?diff=9401&oldid=9400'
+      }
+      const root = { uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2', cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' }
+      ledger.recordPost(account, first, 'bluesky', root)
+      ledger.recordPost(account, first, 'mastodon', { id: '109876' })
+
+      const next = { ...first, url: 'https://en.wikipedia.org/w/index.php?diff=9402&oldid=9401' }
+      await pageWatch.sendStatus(account, pageWatch.getStatus(next, next.user, '{{page}} edited {{&url}}'), next)
+
+      assert.deepEqual(calls.bluesky[0].replyTo, { root, parent: root })
+      assert.equal(calls.mastodon[0].replyTo, '109876')
+      assert.equal(ledger.findPost(account, next, 'mastodon').reply_to, '109876')
+      assert.deepEqual(ledger.findPost(account, next, 'bluesky').root, root)
+    })
   })
 })
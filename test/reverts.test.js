@@ -0,0 +1,270 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const nock = require('nock')
+const proxyquire = require('proxyquire')
+const ledger = require('../lib/post-ledger')
+const heldEdits = require('../lib/held-edits')
+const { detectReverts, findRevert, formatDuration } = require('../lib/reverts')
+
+const INDEX = 'https://en.wikipedia.org/w/index.php'
+const ORIGINAL_URI = 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2'
+const ORIGINAL_CID = 'bafyreih5aznjvttude6c3wbvqeebb6rlx5wkbzyppv7garjiubll2ceym4'
+
+function waitFor(check, timeout = 1000) {
+  const start = Date.now()
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve()
+      if (Date.now() - start > timeout) return reject(new Error('timed out'))
+      setTimeout(poll, 5)
+    }
+    poll()
+  })
+}
+
+function revisionsReply(revisions) {
+  return { query: { pages: [{ pageid: 1, title: 'London Breed', revisions }] } }
+}
+
+describe('revert follow-ups', function() {
+  beforeEach(function() {
+    nock.cleanAll()
+  })
+
+  afterEach(function() {
+    nock.cleanAll()
+  })
+
+  describe('detectReverts', function() {
+    const posted = { url: `${INDEX}?diff=200&oldid=100`, user: '192.0.2.1' }
+
+    it('detects content restored to before the posted edit', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.revids === '300|200|100')
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'aaa', tags: [] }
+        ]))
+
+      const reverts = await detectReverts({ url: `${INDEX}?diff=300&oldid=200`, user: 'ClueBot NG' }, [posted])
+
+      assert.lengthOf(reverts, 1)
+      assert.isFalse(reverts[0].selfRevert)
+    })
+
+    it('detects tagged reverts and self-reverts', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: ['mw-reverted'] },
+          { revid: 300, sha1: 'ccc', tags: ['mw-undo'] }
+        ]))
+
+      const reverts = await detectReverts({ url: `${INDEX}?diff=300&oldid=250`, user: '192.0.2.1' }, [posted])
+
+      assert.lengthOf(reverts, 1)
+      assert.isTrue(reverts[0].selfRevert)
+    })
+
+    it('ignores ordinary follow-up edits', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'ccc', tags: [] }
+        ]))
+
+      assert.isEmpty(await detectReverts({ url: `${INDEX}?diff=300&oldid=200`, user: 'Example' }, [posted]))
+    })
+
+    it('skips the lookup for the posted edit itself', async function() {
+      assert.isEmpty(await detectReverts({ url: posted.url, user: posted.user }, [posted]))
+    })
+  })
+
+  describe('findRevert', function() {
+    const edit = { page: 'London Breed', url: `${INDEX}?diff=200&oldid=100`, user: '192.0.2.1' }
+
+    it('finds a later revision that restores the previous content', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(q => q.titles === 'London Breed' && q.rvstartid === '100' && q.rvdir === 'newer')
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'aaa', tags: ['mw-rollback'], user: 'ClueBot NG' }
+        ]))
+
+      const revert = await findRevert(edit)
+      assert.equal(revert.user, 'ClueBot NG')
+    })
+
+    it('returns null while the edit stands', async function() {
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'ccc', tags: [] }
+        ]))
+
+      assert.isNull(await findRevert(edit))
+    })
+  })
+
+  describe('post_delay', function() {
+    it('sends edits reverted during the delay to drafts instead of posting', async function() {
+      let drafted
+      const draftSaved = new Promise(resolve => { drafted = resolve })
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/draft-manager': { saveDraft: drafted }
+      })
+
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'aaa', tags: ['mw-rollback'], user: 'ClueBot NG' }
+        ]))
+
+      await pageWatch.inspect({
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        template: '{{page}} edited by {{name}} {{&url}}',
+        post_delay: 0.001,
+        post_delay_action: 'draft'
+      }, {
+        page: 'London Breed',
+        wikipedia: 'English Wikipedia',
+        user: '192.0.2.1',
+        url: `${INDEX}?diff=200&oldid=100`
+      })
+
+      const draft = await draftSaved
+      assert.equal(draft.reason, 'Reverted by ClueBot NG within 0.001 minutes')
+      assert.equal(draft.diffUrl, `${INDEX}?diff=200&oldid=100`)
+      await waitFor(() => !heldEdits.list().length)
+    })
+
+    it('holds edits saved before a restart again', async function() {
+      let drafted
+      const draftSaved = new Promise(resolve => { drafted = resolve })
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/draft-manager': { saveDraft: drafted }
+      })
+      const account = {
+        name: 'post-delay-restart',
+        watchlist: { 'English Wikipedia': { 'London Breed': true } },
+        template: '{{page}} edited by {{name}} {{&url}}',
+        post_delay: 10,
+        post_delay_action: 'draft'
+      }
+
+      heldEdits.save({
+        account: 'post-delay-restart',
+        edit: { page: 'London Breed', wikipedia: 'English Wikipedia', user: '192.0.2.1', url: `${INDEX}?diff=200&oldid=100` },
+        statusData: { text: 'London Breed edited by 192.0.2.1', name: '192.0.2.1' },
+        releaseAt: new Date(Date.now() - 1000)
+      })
+
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'aaa', tags: ['mw-rollback'], user: 'ClueBot NG' }
+        ]))
+
+      assert.equal(pageWatch.resumeHeldEdits([account]), 1)
+
+      const draft = await draftSaved
+      assert.equal(draft.reason, 'Reverted by ClueBot NG within 10 minutes')
+      await waitFor(() => !heldEdits.list().length)
+    })
+  })
+
+  describe('formatDuration', function() {
+    it('describes elapsed time', function() {
+      assert.equal(formatDuration(12 * 60000), '12 minutes')
+      assert.equal(formatDuration(20000), '1 minute')
+      assert.equal(formatDuration(3 * 3600000), '3 hours')
+      assert.equal(formatDuration(5 * 86400000), '5 days')
+    })
+  })
+
+  describe('replies', function() {
+    it('threads a revert notice under the original posts', async function() {
+      const account = {
+        name: 'revert-reply-test',
+        bluesky: { identifier: 'testuser.bsky.social', password: 'fake-password', service: 'https://bsky.social' },
+        mastodon: { access_token: 'fake-token', instance: 'https://mastodon.example.com' },
+        template: '{{page}} edited by {{name}} {{&url}}'
+      }
+      const original = {
+        type: 'post',
+        revision: 'en.wikipedia.org:200',
+        account: 'revert-reply-test',
+        wiki: 'English Wikipedia',
+        page: 'London Breed',
+        user: '192.0.2.1',
+        url: `${INDEX}?diff=200&oldid=100`,
+        edited_at: '2026-03-01T12:00:00Z'
+      }
+      ledger.record({ ...original, platform: 'bluesky', uri: ORIGINAL_URI, cid: ORIGINAL_CID })
+      ledger.record({ ...original, platform: 'mastodon', id: '109876' })
+
+      nock('https://en.wikipedia.org')
+        .get('/w/api.php')
+        .query(true)
+        .reply(200, revisionsReply([
+          { revid: 100, sha1: 'aaa', tags: [] },
+          { revid: 200, sha1: 'bbb', tags: [] },
+          { revid: 300, sha1: 'aaa', tags: ['mw-rollback'] }
+        ]))
+
+      const blueskyScope = nock('https://bsky.social')
+        .post('/xrpc/com.atproto.server.createSession')
+        .reply(200, { accessJwt: 'jwt', refreshJwt: 'refresh', did: 'did:plc:fake123', handle: 'testuser.bsky.social' })
+        .post('/xrpc/com.atproto.repo.createRecord', body => {
+          assert.equal(body.record.text, `Reverted by ClueBot NG after 12 minutes ${INDEX}?diff=300&oldid=200`)
+          assert.equal(body.record.reply.parent.uri, ORIGINAL_URI)
+          assert.equal(body.record.reply.root.cid, ORIGINAL_CID)
+          return true
+        })
+        .reply(200, {
+          uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz3',
+          cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+        })
+
+      const mastodonScope = nock('https://mastodon.example.com')
+        .post(/\/api\/v1\/statuses\?.*in_reply_to_id=109876/)
+        .reply(200, { id: '109877', url: 'https://mastodon.example.com/@sfedits/109877' })
+
+      const pageWatch = proxyquire('../page-watch', {})
+      const revert = {
+        page: 'London Breed',
+        wikipedia: 'English Wikipedia',
+        user: 'ClueBot NG',
+        url: `${INDEX}?diff=300&oldid=200`,
+        timestamp: '2026-03-01T12:12:00Z'
+      }
+      await pageWatch.inspect(account, revert)
+
+      assert.isTrue(blueskyScope.isDone(), 'Bluesky reply should have been posted')
+      assert.isTrue(mastodonScope.isDone(), 'Mastodon reply should have been posted')
+      assert.lengthOf(ledger.find({ type: 'revert', account: 'revert-reply-test' }), 2)
+
+      // A second look at the same revert doesn't reply again
+      await pageWatch.inspect(account, revert)
+    })
+  })
+})
@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const http = require('http')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const { getSettings, parseRevision, scoreRevision, decide } = require('../lib/revision-scorer')
+
+const DIFF = 'https://en.wikipedia.org/w/index.php?diff=9601&oldid=9600'
+
+describe('revision scoring', function() {
+  // Stand-in for a LiftWing-compatible model server
+  let server
+  let endpoint
+  let requests
+  let scores
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        const request = JSON.parse(body)
+        requests.push({ url: req.url, body: request })
+
+        const score = scores[request.rev_id]
+        if (score === undefined) {
+          res.writeHead(500)
+          return res.end('model unavailable')
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({
+          model_name: 'revertrisk-language-agnostic',
+          revision_id: request.rev_id,
+          output: { prediction: score >= 0.5, probabilities: { true: score, false: 1 - score } }
+        }))
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      endpoint = `http://127.0.0.1:${server.address().port}/v1/models/revertrisk-language-agnostic:predict`
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    requests = []
+    scores = {}
+  })
+
+  describe('getSettings', function() {
+    it('fills in defaults', function() {
+      assert.isNull(getSettings({}))
+      assert.isNull(getSettings({ revision_scoring: { enabled: false } }))
+
+      const settings = getSettings({ revision_scoring: { endpoint, draft_threshold: 0.95 } })
+      assert.equal(settings.endpoint, endpoint)
+      assert.equal(settings.label_threshold, 0.7)
+      assert.equal(settings.draft_threshold, 0.95)
+    })
+  })
+
+  describe('parseRevision', function() {
+    it('reads the revision and language from a diff URL', function() {
+      assert.deepEqual(parseRevision(DIFF), { revId: 9601, lang: 'en' })
+      assert.deepEqual(parseRevision('https://es.wikipedia.org/w/index.php?oldid=42'), { revId: 42, lang: 'es' })
+      assert.isNull(parseRevision('not a url'))
+    })
+  })
+
+  describe('decide', function() {
+    const settings = { label_threshold: 0.7, draft_threshold: 0.9 }
+
+    it('posts, labels or drafts by threshold', function() {
+      assert.equal(decide(0.2, settings), 'post')
+      assert.equal(decide(0.7, settings), 'label')
+      assert.equal(decide(0.95, settings), 'draft')
+    })
+
+    it('never drafts without a draft threshold', function() {
+      assert.equal(decide(0.99, { label_threshold: 0.7, draft_threshold: null }), 'label')
+    })
+  })
+
+  describe('scoreRevision', function() {
+    it('asks the scorer about the revision', async function() {
+      scores[9601] = 0.83
+
+      const probability = await scoreRevision({ url: DIFF }, getSettings({ revision_scoring: { endpoint } }))
+
+      assert.equal(probability, 0.83)
+      assert.deepEqual(requests[0].body, { rev_id: 9601, lang: 'en' })
+    })
+
+    it('fails when the scorer does', async function() {
+      try {
+        await scoreRevision({ url: DIFF }, getSettings({ revision_scoring: { endpoint } }))
+        assert.fail('should have thrown')
+      } catch (error) {
+        assert.match(error.message, /returned 500/)
+      }
+    })
+  })
+
+  describe('bot integration', function() {
+    let drafts
+    let posts
+    let pageWatch
+    let screenshot
+
+    beforeEach(function() {
+      drafts = []
+      posts = []
+      screenshot = path.join(os.tmpdir(), `sfedits-scorer-${Date.now()}.png`)
+      fs.writeFileSync(screenshot, 'png')
+
+      pageWatch = proxyquire('../page-watch', {
+        './lib/draft-manager': { saveDraft: draft => drafts.push(draft) },
+        './lib/screenshot': { takeScreenshot: async () => screenshot },
+        './lib/platforms': proxyquire('../lib/platforms', {
+          './bluesky-platform': {
+            post: async options => {
+              posts.push(options)
+              return { uri: 'at://did:plc:fake123/app.bsky.feed.post/3kjqrstuqwdz2', cid: 'bafyreigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' }
+            }
+          }
+        })
+      })
+    })
+
+    afterEach(function() {
+      fs.rmSync(screenshot, { force: true })
+    })
+
+    function account(name) {
+      return {
+        name,
+        bluesky: { identifier: 'x' },
+        pii_blocking: { enabled: false },
+        revision_scoring: { endpoint }
+      }
+    }
+
+    function send(target, revid) {
+      const edit = { page: 'London Breed', user: 'Example', url: `https://en.wikipedia.org/w/index.php?diff=${revid}&oldid=${revid - 1}` }
+      return pageWatch.sendStatus(target, pageWatch.getStatus(edit, edit.user, '{{page}} edited {{&url}}'), edit)
+    }
+
+    it('saves likely vandalism as a draft', async function() {
+      scores[9611] = 0.97
+
+      await send(account('scorer-draft'), 9611)
+
+      assert.isEmpty(posts)
+      assert.lengthOf(drafts, 1)
+      assert.equal(drafts[0].reason, 'Likely vandalism (revert risk 0.97)')
+    })
+
+    it('labels borderline edits', async function() {
+      this.timeout(5000)
+      scores[9621] = 0.75
+
+      await send(account('scorer-label'), 9621)
+
+      assert.lengthOf(posts, 1)
+      assert.match(posts[0].text, /^⚠️ Likely vandalism: London Breed edited/)
+    })
+
+    it('posts as usual when the scorer is down', async function() {
+      this.timeout(5000)
+
+      await send(account('scorer-down'), 9631)
+
+      assert.lengthOf(posts, 1)
+      assert.match(posts[0].text, /^London Breed edited/)
+    })
+  })
+})
@@ -0,0 +1,10 @@
+// Loaded before the tests (see .mocharc.json): keeps the bot's state files in a
+// temporary directory instead of data/
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfedits-data-'))
+process.env.SFEDITS_DATA_DIR = dir
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }))
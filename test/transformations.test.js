@@ -1,6 +1,6 @@
 const { describe, it } = require('mocha')
 const { assert } = require('chai')
-const { buildMastodonText } = require('../lib/html-utils')
+const { buildMastodonText, buildHtml } = require('../lib/html-utils')
 const { enrichIPsInText, countryToFlag, initializeReader } = require('../lib/geolocation')
 
 describe('text transformations', function() {
@@ -114,6 +114,30 @@ describe('text transformations', function() {
     })
   })
 
+  describe('buildHtml', function() {
+    it('links the article, user and diff URL', function() {
+      const text = 'Café edited by 192.0.2.1 [🇺🇸] https://fr.wikipedia.org/w/index.php?diff=2&oldid=1'
+      const pageUrl = 'https://fr.wikipedia.org/wiki/Caf%C3%A9'
+      const userUrl = 'https://fr.wikipedia.org/wiki/Sp%C3%A9cial:Contributions/192.0.2.1'
+
+      const result = buildHtml(text, 'Café', '192.0.2.1', pageUrl, userUrl)
+
+      assert.equal(result,
+        `<a href="${pageUrl}">Café</a> edited by <a href="${userUrl}">192.0.2.1</a> [🇺🇸] ` +
+        '<a href="https://fr.wikipedia.org/w/index.php?diff=2&amp;oldid=1">https://fr.wikipedia.org/w/index.php?diff=2&amp;oldid=1</a>')
+    })
+
+    it('escapes HTML in the text', function() {
+      const result = buildHtml('<b>Article</b> edited by User', 'Article', 'User', null, null)
+
+      assert.equal(result, '&lt;b&gt;Article&lt;/b&gt; edited by User')
+    })
+
+    it('returns empty string for empty input', function() {
+      assert.equal(buildHtml(null, 'Article', 'User', 'url1', 'url2'), '')
+    })
+  })
+
   describe('geolocation transformations', function() {
     describe('countryToFlag', function() {
       it('converts US country code to flag emoji', function() {
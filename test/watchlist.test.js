@@ -0,0 +1,118 @@
+const { describe, it } = require('mocha')
+const { assert } = require('chai')
+const { isWatched, isWatchedEditor, validateWatchlist } = require('../lib/watchlist')
+const { isPattern, compileMatcher, parseRegex, escapeRegex } = require('../lib/title-patterns')
+
+describe('watchlist matching', function() {
+  const WIKI = 'English Wikipedia'
+
+  function account(pages) {
+    return { watchlist: { [WIKI]: pages } }
+  }
+
+  it('matches exact titles', function() {
+    const a = account({ 'London Breed': true, 'Ed Lee': false })
+    assert.isTrue(isWatched(a, WIKI, 'London Breed'))
+    assert.isFalse(isWatched(a, WIKI, 'Ed Lee'))
+    assert.isFalse(isWatched(a, 'French Wikipedia', 'London Breed'))
+  })
+
+  it('matches regex rules', function() {
+    const a = account({ '/^San Francisco .* Department$/': true })
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Police Department'))
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Fire Department'))
+    assert.isFalse(isWatched(a, WIKI, 'San Francisco Police Department Bureau'))
+  })
+
+  it('honors regex flags', function() {
+    const a = account({ '/muni/i': true })
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Municipal Railway'))
+  })
+
+  it('matches the same title every time with global or sticky flags', function() {
+    const matcher = compileMatcher('/Muni/gy')
+    assert.isTrue(matcher('Muni Metro'))
+    assert.isTrue(matcher('Muni Metro'))
+
+    const a = account({ '/muni/gi': true })
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Municipal Railway'))
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Municipal Railway'))
+  })
+
+  it('matches prefix rules, including subpages', function() {
+    const a = account({ 'List of San Francisco*': true, 'San Francisco Board of Supervisors/*': true })
+    assert.isTrue(isWatched(a, WIKI, 'List of San Francisco Designated Landmarks'))
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Board of Supervisors/Archive 2'))
+    assert.isFalse(isWatched(a, WIKI, 'Lists of San Francisco topics'))
+  })
+
+  it('matches contains rules with excludes', function() {
+    const a = account({ '*Muni*': { exclude: ['Munich', 'Municipal*', '/^Muni \\(disambiguation\\)$/'] } })
+    assert.isTrue(isWatched(a, WIKI, 'Muni Metro'))
+    assert.isTrue(isWatched(a, WIKI, 'San Francisco Muni'))
+    assert.isFalse(isWatched(a, WIKI, 'Munich'))
+    assert.isFalse(isWatched(a, WIKI, 'Municipal bond'))
+    assert.isFalse(isWatched(a, WIKI, 'Muni (disambiguation)'))
+  })
+
+  it('ignores disabled rules', function() {
+    const a = account({ '*Muni*': false })
+    assert.isFalse(isWatched(a, WIKI, 'Muni Metro'))
+  })
+
+  describe('isPattern', function() {
+    it('distinguishes rules from exact titles', function() {
+      assert.isTrue(isPattern('/^Muni/'))
+      assert.isTrue(isPattern('List of San Francisco*'))
+      assert.isTrue(isPattern('*Muni*'))
+      assert.isFalse(isPattern('London Breed'))
+      assert.isFalse(isPattern('AC/DC'))
+    })
+  })
+
+  describe('parseRegex', function() {
+    it('compiles /regex/flags rules without the global and sticky flags', function() {
+      assert.equal(parseRegex('/^muni/giy').flags, 'i')
+      assert.isNull(parseRegex('AC/DC'))
+      assert.throws(() => parseRegex('/(/'), SyntaxError)
+    })
+
+    it('escapes literal text', function() {
+      assert.isTrue(new RegExp(`^${escapeRegex('Muni (SFMTA) $2.50?')}$`).test('Muni (SFMTA) $2.50?'))
+    })
+  })
+
+  describe('isWatchedEditor', function() {
+    const editors = {
+      watchlist: { [WIKI]: { 'London Breed': true } },
+      watch_editors: ['Example COI_account', '192.0.2.7', '2001:DB8:0::5', '~2025-31427-8']
+    }
+
+    it('matches listed usernames, IPs and temporary accounts on any article', function() {
+      assert.isTrue(isWatchedEditor(editors, WIKI, 'Example COI account'))
+      assert.isTrue(isWatchedEditor(editors, WIKI, '192.0.2.7'))
+      assert.isTrue(isWatchedEditor(editors, WIKI, '~2025-31427-8'))
+      assert.isFalse(isWatchedEditor(editors, WIKI, '192.0.2.8'))
+    })
+
+    it('normalizes names like MediaWiki', function() {
+      assert.isTrue(isWatchedEditor(editors, WIKI, 'example_COI account'))
+      assert.isTrue(isWatchedEditor(editors, WIKI, '2001:db8::5'))
+    })
+
+    it('only matches on wikis the account watches', function() {
+      assert.isFalse(isWatchedEditor(editors, 'French Wikipedia', '192.0.2.7'))
+      assert.isFalse(isWatchedEditor(account({}), WIKI, '192.0.2.7'))
+    })
+  })
+
+  describe('validateWatchlist', function() {
+    it('rejects invalid regexes', function() {
+      assert.throws(() => validateWatchlist(account({ '/San Francisco (/': true })), /Invalid watchlist pattern/)
+    })
+
+    it('accepts valid rules', function() {
+      validateWatchlist(account({ '/^San Francisco/': true, 'Muni*': true, 'London Breed': true }))
+    })
+  })
+})
@@ -0,0 +1,231 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const http = require('http')
+const path = require('path')
+const proxyquire = require('proxyquire')
+const discord = require('../lib/discord-platform')
+const slack = require('../lib/slack-platform')
+
+const metadata = {
+  page: 'London Breed',
+  name: '192.0.2.1',
+  pageUrl: 'https://en.wikipedia.org/wiki/London_Breed',
+  userUrl: 'https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.1',
+  country: 'US'
+}
+
+const TEXT = 'London Breed edited by 192.0.2.1 [🇺🇸] https://en.wikipedia.org/w/index.php?diff=9801&oldid=9800'
+
+// The JSON part of a Discord multipart request
+function payloadJson(body) {
+  const match = /name="payload_json"\r\n(?:[^\r\n]+\r\n)*\r\n([^\r\n]+)\r\n/.exec(body)
+  return JSON.parse(match[1])
+}
+
+describe('webhook platforms', function() {
+  // Stand-in for Discord webhooks and the Slack API
+  let server
+  let base
+  let requests
+  let respond
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() }
+        requests.push(request)
+
+        const { status = 200, body = {} } = respond(request) || {}
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(typeof body === 'string' ? body : JSON.stringify(body))
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  let screenshot
+
+  beforeEach(function() {
+    requests = []
+    respond = () => ({ body: { id: '1301', channel_id: '1200' } })
+    screenshot = path.join(os.tmpdir(), `sfedits-webhook-${Date.now()}.png`)
+    fs.writeFileSync(screenshot, 'fake image data')
+  })
+
+  afterEach(function() {
+    fs.rmSync(screenshot, { force: true })
+  })
+
+  describe('discord-platform', function() {
+    it('posts an embed with the screenshot attached', async function() {
+      const account = { webhook_url: `${base}/api/webhooks/123/abc`, username: 'SF Edits' }
+
+      const result = await discord.post({ account, text: TEXT, screenshot, metadata })
+
+      assert.deepEqual(discord.toLedger(result), { id: '1301', channel_id: '1200' })
+      assert.equal(requests[0].url, '/api/webhooks/123/abc?wait=true')
+      assert.match(requests[0].headers['content-type'], /^multipart\/form-data/)
+      assert.include(requests[0].body, 'name="files[0]"; filename="screenshot.png"')
+      assert.include(requests[0].body, 'fake image data')
+
+      const payload = payloadJson(requests[0].body)
+      assert.equal(payload.username, 'SF Edits')
+      assert.deepEqual(payload.allowed_mentions, { parse: [] })
+      assert.deepEqual(payload.attachments, [{ id: 0, filename: 'screenshot.png' }])
+
+      const embed = payload.embeds[0]
+      assert.equal(embed.title, 'London Breed')
+      assert.equal(embed.url, metadata.pageUrl)
+      assert.equal(embed.description, TEXT)
+      assert.deepEqual(embed.author, { name: '192.0.2.1', url: metadata.userUrl })
+      assert.deepEqual(embed.fields, [{ name: 'Location', value: '🇺🇸 US', inline: true }])
+      assert.deepEqual(embed.image, { url: 'attachment://screenshot.png' })
+    })
+
+    it('sends alerts to the operators\' webhook', async function() {
+      await discord.sendAlert({
+        account: { webhook_url: `${base}/api/webhooks/123/abc` },
+        recipient: `${base}/api/webhooks/456/private`,
+        text: 'PII: London Breed edited'
+      })
+
+      assert.equal(requests[0].url, '/api/webhooks/456/private?wait=true')
+      assert.equal(JSON.parse(requests[0].body).content, 'PII: London Breed edited')
+    })
+
+    it('throws when Discord rejects the message', async function() {
+      respond = () => ({ status: 404, body: { message: 'Unknown Webhook', code: 10015 } })
+
+      try {
+        await discord.postText({ account: { webhook_url: `${base}/api/webhooks/123/gone` }, text: 'Digest' })
+        assert.fail('should have thrown')
+      } catch (error) {
+        assert.match(error.message, /Discord webhook returned 404/)
+      }
+    })
+
+    it('never replies', function() {
+      assert.isNull(discord.replyTarget({ id: '1301' }))
+    })
+  })
+
+  describe('slack-platform', function() {
+    it('links the article and editor in mrkdwn', function() {
+      assert.equal(
+        slack.formatText('London Breed edited by 192.0.2.1 <b>', metadata),
+        `<${metadata.pageUrl}|London Breed> edited by <${metadata.userUrl}|192.0.2.1> &lt;b&gt;`
+      )
+    })
+
+    it('posts blocks through a webhook', async function() {
+      respond = () => ({ body: 'ok' })
+
+      const result = await slack.post({ account: { webhook_url: `${base}/services/T1/B1/x` }, text: TEXT, screenshot, metadata })
+
+      assert.deepEqual(slack.toLedger(result), {})
+      const message = JSON.parse(requests[0].body)
+      assert.equal(message.text, TEXT)
+      assert.equal(message.blocks[0].text.type, 'mrkdwn')
+      assert.include(message.blocks[0].text.text, `<${metadata.pageUrl}|London Breed>`)
+      assert.equal(
+        message.blocks[1].elements[0].text,
+        `<${metadata.pageUrl}|London Breed> · edited by <${metadata.userUrl}|192.0.2.1> · 🇺🇸 US`
+      )
+    })
+
+    it('uploads the screenshot with the message when it has a bot token', async function() {
+      respond = request => {
+        if (request.url === '/api/files.getUploadURLExternal') {
+          return { body: { ok: true, upload_url: `${base}/upload/F0801`, file_id: 'F0801' } }
+        }
+        if (request.url === '/upload/F0801') {
+          return { body: 'OK - 15' }
+        }
+        return { body: { ok: true, files: [{ id: 'F0801' }] } }
+      }
+      const account = { bot_token: 'xoxb-test', channel: 'C0123456789', api_url: `${base}/api` }
+
+      const result = await slack.post({ account, text: TEXT, screenshot, metadata })
+
+      assert.deepEqual(slack.toLedger(result), { file_id: 'F0801' })
+      assert.deepEqual(requests.map(r => r.url), ['/api/files.getUploadURLExternal', '/upload/F0801', '/api/files.completeUploadExternal'])
+      assert.equal(requests[0].headers.authorization, 'Bearer xoxb-test')
+
+      const uploadParams = new URLSearchParams(requests[0].body)
+      assert.equal(uploadParams.get('filename'), 'screenshot.png')
+      assert.equal(uploadParams.get('length'), '15')
+      assert.equal(requests[1].body, 'fake image data')
+
+      const complete = new URLSearchParams(requests[2].body)
+      assert.equal(complete.get('channel_id'), 'C0123456789')
+      assert.deepEqual(JSON.parse(complete.get('files')), [{ id: 'F0801', title: 'Edit to London Breed' }])
+      assert.lengthOf(JSON.parse(complete.get('blocks')), 2)
+    })
+
+    it('reports Slack API errors', async function() {
+      respond = () => ({ body: { ok: false, error: 'channel_not_found' } })
+
+      try {
+        await slack.sendAlert({ account: { bot_token: 'xoxb-test', api_url: `${base}/api` }, recipient: 'U0123456789', text: 'PII' })
+        assert.fail('should have thrown')
+      } catch (error) {
+        assert.equal(error.message, 'Slack chat.postMessage failed: channel_not_found')
+      }
+    })
+
+    it('needs a bot token for alerts', async function() {
+      try {
+        await slack.sendAlert({ account: { webhook_url: `${base}/services/T1/B1/x` }, recipient: 'U0123456789', text: 'PII' })
+        assert.fail('should have thrown')
+      } catch (error) {
+        assert.match(error.message, /needs a bot_token/)
+      }
+      assert.isEmpty(requests)
+    })
+  })
+
+  describe('bot integration', function() {
+    it('posts edits to every configured webhook', async function() {
+      this.timeout(5000)
+      respond = request => ({ body: request.url.startsWith('/services') ? 'ok' : { id: '1302', channel_id: '1200' } })
+
+      const pageWatch = proxyquire('../page-watch', {
+        './lib/screenshot': { takeScreenshot: async () => screenshot },
+        './lib/geolocation': { getCountryCode: async () => 'US', enrichIPsInText: async text => text }
+      })
+      const ledger = require('../lib/post-ledger')
+
+      const account = {
+        name: 'webhook-integration',
+        discord: { webhook_url: `${base}/api/webhooks/123/abc` },
+        slack: { webhook_url: `${base}/services/T1/B1/x` },
+        pii_blocking: { enabled: false }
+      }
+      const edit = {
+        page: 'London Breed',
+        user: '192.0.2.1',
+        anonymous: true,
+        wikipedia: 'English Wikipedia',
+        url: 'https://en.wikipedia.org/w/index.php?diff=9811&oldid=9810'
+      }
+
+      await pageWatch.sendStatus(account, pageWatch.getStatus(edit, edit.user, '{{page}} edited by {{name}} {{&url}}'), edit)
+
+      assert.deepEqual(requests.map(r => r.url), ['/api/webhooks/123/abc?wait=true', '/services/T1/B1/x'])
+      assert.deepEqual(payloadJson(requests[0].body).embeds[0].fields[0], { name: 'Location', value: '🇺🇸 US', inline: true })
+      assert.equal(ledger.findPost(account, edit, 'discord').id, '1302')
+      assert.isOk(ledger.findPost(account, edit, 'slack'))
+    })
+  })
+})